@@ -1,6 +1,11 @@
 import { PlayerEvent } from './PlayerEvent';
 import {
+  Ad,
   AdBreakEvent,
+  AdClickedEvent,
+  AdManifestLoadedEvent,
+  AdQuartile,
+  AdQuartileEvent,
   AdEvent,
   PlaybackEvent,
   ErrorEvent,
@@ -11,9 +16,15 @@ import {
   TimeShiftEvent,
   VideoPlaybackQualityChangedEvent,
   CastStartedEvent,
+  DownloadFinishedEvent,
+  HttpRequestType,
   AudioChangedEvent,
   SubtitleEvent,
   VideoQuality,
+  VastAdData,
+  MetadataEvent,
+  MetadataType,
+  TimeChangedEvent,
 } from 'bitmovin-player';
 import { ArrayUtils } from 'bitmovin-player-ui/dist/js/framework/arrayutils';
 import * as Conviva from '@convivainc/conviva-js-coresdk';
@@ -41,6 +52,7 @@ export namespace MockHelper {
       UNKNOWN: 'unknown',
     };
     ConvivaMock.Constants = {
+      NO_SESSION_KEY: -2,
       DeviceCategory: {
         WEB: 'WEB',
       },
@@ -64,6 +76,7 @@ export namespace MockHelper {
         BITRATE: 'BITRATE',
         BUFFER_LENGTH: 'BUFFER_LENGTH',
         CDN_IP: 'CDN_IP',
+        DROPPED_FRAMES_COUNT: 'DROPPED_FRAMES_COUNT',
         PLAYER_STATE: 'PLAYER_STATE',
         PLAY_HEAD_TIME: 'PLAY_HEAD_TIME',
         RENDERED_FRAMERATE: 'RENDERED_FRAMERATE',
@@ -82,6 +95,9 @@ export namespace MockHelper {
       IS_LIVE: 'isLive',
       VIEWER_ID: 'viewerId',
       PLAYER_NAME: 'applicationName',
+      POD_DURATION: 'podDuration',
+      POD_INDEX: 'podIndex',
+      POD_POSITION: 'podPosition',
       StreamType: {
         UNKNOWN: 'unknown',
         LIVE: 'live',
@@ -104,6 +120,13 @@ export namespace MockHelper {
         CONTENT: 'CONTENT',
         SEPARATE: 'SEPARATE',
       },
+      Events: {
+        AD_COMPLETE: 'Conviva.AdComplete',
+        AD_FIRST_QUARTILE: 'Conviva.AdFirstQuartile',
+        AD_MID_QUARTILE: 'Conviva.AdMidQuartile',
+        AD_THIRD_QUARTILE: 'Conviva.AdThirdQuartile',
+        AD_ERROR: 'Conviva.AdError',
+      },
       DeviceMetadata: {
         CATEGORY: 'CATEGORY',
       },
@@ -119,7 +142,11 @@ export namespace MockHelper {
       updateContentMetadata: jest.fn(),
     };
 
+    let sessionCount = 0;
+
     class MockVideoAnalytics implements Conviva.VideoAnalytics {
+      private readonly sessionId = ++sessionCount;
+
       configureExistingSession = jest.fn() as Conviva.VideoAnalytics['configureExistingSession'];
       reportPlaybackRequested = jest.fn() as Conviva.VideoAnalytics['reportPlaybackRequested'];
       reportPlaybackFailed = jest.fn() as Conviva.VideoAnalytics['reportPlaybackFailed'];
@@ -134,7 +161,7 @@ export namespace MockHelper {
       reportPlaybackEvent = jest.fn() as Conviva.VideoAnalytics['reportPlaybackEvent'];
       reportAppEvent = jest.fn() as Conviva.VideoAnalytics['reportAppEvent'];
       setCallback = jest.fn() as Conviva.VideoAnalytics['setCallback'];
-      getSessionId = jest.fn() as Conviva.VideoAnalytics['getSessionId'];
+      getSessionId = jest.fn(() => this.sessionId) as Conviva.VideoAnalytics['getSessionId'];
       release = jest.fn() as Conviva.VideoAnalytics['release'];
     }
 
@@ -205,7 +232,12 @@ export namespace MockHelper {
         }),
         getDuration: jest.fn(),
         getCurrentTime: jest.fn(),
+        getMaxTimeShift: jest.fn(() => 0),
+        getTimeShift: jest.fn(() => 0),
         isLive: jest.fn(),
+        lowlatency: {
+          getLatency: jest.fn(),
+        },
         getConfig: jest.fn(() => {
           return {};
         }),
@@ -228,6 +260,11 @@ export namespace MockHelper {
         },
         on: (eventType: PlayerEvent, callback: PlayerEventCallback) => playerEventHelper.on(eventType, callback),
         off: (eventType: PlayerEvent, callback: PlayerEventCallback) => playerEventHelper.off(eventType, callback),
+        buffer: {
+          getLevel: jest.fn(),
+        },
+        getDroppedVideoFrames: jest.fn(() => 0),
+        getVideoElement: jest.fn(() => ({})),
         getPlaybackVideoData: jest.fn(() => {
           const data: VideoQuality = {
             bitrate: 1024,
@@ -301,24 +338,75 @@ export class PlayerEventHelper {
     });
   }
 
-  fireAdBreakStartedEvent(startTime: number): void {
+  fireAdBreakStartedEvent(startTime: number, ads?: Ad[]): void {
     this.fireEvent<AdBreakEvent>({
       timestamp: Date.now(),
       type: PlayerEvent.AdBreakStarted,
       adBreak: {
         id: 'Break-ID',
         scheduleTime: startTime,
+        ads,
       },
     });
   }
 
-  fireAdErrorEvent(): void {
+  fireAdQuartileEvent(quartile: AdQuartile): void {
+    this.fireEvent<AdQuartileEvent>({
+      timestamp: Date.now(),
+      type: PlayerEvent.AdQuartile,
+      quartile,
+    });
+  }
+
+  fireMetadataEvent(metadataType: MetadataType, metadata: object, start?: number): void {
+    this.fireEvent<MetadataEvent>({
+      timestamp: Date.now(),
+      type: PlayerEvent.Metadata,
+      metadataType,
+      metadata,
+      start,
+    } as MetadataEvent);
+  }
+
+  fireTimeChangedEvent(time: number): void {
+    this.fireEvent<TimeChangedEvent>({
+      timestamp: Date.now(),
+      type: PlayerEvent.TimeChanged,
+      time,
+    } as TimeChangedEvent);
+  }
+
+  fireAdManifestLoadedEvent(downloadTime: number): void {
+    this.fireEvent<AdManifestLoadedEvent>({
+      timestamp: Date.now(),
+      type: PlayerEvent.AdManifestLoaded,
+      adBreak: {
+        id: 'Break-ID',
+        scheduleTime: 0,
+      },
+      adConfig: {},
+      downloadTiming: {
+        downloadTime,
+      },
+    } as AdManifestLoadedEvent);
+  }
+
+  fireAdClickedEvent(): void {
+    this.fireEvent<AdClickedEvent>({
+      timestamp: Date.now(),
+      type: PlayerEvent.AdClicked,
+      clickThroughUrl: 'http://click-through-url',
+    });
+  }
+
+  fireAdErrorEvent(vastErrorCode?: number): void {
     this.fireEvent<ErrorEvent>({
       timestamp: Date.now(),
       type: PlayerEvent.AdError,
       code: 1001,
       name: 'AdErrorEvent',
       troubleShootLink: 'http://troubleshoot-test-link',
+      data: vastErrorCode ? { code: vastErrorCode } : undefined,
     });
   }
 
@@ -334,7 +422,7 @@ export class PlayerEventHelper {
     });
   }
 
-  fireAdStartedEvent(): void {
+  fireAdStartedEvent(data: Partial<VastAdData> = {}): void {
     this.fireEvent<AdEvent>({
       timestamp: Date.now(),
       type: PlayerEvent.AdStarted,
@@ -343,6 +431,7 @@ export class PlayerEventHelper {
         isLinear: true,
         data: {
           bitrate: 1000,
+          ...data,
         },
         width: 0,
         height: 0,
@@ -404,6 +493,13 @@ export class PlayerEventHelper {
     });
   }
 
+  fireSourceLoadedEvent(): void {
+    this.fireEvent<PlayerEventBase>({
+      timestamp: Date.now(),
+      type: PlayerEvent.SourceLoaded,
+    });
+  }
+
   fireSourceUnloadedEvent(): void {
     this.fireEvent<PlayerEventBase>({
       timestamp: Date.now(),
@@ -460,6 +556,23 @@ export class PlayerEventHelper {
     });
   }
 
+  fireDownloadFinishedEvent(url: string, downloadType: HttpRequestType = HttpRequestType.MEDIA_VIDEO): void {
+    this.fireEvent<DownloadFinishedEvent>({
+      timestamp: Date.now(),
+      type: PlayerEvent.DownloadFinished,
+      httpStatus: 200,
+      success: true,
+      url,
+      downloadTime: 0.2,
+      size: 1024,
+      attempt: 1,
+      maxAttempts: 3,
+      downloadType,
+      timeToFirstByte: 0.05,
+      mimeType: 'video/mp4',
+    });
+  }
+
   fireCastStartedEvent(resuming: boolean = false): void {
     this.fireEvent<CastStartedEvent>({
       timestamp: Date.now(),
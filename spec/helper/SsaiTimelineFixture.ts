@@ -0,0 +1,58 @@
+import { SsaiTimeline } from '../../src/ts/SsaiTimelineTracker';
+
+/**
+ * Stitcher tracking payload of a VOD source, normalised to a {@link SsaiTimeline}:
+ * - a pre-roll with two ads
+ * - a mid-roll whose last ad is cut short by the end of the avail
+ */
+export const ssaiTimelineFixture: SsaiTimeline = {
+  avails: [
+    {
+      id: 'avail-1',
+      startTime: 0,
+      duration: 30,
+      ads: [
+        {
+          id: 'ad-1',
+          title: 'First Ad',
+          adSystem: 'Stitcher Ad Server',
+          startTime: 0,
+          duration: 15,
+          trackingEvents: [
+            { eventType: 'impression', startTime: 0 },
+            { eventType: 'start', startTime: 0 },
+            { eventType: 'firstQuartile', startTime: 3.75 },
+            { eventType: 'midpoint', startTime: 7.5 },
+            { eventType: 'thirdQuartile', startTime: 11.25 },
+            { eventType: 'complete', startTime: 15 },
+          ],
+        },
+        {
+          id: 'ad-2',
+          title: 'Second Ad',
+          adSystem: 'Stitcher Ad Server',
+          startTime: 15,
+          duration: 15,
+        },
+      ],
+    },
+    {
+      id: 'avail-2',
+      startTime: 300,
+      duration: 20,
+      ads: [
+        {
+          id: 'ad-3',
+          startTime: 300,
+          duration: 15,
+        },
+        {
+          id: 'ad-4',
+          startTime: 315,
+          duration: 10,
+          isSlate: false,
+        },
+      ],
+    },
+  ],
+};
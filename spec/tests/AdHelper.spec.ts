@@ -8,8 +8,10 @@ import {
   LinearAd,
   PlayerAPI,
   PlayerEvent,
+  VastAdData,
 } from 'bitmovin-player';
 import { AdHelper } from '../../src/ts/helper/AdHelper';
+import { VastAdRegistry } from '../../src/ts/helper/VastHelper';
 import * as Conviva from '@convivainc/conviva-js-coresdk';
 
 describe(AdHelper, () => {
@@ -153,4 +155,230 @@ describe(AdHelper, () => {
       });
     });
   });
+
+  describe('mapVastErrorCategory', () => {
+    it.each([
+      [303, 'no-fill'],
+      [301, 'timeout'],
+      [402, 'timeout'],
+      [401, 'media-file-not-found'],
+      [302, 'wrapper-limit'],
+      [300, 'wrapper'],
+      [100, 'parsing'],
+      [102, 'parsing'],
+      [201, 'trafficking'],
+      [403, 'unsupported-media-file'],
+      [405, 'linear-playback'],
+      [502, 'non-linear'],
+      [603, 'companion'],
+      [901, 'vpaid'],
+      [900, 'unknown'],
+      [undefined, 'unknown'],
+    ])('should map VAST error code %p to %p', (vastErrorCode: number | undefined, category: string) => {
+      expect(AdHelper.mapVastErrorCategory(vastErrorCode)).toEqual(category);
+    });
+  });
+
+  describe('extractCsaiAdErrorAttributes', () => {
+    it('should extract the structured error attributes', () => {
+      expect(
+        AdHelper.extractCsaiAdErrorAttributes({
+          code: ErrorCode.MODULE_ADVERTISING_ERROR,
+          name: 'AdErrorEvent',
+          message: 'No ads after wrapper',
+          troubleShootLink: 'https://test.com',
+          timestamp: Date.now(),
+          type: PlayerEvent.AdError,
+          data: { code: 303 },
+        }),
+      ).toEqual({
+        errorCategory: 'no-fill',
+        errorCode: '3100',
+        errorMessage: 'No ads after wrapper',
+        vastErrorCode: '303',
+      });
+    });
+
+    it('should omit the VAST error code if unknown', () => {
+      expect(
+        AdHelper.extractCsaiAdErrorAttributes({
+          code: ErrorCode.NETWORK_ERROR,
+          name: 'Test error',
+          troubleShootLink: 'https://test.com',
+          timestamp: Date.now(),
+          type: PlayerEvent.AdError,
+        }),
+      ).toEqual({
+        errorCategory: 'unknown',
+        errorCode: '1400',
+        errorMessage: 'Test error',
+      });
+    });
+  });
+
+  describe('extractCsaiConvivaAdInfo with wrapper chain', () => {
+    const player = {} as PlayerAPI;
+    const adBreakEvent = { adBreak: { scheduleTime: 0 } } as AdBreakEvent;
+
+    function createAdEvent(data: Partial<VastAdData>): AdEvent {
+      return { ad: { id: 'inline', data } as Ad } as AdEvent;
+    }
+
+    let vastAdRegistry: VastAdRegistry;
+
+    beforeEach(() => {
+      vastAdRegistry = new VastAdRegistry();
+      vastAdRegistry.add(
+        '<VAST version="3.0"><Ad id="wrapper-outer"><Wrapper><AdSystem>Outer</AdSystem>' +
+          '<Creatives><Creative id="outer-creative"/></Creatives></Wrapper></Ad></VAST>',
+      );
+      vastAdRegistry.add(
+        '<VAST version="3.0"><Ad id="inline"><InLine><AdSystem>InLine</AdSystem>' +
+          '<Creatives><Creative id="inline-creative"><Linear><MediaFiles>' +
+          '<MediaFile apiFramework="VPAID">https://test.com/vpaid.js</MediaFile>' +
+          '</MediaFiles></Linear></Creative></Creatives></InLine></Ad></VAST>',
+      );
+    });
+
+    it('should report the outermost wrapper as first ad', () => {
+      const adEvent = createAdEvent({
+        adSystem: { name: 'InLine' },
+        creative: { id: 'inline-creative' },
+        wrapperAdIds: ['wrapper-inner', 'wrapper-outer'],
+      });
+
+      expect(AdHelper.extractCsaiConvivaAdInfo(player, adBreakEvent, adEvent, 1, vastAdRegistry)).toEqual(
+        expect.objectContaining({
+          'c3.ad.firstAdId': 'wrapper-outer',
+          'c3.ad.firstAdSystem': 'Outer',
+          'c3.ad.firstCreativeId': 'outer-creative',
+          'c3.ad.mediaFileApiFramework': 'VPAID',
+        }),
+      );
+    });
+
+    it('should report the inline ad as first ad if there are no wrappers', () => {
+      const adEvent = createAdEvent({
+        adSystem: { name: 'InLine' },
+        creative: { id: 'inline-creative' },
+        wrapperAdIds: [],
+      });
+
+      expect(AdHelper.extractCsaiConvivaAdInfo(player, adBreakEvent, adEvent)).toEqual(
+        expect.objectContaining({
+          'c3.ad.firstAdId': 'inline',
+          'c3.ad.firstAdSystem': 'InLine',
+          'c3.ad.firstCreativeId': 'inline-creative',
+        }),
+      );
+    });
+
+    it('should prefer the api framework exposed by the player', () => {
+      const adEvent = createAdEvent({ apiFramework: 'SIMID' });
+
+      expect(AdHelper.extractCsaiConvivaAdInfo(player, adBreakEvent, adEvent, 1, vastAdRegistry)).toEqual(
+        expect.objectContaining({ 'c3.ad.mediaFileApiFramework': 'SIMID' }),
+      );
+    });
+
+    it('should fall back to NA if the wrapper is unknown', () => {
+      const adEvent = createAdEvent({ wrapperAdIds: ['unknown-wrapper'] });
+
+      expect(AdHelper.extractCsaiConvivaAdInfo(player, adBreakEvent, adEvent, 1, new VastAdRegistry())).toEqual(
+        expect.objectContaining({
+          'c3.ad.firstAdId': 'unknown-wrapper',
+          'c3.ad.firstAdSystem': 'NA',
+          'c3.ad.firstCreativeId': 'NA',
+          'c3.ad.mediaFileApiFramework': 'NA',
+        }),
+      );
+    });
+  });
+
+  describe('extractCsaiAdBreakInfo', () => {
+    const player = { getDuration: () => 60 } as PlayerAPI;
+
+    it('should extract the pod position', () => {
+      const adBreak = { id: 'break', scheduleTime: 30 } as AdBreak;
+
+      expect(AdHelper.extractCsaiAdBreakInfo(player, adBreak)).toEqual({
+        [Conviva.Constants.POD_POSITION]: Conviva.Constants.AdPosition.MIDROLL,
+      });
+    });
+
+    it('should sum up the pod duration', () => {
+      const adBreak = {
+        id: 'break',
+        scheduleTime: 0,
+        ads: [{ duration: 10 } as LinearAd, { duration: 20.5 } as LinearAd],
+      } as AdBreak;
+
+      expect(AdHelper.extractCsaiAdBreakInfo(player, adBreak)).toEqual({
+        [Conviva.Constants.POD_POSITION]: Conviva.Constants.AdPosition.PREROLL,
+        [Conviva.Constants.POD_DURATION]: 30.5,
+      });
+    });
+
+    it('should not report the pod duration if an ad duration is unknown', () => {
+      const adBreak = {
+        id: 'break',
+        scheduleTime: 0,
+        ads: [{ duration: 10 } as LinearAd, {} as Ad],
+      } as AdBreak;
+
+      expect(AdHelper.extractCsaiAdBreakInfo(player, adBreak)).not.toHaveProperty(Conviva.Constants.POD_DURATION);
+    });
+  });
+
+  describe('getCsaiAdSequence', () => {
+    const firstAd = { id: 'first' } as Ad;
+    const secondAd = { id: 'second' } as Ad;
+    const adBreak = { id: 'break', scheduleTime: 0, ads: [firstAd, secondAd] } as AdBreak;
+
+    it('should return the 1-based position of the ad', () => {
+      expect(AdHelper.getCsaiAdSequence(adBreak, secondAd)).toBe(2);
+    });
+
+    it('should match ads by id', () => {
+      expect(AdHelper.getCsaiAdSequence(adBreak, { id: 'first' } as Ad)).toBe(1);
+    });
+
+    it('should return undefined for unknown ads', () => {
+      expect(AdHelper.getCsaiAdSequence(adBreak, { id: 'other' } as Ad)).toBeUndefined();
+      expect(AdHelper.getCsaiAdSequence(undefined, firstAd)).toBeUndefined();
+    });
+  });
+
+  describe('extractCsaiFailedAdInfo', () => {
+    const player = { getDuration: () => 100 } as PlayerAPI;
+
+    it('should describe the failed ad by its ad break', () => {
+      const adInfo = AdHelper.extractCsaiFailedAdInfo(player, { id: 'break', scheduleTime: 50 } as AdBreak, 2);
+
+      expect(adInfo).toEqual(
+        expect.objectContaining({
+          'c3.ad.id': 'NA',
+          'c3.ad.technology': Conviva.Constants.AdType.CLIENT_SIDE,
+          'c3.ad.position': Conviva.Constants.AdPosition.MIDROLL,
+          'c3.ad.sequence': '2',
+        }),
+      );
+    });
+
+    it('should omit the position without an ad break', () => {
+      const adInfo = AdHelper.extractCsaiFailedAdInfo(player, undefined);
+
+      expect(adInfo).not.toHaveProperty('c3.ad.position');
+      expect(adInfo).not.toHaveProperty('c3.ad.sequence');
+    });
+  });
+
+  it('should add the ad sequence to the Conviva ad info', () => {
+    const adBreakEvent = { adBreak: { scheduleTime: 0 } } as AdBreakEvent;
+    const adEvent = { ad: { id: '123', data: {} } } as AdEvent;
+
+    expect(AdHelper.extractCsaiConvivaAdInfo({} as PlayerAPI, adBreakEvent, adEvent, 3)).toEqual(
+      expect.objectContaining({ 'c3.ad.sequence': '3' }),
+    );
+  });
 });
@@ -1,6 +1,27 @@
-import { PlayerAPI, PlayerType, StreamType, VRContentType } from 'bitmovin-player';
-import { ConvivaAnalytics } from '../../src/ts';
+import {
+  AdQuartile,
+  ErrorCode,
+  ErrorEvent,
+  HttpRequestType,
+  HttpResponse,
+  MetadataType,
+  PlayerAPI,
+  PlayerEvent,
+  PlayerType,
+  StreamType,
+  VRContentType,
+  WarningCode,
+  WarningEvent,
+} from 'bitmovin-player';
+import { ConvivaAnalytics, ConvivaAnalyticsConfiguration } from '../../src/ts';
 import { MockHelper, PlayerEventHelper } from '../helper/MockHelper';
+import { ssaiTimelineFixture } from '../helper/SsaiTimelineFixture';
+import {
+  AD_LOADING_TIME_AD_EVENT,
+  AD_NO_FILL_AD_EVENT,
+  PLAYER_ERROR_PLAYBACK_EVENT,
+  PLAYER_WARNING_PLAYBACK_EVENT,
+} from '../../src/ts/ConvivaAnalyticsTracker';
 import * as Conviva from '@convivainc/conviva-js-coresdk';
 
 jest.mock('@convivainc/conviva-js-coresdk', () => {
@@ -456,6 +477,81 @@ describe(ConvivaAnalytics, () => {
     });
   });
 
+  describe('metadata mapper', () => {
+    const source = {
+      hls: 'test.m3u8',
+      title: 'Asset Title',
+      metadata: { contentId: 'content-1', series: 'My Series' },
+    };
+
+    beforeEach(() => {
+      convivaAnalytics.release();
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+    });
+
+    function createConvivaAnalytics(metadataMapper: ConvivaAnalyticsConfiguration['metadataMapper']) {
+      convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', { metadataMapper });
+      jest.spyOn(playerMock, 'getSource').mockReturnValue(source);
+    }
+
+    it('applies the mapped metadata on session creation', () => {
+      const metadataMapper = jest.fn(() => ({
+        assetName: '[content-1] Asset Title',
+        custom: { series: 'My Series' },
+      }));
+      createConvivaAnalytics(metadataMapper);
+
+      playerEventHelper.firePlayEvent();
+
+      expect(metadataMapper).toHaveBeenCalledWith(source);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          assetName: '[content-1] Asset Title',
+          series: 'My Series',
+        }),
+      );
+    });
+
+    it('prefers metadata set via updateContentMetadata', () => {
+      createConvivaAnalytics(() => ({ viewerId: 'mapped viewer', applicationName: 'Mapped App' }));
+
+      convivaAnalytics.updateContentMetadata({ viewerId: 'viewer' });
+      playerEventHelper.firePlayEvent();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          viewerId: 'viewer',
+          applicationName: 'Mapped App',
+        }),
+      );
+    });
+
+    it('applies the mapped metadata of the next source', () => {
+      createConvivaAnalytics((mappedSource) => ({ assetName: 'Mapped ' + mappedSource.title }));
+
+      playerEventHelper.firePlayEvent();
+      jest.spyOn(playerMock, 'getSource').mockReturnValue({ hls: 'next.m3u8', title: 'Next Title' });
+      playerEventHelper.fireSourceUnloadedEvent();
+      playerEventHelper.fireSourceLoadedEvent();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenLastCalledWith(
+        expect.objectContaining({ assetName: 'Mapped Next Title' }),
+      );
+    });
+
+    it('falls back to the source title if the mapper throws', () => {
+      createConvivaAnalytics(() => {
+        throw new Error('broken mapper');
+      });
+
+      playerEventHelper.firePlayEvent();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenLastCalledWith(
+        expect.objectContaining({ assetName: 'Asset Title' }),
+      );
+    });
+  });
+
   describe('ad', () => {
     describe('when initialization session', () => {
       it('set ad player info', () => {
@@ -470,6 +566,45 @@ describe(ConvivaAnalytics, () => {
       });
     });
 
+    describe('ad loading time', () => {
+      let now: number;
+
+      beforeEach(() => {
+        now = 1000;
+        convivaAnalytics.release();
+        ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+        convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', {
+          systemInterfaces: { time: { getEpochTimeMs: () => now, release: () => undefined } },
+        });
+        playerEventHelper.firePlayEvent();
+        playerEventHelper.firePlayingEvent();
+      });
+
+      it('reports the time from ad break start until the first ad started', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdManifestLoadedEvent(0.25);
+        now = 1800;
+        playerEventHelper.fireAdStartedEvent();
+
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(AD_LOADING_TIME_AD_EVENT, {
+          loadingTimeMs: '800',
+          manifestDownloadTimeMs: '250',
+        });
+      });
+
+      it('reports the loading time only for the first ad of an ad break', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdFinishedEvent();
+        playerEventHelper.fireAdStartedEvent();
+
+        const loadingTimeCalls = (MockHelper.latestAdAnalytics.reportAdPlayerEvent as jest.Mock).mock.calls.filter(
+          (call) => call[0] === AD_LOADING_TIME_AD_EVENT,
+        );
+        expect(loadingTimeCalls).toEqual([[AD_LOADING_TIME_AD_EVENT, { loadingTimeMs: '0' }]]);
+      });
+    });
+
     describe('after playback started', () => {
       beforeEach(() => {
         playerEventHelper.firePlayEvent();
@@ -498,12 +633,35 @@ describe(ConvivaAnalytics, () => {
           'c3.ad.firstCreativeId': 'NA',
           'c3.ad.id': 'Ad-ID',
           'c3.ad.mediaFileApiFramework': 'NA',
+          'c3.ad.sequence': '1',
           'c3.ad.position': Conviva.Constants.AdPosition.PREROLL,
           'c3.ad.system': 'NA',
           'c3.ad.technology': Conviva.Constants.AdType.CLIENT_SIDE,
         });
       });
 
+      it('reports the first ad system of the wrapper chain from handled ad manifests', () => {
+        convivaAnalytics.handleHttpResponse(HttpRequestType.MANIFEST_ADS, {
+          body:
+            '<VAST version="3.0"><Ad id="Wrapper-ID"><Wrapper><AdSystem>Wrapper System</AdSystem>' +
+            '<Creatives><Creative id="Wrapper-Creative-ID"/></Creatives></Wrapper></Ad></VAST>',
+        } as HttpResponse<string>);
+        convivaAnalytics.handleHttpResponse(HttpRequestType.MEDIA_VIDEO, {
+          body: '<VAST version="3.0"><Ad id="Wrapper-ID"><Wrapper><AdSystem>Other</AdSystem></Wrapper></Ad></VAST>',
+        } as HttpResponse<string>);
+
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent({ wrapperAdIds: ['Wrapper-ID'] });
+
+        expect(MockHelper.latestAdAnalytics.reportAdStarted).toHaveBeenCalledWith(
+          expect.objectContaining({
+            'c3.ad.firstAdId': 'Wrapper-ID',
+            'c3.ad.firstAdSystem': 'Wrapper System',
+            'c3.ad.firstCreativeId': 'Wrapper-Creative-ID',
+          }),
+        );
+      });
+
       it('reports ad bitrate', () => {
         playerEventHelper.fireAdBreakStartedEvent(0);
         playerEventHelper.fireAdStartedEvent();
@@ -520,6 +678,56 @@ describe(ConvivaAnalytics, () => {
         expect(MockHelper.latestAdAnalytics.reportAdEnded).toHaveBeenCalled();
       });
 
+      it('reports ad complete', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdFinishedEvent();
+
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(
+          Conviva.Constants.Events.AD_COMPLETE,
+          expect.objectContaining({ type: PlayerEvent.AdFinished, 'ad.id': 'Ad-ID' }),
+        );
+      });
+
+      it.each([
+        [AdQuartile.FIRST_QUARTILE, Conviva.Constants.Events.AD_FIRST_QUARTILE],
+        [AdQuartile.MIDPOINT, Conviva.Constants.Events.AD_MID_QUARTILE],
+        [AdQuartile.THIRD_QUARTILE, Conviva.Constants.Events.AD_THIRD_QUARTILE],
+      ])('reports ad quartile %s', (quartile: AdQuartile, convivaEvent: string) => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdQuartileEvent(quartile);
+
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(
+          convivaEvent,
+          expect.objectContaining({ quartile }),
+        );
+      });
+
+      it('reports ad clicks with flattened attributes', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdClickedEvent();
+
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(
+          PlayerEvent.AdClicked,
+          expect.objectContaining({ clickThroughUrl: 'http://click-through-url' }),
+        );
+      });
+
+      it('reports ad buffering before ad playing', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+
+        const playerStateCalls = (MockHelper.latestAdAnalytics.reportAdMetric as jest.Mock).mock.calls.filter(
+          (call) => call[0] === Conviva.Constants.Playback.PLAYER_STATE,
+        );
+        expect(playerStateCalls).toEqual([
+          [Conviva.Constants.Playback.PLAYER_STATE, Conviva.Constants.PlayerState.BUFFERING],
+          [Conviva.Constants.Playback.PLAYER_STATE, Conviva.Constants.PlayerState.PLAYING],
+        ]);
+      });
+
       it('reports ad skipped', () => {
         playerEventHelper.fireAdSkippedEvent();
 
@@ -527,14 +735,747 @@ describe(ConvivaAnalytics, () => {
       });
 
       it('reports ad error', () => {
-        playerEventHelper.fireAdErrorEvent();
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdErrorEvent(405);
 
         expect(MockHelper.latestAdAnalytics.reportAdError).toHaveBeenCalledWith(
-          'Ad error: AdErrorEvent; Message: Unknown message; Error code: 1001; Troubleshoot link: http://troubleshoot-test-link',
+          'Ad error: AdErrorEvent; Ad error code: 405; Message: Unknown message; Error code: 1001; Troubleshoot link: http://troubleshoot-test-link',
           Conviva.Constants.ErrorSeverity.WARNING,
         );
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(
+          Conviva.Constants.Events.AD_ERROR,
+          {
+            errorCategory: 'linear-playback',
+            errorCode: '1001',
+            errorMessage: 'AdErrorEvent',
+            vastErrorCode: '405',
+          },
+        );
+      });
+
+      it('reports ad failed if the ad did not start', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdErrorEvent(401);
+
+        expect(MockHelper.latestAdAnalytics.reportAdError).not.toHaveBeenCalled();
+        expect(MockHelper.latestAdAnalytics.reportAdFailed).toHaveBeenCalledWith(
+          'Ad error: AdErrorEvent; Ad error code: 401; Message: Unknown message; Error code: 1001; Troubleshoot link: http://troubleshoot-test-link',
+          expect.objectContaining({
+            'c3.ad.technology': Conviva.Constants.AdType.CLIENT_SIDE,
+            'c3.ad.position': Conviva.Constants.AdPosition.PREROLL,
+            'c3.ad.sequence': '1',
+          }),
+        );
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(
+          Conviva.Constants.Events.AD_ERROR,
+          {
+            errorCategory: 'media-file-not-found',
+            errorCode: '1001',
+            errorMessage: 'AdErrorEvent',
+            vastErrorCode: '401',
+          },
+        );
+      });
+
+      it('reports ad failed after the previous ad ended', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdFinishedEvent();
+        playerEventHelper.fireAdErrorEvent(301);
+
+        expect(MockHelper.latestAdAnalytics.reportAdError).not.toHaveBeenCalled();
+        expect(MockHelper.latestAdAnalytics.reportAdFailed).toHaveBeenCalledWith(
+          expect.any(String),
+          expect.objectContaining({ 'c3.ad.sequence': '2' }),
+        );
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(
+          Conviva.Constants.Events.AD_ERROR,
+          expect.objectContaining({ errorCategory: 'timeout' }),
+        );
+      });
+
+      it('reports no fill separately from ad failures', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdErrorEvent(303);
+
+        expect(MockHelper.latestAdAnalytics.reportAdError).not.toHaveBeenCalled();
+        expect(MockHelper.latestAdAnalytics.reportAdFailed).not.toHaveBeenCalled();
+        expect(MockHelper.latestAdAnalytics.reportAdPlayerEvent).toHaveBeenCalledWith(AD_NO_FILL_AD_EVENT, {
+          errorCategory: 'no-fill',
+          errorCode: '1001',
+          errorMessage: 'AdErrorEvent',
+          vastErrorCode: '303',
+        });
+      });
+    });
+  });
+
+  describe('ssai auto tracking', () => {
+    beforeEach(() => {
+      convivaAnalytics.release();
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+    });
+
+    it('reports server-side ad breaks from cue tags', () => {
+      convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', { ssaiAutoTracking: true });
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+
+      playerEventHelper.fireMetadataEvent(MetadataType.CUETAG, { type: 'CUE-OUT', attributes: ['30'] }, 60);
+
+      expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenCalledWith(
+        Conviva.Constants.AdType.SERVER_SIDE,
+        Conviva.Constants.AdPlayer.CONTENT,
+        undefined,
+      );
+      expect(MockHelper.latestAdAnalytics.reportAdStarted).toHaveBeenCalledWith(
+        expect.objectContaining({ 'c3.ad.technology': Conviva.Constants.AdType.SERVER_SIDE }),
+      );
+
+      playerEventHelper.fireTimeChangedEvent(91);
+
+      expect(MockHelper.latestAdAnalytics.reportAdEnded).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics.reportAdBreakEnded).toHaveBeenCalled();
+    });
+
+    it('ignores markers if disabled', () => {
+      convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY');
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+
+      playerEventHelper.fireMetadataEvent(MetadataType.CUETAG, { type: 'CUE-OUT', attributes: ['30'] }, 60);
+
+      expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ssai timeline', () => {
+    beforeEach(() => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      convivaAnalytics.setSsaiTimeline(ssaiTimelineFixture);
+    });
+
+    it('reports server-side ads of the timeline', () => {
+      playerEventHelper.fireTimeChangedEvent(1);
+
+      expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenCalledWith(
+        Conviva.Constants.AdType.SERVER_SIDE,
+        Conviva.Constants.AdPlayer.CONTENT,
+        undefined,
+      );
+      expect(MockHelper.latestAdAnalytics.reportAdStarted).toHaveBeenCalledWith(
+        expect.objectContaining({ 'c3.ad.id': 'ad-1' }),
+      );
+    });
+
+    it('reports skipped ads when seeking out of an ad break', () => {
+      playerEventHelper.fireTimeChangedEvent(1);
+
+      jest.spyOn(playerMock, 'getCurrentTime').mockReturnValue(100);
+      playerEventHelper.fireSeekEvent(100);
+      playerEventHelper.fireSeekedEvent();
+
+      expect(MockHelper.latestAdAnalytics.reportAdSkipped).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics.reportAdBreakEnded).toHaveBeenCalled();
+    });
+  });
+
+  describe('ssai seeking', () => {
+    beforeEach(() => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+    });
+
+    it('finishes manually reported ad breaks when seeking out of them', () => {
+      convivaAnalytics.ssai.reportAdBreakStarted({ startTime: 60, duration: 30 });
+      convivaAnalytics.ssai.reportAdStarted({ id: 'ad-1', startTime: 60, duration: 30 });
+
+      jest.spyOn(playerMock, 'getCurrentTime').mockReturnValue(10);
+      playerEventHelper.fireSeekEvent(10);
+      playerEventHelper.fireSeekedEvent();
+
+      expect(MockHelper.latestAdAnalytics.reportAdSkipped).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics.reportAdBreakEnded).toHaveBeenCalled();
+      expect(convivaAnalytics.ssai.isAdBreakActive).toBe(false);
+    });
+  });
+
+  describe('program boundaries', () => {
+    const createProgramDateRange = (id: string, title?: string) => ({
+      id,
+      class: 'com.example.program',
+      xTitle: title,
+    });
+
+    beforeEach(() => {
+      jest.spyOn(playerMock, 'isLive').mockReturnValue(true);
+    });
+
+    it('starts a new session for the next program', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      const programVideoAnalytics = MockHelper.latestVideoAnalytics;
+
+      convivaAnalytics.reportProgramChanged({ assetName: 'Next Program' });
+
+      expect(programVideoAnalytics.reportPlaybackEnded).toHaveBeenCalled();
+      expect(programVideoAnalytics.release).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics).not.toBe(programVideoAnalytics);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.objectContaining({ assetName: 'Next Program' }),
+      );
+    });
+
+    it('continues the playback in the new session without startup', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+
+      convivaAnalytics.reportProgramChanged({ assetName: 'Next Program' });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.PLAYER_STATE,
+        Conviva.Constants.PlayerState.PLAYING,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+        Conviva.Constants.Playback.PLAYER_STATE,
+        Conviva.Constants.PlayerState.STOPPED,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.RESOLUTION,
+        '100x100',
+      );
+    });
+
+    it('keeps metadata which does not belong to the program', () => {
+      convivaAnalytics.updateContentMetadata({ viewerId: 'viewer-1', custom: { channel: 'news' } });
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+
+      convivaAnalytics.reportProgramChanged({ assetName: 'Next Program', custom: { programId: 'p-2' } });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.objectContaining({
+          assetName: 'Next Program',
+          viewerId: 'viewer-1',
+          channel: 'news',
+          programId: 'p-2',
+        }),
+      );
+    });
+
+    it('replaces the metadata of the previous program', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+
+      convivaAnalytics.reportProgramChanged({ assetName: 'First Program', custom: { episode: 'e-1' } });
+      convivaAnalytics.reportProgramChanged({ assetName: 'Second Program' });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.not.objectContaining({ episode: 'e-1' }),
+      );
+    });
+
+    it('splits the session after an ad break', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      const programVideoAnalytics = MockHelper.latestVideoAnalytics;
+
+      convivaAnalytics.ssai.reportAdBreakStarted();
+      convivaAnalytics.reportProgramChanged({ assetName: 'Next Program' });
+
+      expect(MockHelper.latestVideoAnalytics).toBe(programVideoAnalytics);
+
+      convivaAnalytics.ssai.reportAdBreakFinished();
+
+      expect(MockHelper.latestVideoAnalytics).not.toBe(programVideoAnalytics);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.objectContaining({ assetName: 'Next Program' }),
+      );
+    });
+
+    it('uses the program metadata for the next session if no session is active', () => {
+      convivaAnalytics.reportProgramChanged({ assetName: 'First Program' });
+      playerEventHelper.firePlayEvent();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.objectContaining({ assetName: 'First Program' }),
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.PLAYER_STATE,
+        Conviva.Constants.PlayerState.STOPPED,
+      );
+    });
+
+    describe('in-stream markers', () => {
+      beforeEach(() => {
+        convivaAnalytics.release();
+        ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+        convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', {
+          programBoundaryTracking: { dateRangeClass: 'com.example.program' },
+        });
+        jest.spyOn(playerMock, 'isLive').mockReturnValue(true);
+        jest.spyOn(playerMock, 'getSource').mockReturnValue({ hls: 'live.m3u8', title: 'News Channel' });
+        playerEventHelper.firePlayEvent();
+        playerEventHelper.firePlayingEvent();
+      });
+
+      it('splits the session at program markers', () => {
+        const channelVideoAnalytics = MockHelper.latestVideoAnalytics;
+
+        playerEventHelper.fireMetadataEvent(MetadataType.DATERANGE, createProgramDateRange('p-1', 'Morning Show'));
+
+        expect(channelVideoAnalytics.release).toHaveBeenCalled();
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+          expect.objectContaining({ assetName: 'Morning Show' }),
+        );
+      });
+
+      it('ignores repeated markers of the current program', () => {
+        playerEventHelper.fireMetadataEvent(MetadataType.DATERANGE, createProgramDateRange('p-1', 'Morning Show'));
+        const programVideoAnalytics = MockHelper.latestVideoAnalytics;
+
+        playerEventHelper.fireMetadataEvent(MetadataType.DATERANGE, createProgramDateRange('p-1', 'Morning Show'));
+
+        expect(programVideoAnalytics.release).not.toHaveBeenCalled();
+      });
+
+      it('ignores program markers in VOD streams', () => {
+        jest.spyOn(playerMock, 'isLive').mockReturnValue(false);
+        const programVideoAnalytics = MockHelper.latestVideoAnalytics;
+
+        playerEventHelper.fireMetadataEvent(MetadataType.DATERANGE, createProgramDateRange('p-1', 'Morning Show'));
+
+        expect(programVideoAnalytics.release).not.toHaveBeenCalled();
+      });
+    });
+
+    it('ignores program markers if disabled', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      const programVideoAnalytics = MockHelper.latestVideoAnalytics;
+
+      playerEventHelper.fireMetadataEvent(MetadataType.DATERANGE, createProgramDateRange('p-1', 'Morning Show'));
+
+      expect(programVideoAnalytics.release).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('error mapping', () => {
+    function fireErrorEvent(code: ErrorCode, data?: { [key: string]: any }) {
+      playerEventHelper.fireEvent<ErrorEvent>({
+        timestamp: Date.now(),
+        type: PlayerEvent.Error,
+        code,
+        name: ErrorCode[code],
+        message: 'Error message',
+        data,
+        troubleShootLink: 'http://troubleshoot-test-link',
+      });
+    }
+
+    beforeEach(() => {
+      convivaAnalytics.release();
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+      convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', {
+        errorMapping: {
+          [ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT]: { severity: Conviva.Constants.ErrorSeverity.WARNING },
+          [ErrorCode.MODULE_ERROR]: { category: 'advertising' },
+        },
+      });
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+    });
+
+    it('reports fatal errors with their details and ends the session', () => {
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      fireErrorEvent(ErrorCode.DRM_FAILED_LICENSE_REQUEST, { statusCode: 403, response: { reason: 'forbidden' } });
+
+      expect(videoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith(PLAYER_ERROR_PLAYBACK_EVENT, {
+        errorCode: '2003',
+        errorName: 'DRM_FAILED_LICENSE_REQUEST',
+        errorCategory: 'drm',
+        errorSeverity: 'fatal',
+        errorMessage: 'Error message',
+        troubleShootLink: 'http://troubleshoot-test-link',
+        'data.statusCode': '403',
+        'data.response.reason': 'forbidden',
+      });
+      expect(videoAnalytics.reportPlaybackFailed).toHaveBeenCalledWith('2003 DRM_FAILED_LICENSE_REQUEST');
+      expect(videoAnalytics.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports errors mapped to warnings without ending the session', () => {
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      fireErrorEvent(ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT);
+
+      expect(videoAnalytics.reportPlaybackError).toHaveBeenCalledWith(
+        '1402 NETWORK_SEGMENT_DOWNLOAD_TIMEOUT',
+        Conviva.Constants.ErrorSeverity.WARNING,
+      );
+      expect(videoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith(
+        PLAYER_ERROR_PLAYBACK_EVENT,
+        expect.objectContaining({ errorCategory: 'network', errorSeverity: 'warning' }),
+      );
+      expect(videoAnalytics.reportPlaybackFailed).not.toHaveBeenCalled();
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+    });
+
+    it('reports advertising module errors as warnings by default', () => {
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      fireErrorEvent(ErrorCode.MODULE_ADVERTISING_ERROR);
+
+      expect(videoAnalytics.reportPlaybackError).toHaveBeenCalledWith(
+        '3100 MODULE_ADVERTISING_ERROR',
+        Conviva.Constants.ErrorSeverity.WARNING,
+      );
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+    });
+
+    it('keeps the built-in severity if only the category is overridden', () => {
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      fireErrorEvent(ErrorCode.MODULE_ERROR);
+
+      expect(videoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith(
+        PLAYER_ERROR_PLAYBACK_EVENT,
+        expect.objectContaining({ errorCategory: 'advertising', errorSeverity: 'fatal' }),
+      );
+      expect(videoAnalytics.reportPlaybackFailed).toHaveBeenCalledWith('3000 MODULE_ERROR');
+    });
+
+    it('does not start a session for warnings', () => {
+      playerEventHelper.firePlaybackFinishedEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      fireErrorEvent(ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT);
+
+      expect(MockHelper.latestVideoAnalytics).toBe(videoAnalytics);
+      expect(videoAnalytics.reportPlaybackError).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('warning tracking', () => {
+    let now: number;
+
+    function fireWarningEvent(code: WarningCode, data: { [key: string]: any } = {}) {
+      playerEventHelper.fireEvent<WarningEvent>({
+        timestamp: Date.now(),
+        type: PlayerEvent.Warning,
+        code,
+        name: WarningCode[code],
+        message: 'Warning message',
+        data,
+      });
+    }
+
+    function createConvivaAnalytics(config: ConvivaAnalyticsConfiguration) {
+      convivaAnalytics.release();
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+      convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', {
+        ...config,
+        systemInterfaces: { time: { getEpochTimeMs: () => now, release: () => undefined } },
+      });
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+    }
+
+    beforeEach(() => {
+      now = 0;
+    });
+
+    it('ignores warnings if disabled', () => {
+      playerEventHelper.firePlayEvent();
+      fireWarningEvent(WarningCode.NETWORK_COULD_NOT_LOAD_SUBTITLE);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).not.toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).not.toHaveBeenCalledWith(
+        PLAYER_WARNING_PLAYBACK_EVENT,
+        expect.anything(),
+      );
+    });
+
+    it('reports warnings as playback errors with warning severity', () => {
+      createConvivaAnalytics({ warningTracking: {} });
+
+      fireWarningEvent(WarningCode.DRM_LICENSE_RENEWAL_FAILED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenCalledWith(
+        '2003 DRM_LICENSE_RENEWAL_FAILED',
+        Conviva.Constants.ErrorSeverity.WARNING,
+      );
+      expect(MockHelper.latestVideoAnalytics.release).not.toHaveBeenCalled();
+    });
+
+    it('reports only the configured warning codes', () => {
+      createConvivaAnalytics({ warningTracking: { codes: [WarningCode.PLAYBACK_GAP_DETECTED] } });
+
+      fireWarningEvent(WarningCode.DRM_LICENSE_RENEWAL_FAILED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenCalledTimes(1);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenCalledWith(
+        '1301 PLAYBACK_GAP_DETECTED',
+        Conviva.Constants.ErrorSeverity.WARNING,
+      );
+    });
+
+    it('reports warnings as playback events with their details', () => {
+      createConvivaAnalytics({ warningTracking: { reportAs: 'event' } });
+
+      fireWarningEvent(WarningCode.NETWORK_COULD_NOT_LOAD_SUBTITLE, { url: 'https://cdn.test/subtitles.vtt' });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith(PLAYER_WARNING_PLAYBACK_EVENT, {
+        warningCode: '1402',
+        warningName: 'NETWORK_COULD_NOT_LOAD_SUBTITLE',
+        warningMessage: 'Warning message',
+        'data.url': 'https://cdn.test/subtitles.vtt',
+      });
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).not.toHaveBeenCalled();
+    });
+
+    it('drops warnings above the rate limit per code', () => {
+      createConvivaAnalytics({ warningTracking: { maxReportsPerInterval: 2, rateLimitIntervalSeconds: 10 } });
+
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.DRM_LICENSE_RENEWAL_FAILED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenCalledTimes(3);
+
+      now = 10000;
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenCalledTimes(4);
+    });
+
+    it('reports the number of dropped warnings with the next warning event', () => {
+      createConvivaAnalytics({
+        warningTracking: { reportAs: 'event', maxReportsPerInterval: 1, rateLimitIntervalSeconds: 10 },
+      });
+
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      now = 10000;
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenLastCalledWith(
+        PLAYER_WARNING_PLAYBACK_EVENT,
+        expect.objectContaining({ droppedCount: '2' }),
+      );
+    });
+
+    it('reports the number of dropped warnings with the next warning error', () => {
+      createConvivaAnalytics({ warningTracking: { maxReportsPerInterval: 1, rateLimitIntervalSeconds: 10 } });
+
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+      now = 10000;
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenLastCalledWith(
+        '1301 PLAYBACK_GAP_DETECTED (2 dropped)',
+        Conviva.Constants.ErrorSeverity.WARNING,
+      );
+    });
+
+    it('resets the rate limit with a new session', () => {
+      createConvivaAnalytics({ warningTracking: { maxReportsPerInterval: 1 } });
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+
+      playerEventHelper.firePlaybackFinishedEvent();
+      playerEventHelper.firePlayEvent();
+      fireWarningEvent(WarningCode.PLAYBACK_GAP_DETECTED);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackError).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('playback watchdog', () => {
+    function createConvivaAnalytics(config: ConvivaAnalyticsConfiguration['playbackWatchdog']) {
+      convivaAnalytics.release();
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+      convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY', { playbackWatchdog: config });
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      convivaAnalytics.release();
+      jest.useRealTimers();
+    });
+
+    it('reports a stall timeout as playback failure and ends the session', () => {
+      createConvivaAnalytics({ stallTimeoutSeconds: 10 });
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      playerEventHelper.fireStallStartedEvent();
+      jest.advanceTimersByTime(10000);
+
+      expect(videoAnalytics.reportPlaybackFailed).toHaveBeenCalledWith(
+        'Stall timeout: stalled for more than 10 seconds',
+      );
+      expect(videoAnalytics.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the session if configured', () => {
+      createConvivaAnalytics({ startupTimeoutSeconds: 15, endSession: false });
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      jest.advanceTimersByTime(15000);
+
+      expect(videoAnalytics.reportPlaybackFailed).toHaveBeenCalledWith(
+        'Startup timeout: no first frame 15 seconds after play',
+      );
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+    });
+
+    it('does not report a playhead not advancing while paused', () => {
+      createConvivaAnalytics({ playheadStuckTimeoutSeconds: 5 });
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      playerEventHelper.firePauseEvent();
+      jest.advanceTimersByTime(10000);
+      expect(videoAnalytics.reportPlaybackFailed).not.toHaveBeenCalled();
+
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.firePlayingEvent();
+      jest.advanceTimersByTime(5000);
+      expect(videoAnalytics.reportPlaybackFailed).toHaveBeenCalledWith(
+        'Playhead stuck: no progress for 5 seconds while playing',
+      );
+    });
+  });
+
+  describe('report hooks', () => {
+    beforeEach(() => {
+      playerEventHelper.firePlayEvent();
+    });
+
+    it('passes reports with kind, key, values and session id', () => {
+      const hook = jest.fn();
+      convivaAnalytics.onBeforeReport(hook);
+
+      convivaAnalytics.sendCustomPlaybackEvent('my event', { key: 'value' });
+
+      expect(hook).toHaveBeenCalledWith({
+        kind: 'reportPlaybackEvent',
+        key: 'my event',
+        values: [{ key: 'value' }],
+        sessionId: MockHelper.latestVideoAnalytics.getSessionId(),
       });
     });
+
+    it('passes the session id of the new session to its first report', () => {
+      const hook = jest.fn();
+      convivaAnalytics.onBeforeReport(hook);
+      const endedSessionId = MockHelper.latestVideoAnalytics.getSessionId();
+
+      playerEventHelper.firePlaybackFinishedEvent();
+      hook.mockClear();
+      playerEventHelper.firePlayEvent();
+
+      expect(hook).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'reportPlaybackRequested',
+          sessionId: MockHelper.latestVideoAnalytics.getSessionId(),
+        }),
+      );
+      expect(hook).not.toHaveBeenCalledWith(expect.objectContaining({ sessionId: endedSessionId }));
+    });
+
+    it('reports modified reports', () => {
+      convivaAnalytics.onBeforeReport((report) => {
+        delete report.values[0].email;
+        report.values[0].scrubbed = 'true';
+      });
+
+      convivaAnalytics.sendCustomPlaybackEvent('my event', { email: 'viewer@example.com', key: 'value' });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith('my event', {
+        key: 'value',
+        scrubbed: 'true',
+      });
+    });
+
+    it('reports replaced reports', () => {
+      convivaAnalytics.onBeforeReport((report) => ({ ...report, key: 'renamed event' }));
+
+      convivaAnalytics.sendCustomPlaybackEvent('my event');
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith('renamed event', {});
+    });
+
+    it('drops reports', () => {
+      const afterHook = jest.fn();
+      convivaAnalytics.onBeforeReport((report) => (report.kind === 'reportPlaybackEvent' ? null : report));
+      convivaAnalytics.onAfterReport(afterHook);
+
+      convivaAnalytics.sendCustomPlaybackEvent('my event');
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).not.toHaveBeenCalled();
+      expect(afterHook).not.toHaveBeenCalled();
+    });
+
+    it('keeps the number of metric values', () => {
+      const hook = jest.fn();
+      convivaAnalytics.onAfterReport(hook);
+
+      playerEventHelper.firePlayingEvent();
+
+      expect(hook).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'reportPlaybackMetric',
+          key: Conviva.Constants.Playback.PLAYER_STATE,
+          values: [Conviva.Constants.PlayerState.PLAYING],
+        }),
+      );
+    });
+
+    it('passes reports to after report hooks once reported', () => {
+      const afterHook = jest.fn(() => {
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalled();
+      });
+      convivaAnalytics.onAfterReport(afterHook);
+
+      convivaAnalytics.sendCustomPlaybackEvent('my event');
+
+      expect(afterHook).toHaveBeenCalledWith(expect.objectContaining({ kind: 'reportPlaybackEvent', key: 'my event' }));
+    });
+
+    it('continues reporting if a hook throws', () => {
+      convivaAnalytics.onBeforeReport(() => {
+        throw new Error('broken hook');
+      });
+
+      convivaAnalytics.sendCustomPlaybackEvent('my event');
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith('my event', {});
+    });
+
+    it('removes hooks', () => {
+      const hook = jest.fn();
+      const removeHook = convivaAnalytics.onBeforeReport(hook);
+
+      removeHook();
+      convivaAnalytics.sendCustomPlaybackEvent('my event');
+
+      expect(hook).not.toHaveBeenCalled();
+    });
   });
 
   describe('late player attaching', () => {
@@ -564,6 +1505,21 @@ describe(ConvivaAnalytics, () => {
       expect(() => convivaAnalytics.initializeSession()).toThrow();
     });
 
+    it('logs a rejected player via the logging system interface', () => {
+      const consoleLog = jest.fn();
+      convivaAnalytics.release();
+      convivaAnalytics = new ConvivaAnalytics(undefined, 'TEST-KEY', {
+        systemInterfaces: { logging: { consoleLog } },
+      });
+
+      convivaAnalytics.attachPlayer(playerMock);
+
+      expect(consoleLog).toHaveBeenCalledWith(
+        expect.stringContaining('cannot attach player'),
+        Conviva.SystemSettings.LogLevel.WARNING,
+      );
+    });
+
     it('attaches player after session initialization', () => {
       jest.spyOn(playerMock, 'getSource').mockReturnValue({
         hls: 'test.m3u8',
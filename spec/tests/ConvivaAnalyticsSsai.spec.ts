@@ -294,4 +294,223 @@ describe(ConvivaAnalyticsSsai, () => {
 
     expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(2);
   });
+
+  describe('ad timeline', () => {
+    let convivaAnalyticsTrackerMock: ConvivaAnalyticsTracker;
+    let currentTime: number;
+    let ssai: ConvivaAnalyticsSsai;
+
+    beforeEach(() => {
+      convivaAnalyticsTrackerMock = mock<ConvivaAnalyticsTracker>({
+        isAdBreakActive: false,
+      });
+      (convivaAnalyticsTrackerMock.getContentMetadata as jest.Mock).mockReturnValue({});
+      currentTime = 100;
+      ssai = new ConvivaAnalyticsSsai(convivaAnalyticsTrackerMock, () => currentTime);
+    });
+
+    function playAdBreak() {
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+      currentTime = 110;
+      ssai.reportAdFinished();
+      ssai.reportAdStarted({ id: 'ad-2', duration: 10 });
+      currentTime = 120;
+      ssai.reportAdFinished();
+      ssai.reportAdBreakFinished();
+      (convivaAnalyticsTrackerMock.trackAdBreakStarted as jest.Mock).mockClear();
+      (convivaAnalyticsTrackerMock.trackAdStarted as jest.Mock).mockClear();
+      (convivaAnalyticsTrackerMock.trackAdFinished as jest.Mock).mockClear();
+      (convivaAnalyticsTrackerMock.trackAdBreakFinished as jest.Mock).mockClear();
+    }
+
+    it('should report the ad as skipped and the ad break as finished when seeking back out of it', () => {
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+
+      ssai.handleSeeked(50);
+
+      expect(convivaAnalyticsTrackerMock.trackAdSkipped).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+      expect(ssai.isAdBreakActive).toBe(false);
+    });
+
+    it('should finish the ad break when seeking forward out of it if its duration is known', () => {
+      ssai.reportAdBreakStarted({ startTime: 100, duration: 30 });
+      ssai.reportAdStarted({ id: 'ad-1', startTime: 100, duration: 10 });
+
+      ssai.handleSeeked(130);
+
+      expect(convivaAnalyticsTrackerMock.trackAdSkipped).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the ad break when seeking forward if its duration is unknown', () => {
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1' });
+
+      ssai.handleSeeked(500);
+
+      expect(convivaAnalyticsTrackerMock.trackAdSkipped).not.toHaveBeenCalled();
+      expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+      expect(ssai.isAdBreakActive).toBe(true);
+    });
+
+    it('should keep the ad break when its position is unknown', () => {
+      ssai = new ConvivaAnalyticsSsai(convivaAnalyticsTrackerMock);
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+
+      ssai.handleSeeked(50);
+
+      expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+      expect(ssai.isAdBreakActive).toBe(true);
+    });
+
+    it('should report the ad as skipped when seeking to another ad of the ad break', () => {
+      ssai.reportAdBreakStarted({ duration: 20 });
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+      currentTime = 110;
+      ssai.reportAdFinished();
+      ssai.reportAdStarted({ id: 'ad-2', duration: 10 });
+      (convivaAnalyticsTrackerMock.trackAdStarted as jest.Mock).mockClear();
+
+      ssai.handleSeeked(105);
+
+      expect(convivaAnalyticsTrackerMock.trackAdSkipped).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+        expect.objectContaining({ 'c3.ad.id': 'ad-1' }),
+        Conviva.Constants.AdType.SERVER_SIDE,
+      );
+      expect(ssai.isAdBreakActive).toBe(true);
+    });
+
+    it('should restore a past ad break at the correct ad when seeking back into it', () => {
+      playAdBreak();
+
+      ssai.handleSeeked(112);
+
+      expect(ssai.isAdBreakActive).toBe(true);
+      expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledWith(
+        Conviva.Constants.AdType.SERVER_SIDE,
+      );
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+        expect.objectContaining({ 'c3.ad.id': 'ad-2', [Conviva.Constants.DURATION]: 10 }),
+        Conviva.Constants.AdType.SERVER_SIDE,
+      );
+    });
+
+    it('should finish a restored ad break when playing past its end', () => {
+      playAdBreak();
+      ssai.handleSeeked(105);
+
+      ssai.handleTimeChanged(109);
+      expect(convivaAnalyticsTrackerMock.trackAdFinished).not.toHaveBeenCalled();
+
+      ssai.handleTimeChanged(110);
+      expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenLastCalledWith(
+        expect.objectContaining({ 'c3.ad.id': 'ad-2' }),
+        Conviva.Constants.AdType.SERVER_SIDE,
+      );
+
+      ssai.handleTimeChanged(120);
+      expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(2);
+      expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+      expect(ssai.isAdBreakActive).toBe(false);
+    });
+
+    it('should not restore ad breaks which were seeked over', () => {
+      playAdBreak();
+
+      ssai.handleSeeked(300);
+
+      expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+      expect(ssai.isAdBreakActive).toBe(false);
+    });
+
+    it('should not restore content as ad break after seeking forward past an ad without duration', () => {
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1' });
+      ssai.handleSeeked(500);
+      currentTime = 510;
+      ssai.reportAdFinished();
+      ssai.reportAdBreakFinished();
+      (convivaAnalyticsTrackerMock.trackAdBreakStarted as jest.Mock).mockClear();
+      (convivaAnalyticsTrackerMock.trackAdStarted as jest.Mock).mockClear();
+
+      ssai.handleSeeked(300);
+
+      expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).not.toHaveBeenCalled();
+      expect(ssai.isAdBreakActive).toBe(false);
+    });
+
+    it('should only restore ads with a known end after seeking within the ad break', () => {
+      ssai.reportAdBreakStarted({ duration: 60 });
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+      currentTime = 110;
+      ssai.reportAdStarted({ id: 'ad-2' });
+      ssai.handleSeeked(150);
+      currentTime = 160;
+      ssai.reportAdBreakFinished();
+      (convivaAnalyticsTrackerMock.trackAdStarted as jest.Mock).mockClear();
+
+      ssai.handleSeeked(130);
+
+      expect(ssai.isAdBreakActive).toBe(true);
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).not.toHaveBeenCalled();
+    });
+
+    it('should not restore ad breaks during a client-side ad break', () => {
+      playAdBreak();
+      (convivaAnalyticsTrackerMock as { isAdBreakActive: boolean }).isAdBreakActive = true;
+
+      ssai.handleSeeked(105);
+
+      expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+    });
+
+    it('should not report a restored ad again when it is reported by the app', () => {
+      playAdBreak();
+      ssai.handleSeeked(105);
+      currentTime = 105;
+
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+
+      expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(1);
+    });
+
+    it('should finish the playing ad when the next ad starts', () => {
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+      currentTime = 110;
+      ssai.reportAdStarted({ id: 'ad-2', duration: 10 });
+
+      expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(2);
+    });
+
+    it('should finish the playing ad when the ad break finishes', () => {
+      ssai.reportAdBreakStarted();
+      ssai.reportAdStarted({ id: 'ad-1', duration: 10 });
+      currentTime = 105;
+      ssai.reportAdBreakFinished();
+
+      expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+      expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forget past ad breaks on reset', () => {
+      playAdBreak();
+      ssai.reset();
+
+      ssai.handleSeeked(105);
+
+      expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+    });
+  });
 });
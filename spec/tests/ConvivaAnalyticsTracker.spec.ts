@@ -1,6 +1,25 @@
-import { ConvivaAnalyticsTracker } from '../../src/ts/ConvivaAnalyticsTracker';
-import { MockHelper } from '../helper/MockHelper';
+import {
+  CDN_CHANGED_PLAYBACK_EVENT,
+  ConvivaAnalyticsConfiguration,
+  ConvivaAnalyticsTracker,
+  DVR_WINDOW_SIZE_PLAYBACK_METRIC,
+  LATENCY_MODE_CHANGED_PLAYBACK_EVENT,
+  LIVE_LATENCY_PLAYBACK_METRIC,
+  TIME_SHIFT_PLAYBACK_METRIC,
+} from '../../src/ts/ConvivaAnalyticsTracker';
+import { MockHelper, PlayerEventHelper } from '../helper/MockHelper';
 import * as Conviva from '@convivainc/conviva-js-coresdk';
+import {
+  BufferType,
+  HttpRequestType,
+  LatencyMode,
+  LatencyModeChangedEvent,
+  MediaType,
+  PlayerAPI,
+  PlayerEvent,
+  TimeMode,
+  VideoQualityChangedEvent,
+} from 'bitmovin-player';
 
 jest.mock('@convivainc/conviva-js-coresdk', () => {
   const { MockHelper } = jest.requireActual('../helper/MockHelper');
@@ -9,6 +28,17 @@ jest.mock('@convivainc/conviva-js-coresdk', () => {
 jest.mock('../../src/ts/Html5Logging');
 
 describe(ConvivaAnalyticsTracker, () => {
+  it('should pass custom system interfaces to the Conviva SDK', () => {
+    const makeRequest = jest.fn();
+
+    new ConvivaAnalyticsTracker('test-key', { systemInterfaces: { http: { makeRequest } } });
+
+    const callbackFunctions = (Conviva.Analytics.init as jest.Mock).mock.calls[0][1];
+    callbackFunctions[Conviva.Constants.CallbackFunctions.MAKE_REQUEST]('GET', 'https://test', null, null, 0, null);
+
+    expect(makeRequest).toHaveBeenCalledWith('GET', 'https://test', null, null, 0, null);
+  });
+
   it('should report ad resolution and framerate for server side ad', () => {
     const { playerMock } = MockHelper.createPlayerMock();
     const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
@@ -93,8 +123,767 @@ describe(ConvivaAnalyticsTracker, () => {
 
     expect(invokedTimesAfter).toBe(invokedTimesBefore);
   });
+
+  it('should end the session on page hide', () => {
+    const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+    const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+    convivaAnalyticsTracker.attachPlayer(playerMock);
+
+    playerEventHelper.firePlayEvent();
+    const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(videoAnalytics.reportPlaybackEnded).toHaveBeenCalled();
+    expect(videoAnalytics.release).toHaveBeenCalled();
+
+    convivaAnalyticsTracker.release(false);
+  });
+
+  it('should create a new session on play after page hide', () => {
+    const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+    const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+    convivaAnalyticsTracker.attachPlayer(playerMock);
+
+    playerEventHelper.firePlayEvent();
+    const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+    window.dispatchEvent(new Event('pagehide'));
+    playerEventHelper.firePlayEvent();
+
+    expect(MockHelper.latestVideoAnalytics).not.toBe(videoAnalytics);
+    expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalled();
+
+    convivaAnalyticsTracker.release(false);
+  });
+
+  describe('page visibility', () => {
+    let visibilityStateSpy: jest.SpyInstance;
+
+    const setVisibilityState = (visibilityState: typeof document.visibilityState) => {
+      visibilityStateSpy.mockReturnValue(visibilityState);
+      document.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    beforeEach(() => {
+      visibilityStateSpy = jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('visible');
+    });
+
+    afterEach(() => {
+      visibilityStateSpy.mockRestore();
+    });
+
+    it('should end the session once the page is hidden', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      setVisibilityState('hidden');
+
+      expect(videoAnalytics.reportPlaybackEnded).toHaveBeenCalled();
+      expect(videoAnalytics.release).toHaveBeenCalled();
+
+      convivaAnalyticsTracker.release(false);
+    });
+
+    it('should continue the playback in a new session once the page is visible again', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      setVisibilityState('hidden');
+      (playerMock.getAudio as jest.Mock).mockClear();
+      setVisibilityState('visible');
+
+      expect(MockHelper.latestVideoAnalytics).not.toBe(videoAnalytics);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalled();
+      // The new session of this player reports the audio track of the running playback
+      expect(playerMock.getAudio).toHaveBeenCalled();
+
+      convivaAnalyticsTracker.release(false);
+    });
+
+    it('should wait for the next play if the playback is paused once the page is visible again', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      playerEventHelper.firePlayEvent();
+
+      setVisibilityState('hidden');
+      (playerMock.isPlaying as jest.Mock).mockReturnValue(false);
+      (playerMock.getAudio as jest.Mock).mockClear();
+      setVisibilityState('visible');
+
+      expect(playerMock.getAudio).not.toHaveBeenCalled();
+
+      convivaAnalyticsTracker.release(false);
+    });
+
+    it('should stop listening to visibility changes after release', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      const removeEventListenerSpy = jest.spyOn(document, 'removeEventListener');
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.release(false);
+
+      expect(removeEventListenerSpy).toHaveBeenCalledWith('visibilitychange', expect.any(Function));
+      removeEventListenerSpy.mockRestore();
+    });
+  });
+
+  it('should report resolution on video quality change', () => {
+    const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+    const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+    convivaAnalyticsTracker.attachPlayer(playerMock);
+
+    playerEventHelper.firePlayEvent();
+    convivaAnalyticsTracker.trackVideoQualityChanged({
+      timestamp: Date.now(),
+      type: PlayerEvent.VideoPlaybackQualityChanged,
+      sourceQuality: { id: '1', bitrate: 250_000, width: 640, height: 360 },
+      targetQuality: { id: '2', bitrate: 500_000, width: 1280, height: 720 },
+    } as VideoQualityChangedEvent);
+
+    expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+      Conviva.Constants.Playback.RESOLUTION,
+      '1280x720',
+    );
+  });
+
+  it('should report rendered framerate and dropped frames on the Conviva callback', () => {
+    const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+    let now = 10_000;
+    const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key', {
+      systemInterfaces: { time: { getEpochTimeMs: () => now, release: () => undefined } },
+    });
+    convivaAnalyticsTracker.attachPlayer(playerMock);
+
+    const playbackQuality = { totalVideoFrames: 0, droppedVideoFrames: 0 };
+    jest.spyOn(playerMock, 'getVideoElement').mockReturnValue({
+      getVideoPlaybackQuality: () => playbackQuality,
+    } as unknown as HTMLVideoElement);
+
+    playerEventHelper.firePlayEvent();
+    const convivaCallback = getConvivaCallback();
+
+    convivaCallback();
+
+    now = 12_000;
+    playbackQuality.totalVideoFrames = 60;
+    playbackQuality.droppedVideoFrames = 10;
+    convivaCallback();
+
+    expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+      Conviva.Constants.Playback.RENDERED_FRAMERATE,
+      25,
+    );
+    expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+      Conviva.Constants.Playback.DROPPED_FRAMES_COUNT,
+      10,
+    );
+  });
+
+  it('should not report rendered framerate while paused', () => {
+    const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+    const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+    convivaAnalyticsTracker.attachPlayer(playerMock);
+
+    jest.spyOn(playerMock, 'isPlaying').mockReturnValue(false);
+
+    playerEventHelper.firePlayEvent();
+    getConvivaCallback()();
+
+    expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+      Conviva.Constants.Playback.RENDERED_FRAMERATE,
+      expect.anything(),
+    );
+  });
+
+  describe('server-side ad metrics', () => {
+    const qualityChangedEvent = {
+      timestamp: Date.now(),
+      type: PlayerEvent.VideoPlaybackQualityChanged,
+      sourceQuality: { id: '1', bitrate: 250_000, width: 640, height: 360 },
+      targetQuality: { id: '2', bitrate: 500_000, width: 1280, height: 720 },
+    } as VideoQualityChangedEvent;
+
+    it('should report video quality changes to the ad session during server-side ad breaks', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      (MockHelper.latestVideoAnalytics.reportPlaybackMetric as jest.Mock).mockClear();
+      convivaAnalyticsTracker.trackVideoQualityChanged(qualityChangedEvent);
+
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).toHaveBeenCalledWith(Conviva.Constants.Playback.BITRATE, 500);
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.RESOLUTION,
+        '1280x720',
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalled();
+    });
+
+    it('should report video quality changes to the content session during client-side ad breaks', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+      convivaAnalyticsTracker.trackVideoQualityChanged(qualityChangedEvent);
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BITRATE,
+        500,
+      );
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).not.toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BITRATE,
+        expect.anything(),
+      );
+    });
+
+    it('should report the content video quality after a server-side ad break', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      convivaAnalyticsTracker.trackVideoQualityChanged(qualityChangedEvent);
+      (MockHelper.latestVideoAnalytics.reportPlaybackMetric as jest.Mock).mockClear();
+      convivaAnalyticsTracker.trackAdBreakFinished();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BITRATE,
+        1,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.RESOLUTION,
+        '100x100',
+      );
+    });
+
+    it('should report the bitrate of the content stream on server-side ad start', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      jest
+        .spyOn(playerMock, 'getPlaybackVideoData')
+        .mockReturnValue({ id: '1', bitrate: 2_400_000, width: 1280, height: 720 });
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      convivaAnalyticsTracker.trackAdStarted({}, Conviva.Constants.AdType.SERVER_SIDE);
+
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BITRATE,
+        2_400,
+      );
+    });
+
+    it('should report rendered framerate and dropped frames to the ad session during server-side ad breaks', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      let now = 10_000;
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key', {
+        systemInterfaces: { time: { getEpochTimeMs: () => now, release: () => undefined } },
+      });
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+
+      const playbackQuality = { totalVideoFrames: 0, droppedVideoFrames: 0 };
+      jest.spyOn(playerMock, 'getVideoElement').mockReturnValue({
+        getVideoPlaybackQuality: () => playbackQuality,
+      } as unknown as HTMLVideoElement);
+
+      playerEventHelper.firePlayEvent();
+      const convivaCallback = getConvivaCallback();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      (MockHelper.latestVideoAnalytics.reportPlaybackMetric as jest.Mock).mockClear();
+
+      convivaCallback();
+
+      now = 12_000;
+      playbackQuality.totalVideoFrames = 60;
+      playbackQuality.droppedVideoFrames = 10;
+      convivaCallback();
+
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.RENDERED_FRAMERATE,
+        25,
+      );
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.DROPPED_FRAMES_COUNT,
+        10,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+        Conviva.Constants.Playback.RENDERED_FRAMERATE,
+        expect.anything(),
+      );
+    });
+  });
+
+  describe('buffer length', () => {
+    const mockBufferLevels = (playerMock: PlayerAPI, levels: { [media: string]: number | null }) => {
+      jest.spyOn(playerMock.buffer, 'getLevel').mockImplementation((type: BufferType, media: MediaType) => ({
+        level: levels[media],
+        targetLevel: 40,
+        type,
+        media,
+      }));
+    };
+
+    it('should report the smaller forward buffer of video and audio on the Conviva callback', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      mockBufferLevels(playerMock, { [MediaType.Video]: 12.5, [MediaType.Audio]: 8 });
+
+      playerEventHelper.firePlayEvent();
+      getConvivaCallback()();
+
+      expect(playerMock.buffer.getLevel).toHaveBeenCalledWith(BufferType.ForwardDuration, MediaType.Video);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BUFFER_LENGTH,
+        8000,
+      );
+    });
+
+    it('should ignore media types without a track', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      mockBufferLevels(playerMock, { [MediaType.Video]: 12.5, [MediaType.Audio]: null });
+
+      playerEventHelper.firePlayEvent();
+      getConvivaCallback()();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BUFFER_LENGTH,
+        12500,
+      );
+    });
+
+    it('should report buffer length to the ad session during an ad break', () => {
+      const { playerMock, playerEventHelper } = MockHelper.createPlayerMock();
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      mockBufferLevels(playerMock, { [MediaType.Video]: 3, [MediaType.Audio]: 4 });
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      getConvivaCallback()();
+
+      expect(MockHelper.latestAdAnalytics.reportAdMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BUFFER_LENGTH,
+        3000,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+        Conviva.Constants.Playback.BUFFER_LENGTH,
+        expect.anything(),
+      );
+    });
+  });
+
+  describe('live metrics', () => {
+    let playerMock: PlayerAPI;
+    let playerEventHelper: PlayerEventHelper;
+    let convivaAnalyticsTracker: ConvivaAnalyticsTracker;
+
+    beforeEach(() => {
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+      convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      jest.spyOn(playerMock, 'isLive').mockReturnValue(true);
+      jest.spyOn(playerMock, 'getMaxTimeShift').mockReturnValue(-120);
+      jest.spyOn(playerMock, 'getTimeShift').mockReturnValue(-30.5);
+    });
+
+    it('should report latency, dvr window size and time shift on the Conviva callback', () => {
+      jest.spyOn(playerMock.lowlatency, 'getLatency').mockReturnValue(3.2);
+
+      playerEventHelper.firePlayEvent();
+      getConvivaCallback()();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        LIVE_LATENCY_PLAYBACK_METRIC,
+        3200,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        DVR_WINDOW_SIZE_PLAYBACK_METRIC,
+        120000,
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        TIME_SHIFT_PLAYBACK_METRIC,
+        30500,
+      );
+    });
+
+    it('should fall back to the program date time for the latency', () => {
+      convivaAnalyticsTracker.release(false);
+      convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key', {
+        systemInterfaces: { time: { getEpochTimeMs: () => 1700000010000, release: () => undefined } },
+      });
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      jest
+        .spyOn(playerMock, 'getCurrentTime')
+        .mockImplementation((mode) => (mode === TimeMode.AbsoluteTime ? 1700000004 : 60));
+
+      playerEventHelper.firePlayEvent();
+      getConvivaCallback()();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        LIVE_LATENCY_PLAYBACK_METRIC,
+        6000,
+      );
+    });
+
+    it('should not report a latency without low latency API and program date time', () => {
+      jest.spyOn(playerMock, 'getCurrentTime').mockReturnValue(60);
+
+      playerEventHelper.firePlayEvent();
+      getConvivaCallback()();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+        LIVE_LATENCY_PLAYBACK_METRIC,
+        expect.anything(),
+      );
+    });
+
+    it('should not report live metrics for VOD streams', () => {
+      jest.spyOn(playerMock, 'isLive').mockReturnValue(false);
+
+      playerEventHelper.firePlayEvent();
+      getConvivaCallback()();
+
+      [LIVE_LATENCY_PLAYBACK_METRIC, DVR_WINDOW_SIZE_PLAYBACK_METRIC, TIME_SHIFT_PLAYBACK_METRIC].forEach((metric) => {
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+          metric,
+          expect.anything(),
+        );
+      });
+    });
+
+    it('should not report live metrics during client-side ad breaks', () => {
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+      getConvivaCallback()();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+        DVR_WINDOW_SIZE_PLAYBACK_METRIC,
+        expect.anything(),
+      );
+    });
+
+    it('should not report live metrics during server-side ad breaks', () => {
+      jest.spyOn(playerMock.lowlatency, 'getLatency').mockReturnValue(3.2);
+
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      convivaAnalyticsTracker.trackAdStarted({}, Conviva.Constants.AdType.SERVER_SIDE);
+      getConvivaCallback()();
+
+      [LIVE_LATENCY_PLAYBACK_METRIC, DVR_WINDOW_SIZE_PLAYBACK_METRIC, TIME_SHIFT_PLAYBACK_METRIC].forEach((metric) => {
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+          metric,
+          expect.anything(),
+        );
+        expect(MockHelper.latestAdAnalytics.reportAdMetric).not.toHaveBeenCalledWith(metric, expect.anything());
+      });
+    });
+
+    it('should report live metrics again after server-side ad breaks', () => {
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+      convivaAnalyticsTracker.trackAdBreakFinished();
+      getConvivaCallback()();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        DVR_WINDOW_SIZE_PLAYBACK_METRIC,
+        120000,
+      );
+    });
+
+    it('should report latency mode changes as playback event', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.fireEvent<LatencyModeChangedEvent>({
+        timestamp: Date.now(),
+        type: PlayerEvent.LatencyModeChanged,
+        from: LatencyMode.Idle,
+        to: LatencyMode.Catchup,
+      });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith(
+        LATENCY_MODE_CHANGED_PLAYBACK_EVENT,
+        { from: 'idle', to: 'catchup' },
+      );
+    });
+
+    it('should not report latency mode changes without an active session', () => {
+      playerEventHelper.fireEvent<LatencyModeChangedEvent>({
+        timestamp: Date.now(),
+        type: PlayerEvent.LatencyModeChanged,
+        from: LatencyMode.Idle,
+        to: LatencyMode.Catchup,
+      });
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('session limits', () => {
+    let playerMock: PlayerAPI;
+    let playerEventHelper: PlayerEventHelper;
+    let convivaAnalyticsTracker: ConvivaAnalyticsTracker;
+
+    const createTracker = (config: ConvivaAnalyticsConfiguration) => {
+      convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key', config);
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+      jest.spyOn(playerMock, 'getSource').mockReturnValue({ hls: 'test.m3u8', title: 'Asset Title' });
+    };
+
+    const trackPlaybackState = (type: PlayerEvent) => {
+      convivaAnalyticsTracker.trackPlaybackStateChanged({ type, timestamp: Date.now() });
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+    });
+
+    afterEach(() => {
+      convivaAnalyticsTracker.release(false);
+      jest.useRealTimers();
+    });
+
+    it('should end the session after the maximum idle duration while paused', () => {
+      createTracker({ maxIdleDurationMinutes: 30 });
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      trackPlaybackState(PlayerEvent.Paused);
+      jest.advanceTimersByTime(30 * 60 * 1000 - 1);
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(videoAnalytics.reportPlaybackEnded).toHaveBeenCalled();
+      expect(videoAnalytics.release).toHaveBeenCalled();
+    });
+
+    it('should not end the session while playing', () => {
+      createTracker({ maxIdleDurationMinutes: 30 });
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      trackPlaybackState(PlayerEvent.Paused);
+      jest.advanceTimersByTime(20 * 60 * 1000);
+      trackPlaybackState(PlayerEvent.Playing);
+      jest.advanceTimersByTime(20 * 60 * 1000);
+
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+    });
+
+    it('should end a session which was never played after the maximum idle duration', () => {
+      createTracker({ maxIdleDurationMinutes: 30 });
+      convivaAnalyticsTracker.initializeSession();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      jest.advanceTimersByTime(30 * 60 * 1000);
+
+      expect(videoAnalytics.release).toHaveBeenCalled();
+    });
+
+    it('should start a new session with the same metadata on the next play', () => {
+      createTracker({ maxIdleDurationMinutes: 30 });
+      convivaAnalyticsTracker.updateContentMetadata({ viewerId: 'viewer-1' });
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      trackPlaybackState(PlayerEvent.Paused);
+      jest.advanceTimersByTime(30 * 60 * 1000);
+      playerEventHelper.firePlayEvent();
+
+      expect(MockHelper.latestVideoAnalytics).not.toBe(videoAnalytics);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.objectContaining({ assetName: 'Asset Title', viewerId: 'viewer-1' }),
+      );
+    });
+
+    it('should not end the finished session again after the timeouts', () => {
+      createTracker({ maxIdleDurationMinutes: 30, maxSessionDurationMinutes: 240 });
+      playerEventHelper.firePlayEvent();
+      trackPlaybackState(PlayerEvent.Paused);
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      playerEventHelper.firePlaybackFinishedEvent();
+
+      jest.advanceTimersByTime(240 * 60 * 1000);
+      expect(videoAnalytics.reportPlaybackEnded).not.toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics).toBe(videoAnalytics);
+    });
+
+    it('should not roll over the session of a replay if the maximum duration was reached before', () => {
+      createTracker({ maxSessionDurationMinutes: 240 });
+      playerEventHelper.firePlayEvent();
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+      jest.advanceTimersByTime(240 * 60 * 1000);
+      playerEventHelper.firePlaybackFinishedEvent();
+
+      playerEventHelper.firePlayEvent();
+      const replayVideoAnalytics = MockHelper.latestVideoAnalytics;
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+      convivaAnalyticsTracker.trackAdBreakFinished();
+
+      expect(replayVideoAnalytics.release).not.toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics).toBe(replayVideoAnalytics);
+    });
+
+    it('should not end the session during an ad break', () => {
+      createTracker({ maxIdleDurationMinutes: 30 });
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+      trackPlaybackState(PlayerEvent.Paused);
+      jest.advanceTimersByTime(30 * 60 * 1000);
+
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+    });
+
+    it('should roll over to a new session after the maximum session duration while playing', () => {
+      createTracker({ maxSessionDurationMinutes: 240 });
+      playerEventHelper.firePlayEvent();
+      trackPlaybackState(PlayerEvent.Playing);
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      jest.advanceTimersByTime(240 * 60 * 1000);
+
+      expect(videoAnalytics.reportPlaybackEnded).toHaveBeenCalled();
+      expect(videoAnalytics.release).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics).not.toBe(videoAnalytics);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+        expect.objectContaining({ assetName: 'Asset Title' }),
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.PLAYER_STATE,
+        Conviva.Constants.PlayerState.PLAYING,
+      );
+    });
+
+    it('should end a paused session after the maximum session duration', () => {
+      createTracker({ maxSessionDurationMinutes: 240 });
+      playerEventHelper.firePlayEvent();
+      jest.spyOn(playerMock, 'isPlaying').mockReturnValue(false);
+      trackPlaybackState(PlayerEvent.Paused);
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      jest.advanceTimersByTime(240 * 60 * 1000);
+
+      expect(videoAnalytics.release).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics).toBe(videoAnalytics);
+    });
+
+    it('should roll over after the ad break if the maximum session duration is reached during it', () => {
+      createTracker({ maxSessionDurationMinutes: 240 });
+      playerEventHelper.firePlayEvent();
+      const videoAnalytics = MockHelper.latestVideoAnalytics;
+
+      convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+      jest.advanceTimersByTime(240 * 60 * 1000);
+      expect(videoAnalytics.release).not.toHaveBeenCalled();
+
+      convivaAnalyticsTracker.trackAdBreakFinished();
+      expect(videoAnalytics.release).toHaveBeenCalled();
+      expect(MockHelper.latestVideoAnalytics).not.toBe(videoAnalytics);
+    });
+  });
+
+  describe('cdn tracking', () => {
+    let playerMock: PlayerAPI;
+    let playerEventHelper: PlayerEventHelper;
+
+    beforeEach(() => {
+      ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
+      const convivaAnalyticsTracker = new ConvivaAnalyticsTracker('test-key');
+      convivaAnalyticsTracker.attachPlayer(playerMock);
+    });
+
+    it('should report the host of media segments as cdn ip', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.fireDownloadFinishedEvent('https://cdn-a.example.com/video/segment_1.m4s');
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.CDN_IP,
+        'cdn-a.example.com',
+      );
+    });
+
+    it('should report a host seen before the session was initialized', () => {
+      playerEventHelper.fireDownloadFinishedEvent('https://cdn-a.example.com/video/segment_1.m4s');
+      playerEventHelper.firePlayEvent();
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenCalledWith(
+        Conviva.Constants.Playback.CDN_IP,
+        'cdn-a.example.com',
+      );
+    });
+
+    it('should only report the cdn ip when the host changes', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.fireDownloadFinishedEvent('https://cdn-a.example.com/video/segment_1.m4s');
+      playerEventHelper.fireDownloadFinishedEvent('https://cdn-a.example.com/video/segment_2.m4s');
+
+      const cdnIpCalls = (MockHelper.latestVideoAnalytics.reportPlaybackMetric as jest.Mock).mock.calls.filter(
+        ([metricKey]) => metricKey === Conviva.Constants.Playback.CDN_IP,
+      );
+      expect(cdnIpCalls.length).toBe(1);
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).not.toHaveBeenCalled();
+    });
+
+    it('should report a playback event when the cdn switches', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.fireDownloadFinishedEvent('https://cdn-a.example.com/video/segment_1.m4s');
+      playerEventHelper.fireDownloadFinishedEvent('https://cdn-b.example.com/video/segment_2.m4s');
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).toHaveBeenLastCalledWith(
+        Conviva.Constants.Playback.CDN_IP,
+        'cdn-b.example.com',
+      );
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackEvent).toHaveBeenCalledWith(CDN_CHANGED_PLAYBACK_EVENT, {
+        previousCdn: 'cdn-a.example.com',
+        cdn: 'cdn-b.example.com',
+      });
+    });
+
+    it('should ignore non media downloads', () => {
+      playerEventHelper.firePlayEvent();
+      playerEventHelper.fireDownloadFinishedEvent(
+        'https://origin.example.com/master.m3u8',
+        HttpRequestType.MANIFEST_HLS_MASTER,
+      );
+
+      expect(MockHelper.latestVideoAnalytics.reportPlaybackMetric).not.toHaveBeenCalledWith(
+        Conviva.Constants.Playback.CDN_IP,
+        expect.anything(),
+      );
+    });
+  });
 });
 
+const getConvivaCallback = (): (() => void) => {
+  return (MockHelper.latestVideoAnalytics.setCallback as jest.Mock).mock.calls[0][0];
+};
+
 const getInvokedTimes = (mock: unknown) => {
   return (mock as jest.MockInstance<Function, unknown[]>).mock.calls.length;
 };
@@ -0,0 +1,103 @@
+import { ErrorCode, ErrorEvent, PlayerEvent, WarningCode, WarningEvent } from 'bitmovin-player';
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { ErrorHelper } from '../../src/ts/helper/ErrorHelper';
+
+describe(ErrorHelper, () => {
+  describe('mapErrorCategory', () => {
+    it.each([
+      [ErrorCode.UNKNOWN, 'unknown'],
+      [ErrorCode.SETUP_LICENSE_ERROR, 'setup'],
+      [ErrorCode.SOURCE_COULD_NOT_LOAD_MANIFEST, 'source'],
+      [ErrorCode.SOURCE_INVALID_H264_CODEC, 'source'],
+      [ErrorCode.PLAYBACK_ERROR, 'playback'],
+      [ErrorCode.PLAYBACK_VIDEO_DECODING_ERROR, 'decoder'],
+      [ErrorCode.PLAYBACK_HLS_COULD_NOT_LOAD_TRANSMUXER, 'decoder'],
+      [ErrorCode.NETWORK_MANIFEST_DOWNLOAD_TIMEOUT, 'network'],
+      [ErrorCode.DRM_KEY_SYSTEM_NOT_SUPPORTED, 'drm'],
+      [ErrorCode.SEGMENT_PSSH_DATA_MISSING, 'drm'],
+      [ErrorCode.VR_INCOMPATIBLE_PLAYER_TECHNOLOGY, 'vr'],
+      [ErrorCode.MODULE_MISSING, 'module'],
+      [ErrorCode.MODULE_ADVERTISING_ERROR, 'advertising'],
+      [9999, 'unknown'],
+    ])('should map error code %d to %s', (errorCode, category) => {
+      expect(ErrorHelper.mapErrorCategory(errorCode)).toEqual(category);
+    });
+  });
+
+  describe('mapError', () => {
+    it('should report errors as fatal by default', () => {
+      expect(ErrorHelper.mapError(ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT)).toEqual({
+        category: 'network',
+        severity: Conviva.Constants.ErrorSeverity.FATAL,
+      });
+    });
+
+    it('should report advertising module errors as warnings by default', () => {
+      expect(ErrorHelper.mapError(ErrorCode.MODULE_ADVERTISING_ERROR).severity).toEqual(
+        Conviva.Constants.ErrorSeverity.WARNING,
+      );
+    });
+
+    it('should apply the overrides of the error code', () => {
+      const overrides = {
+        [ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT]: { severity: Conviva.Constants.ErrorSeverity.WARNING },
+        [ErrorCode.MODULE_ADVERTISING_ERROR]: { category: 'module' as const },
+      };
+
+      expect(ErrorHelper.mapError(ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT, overrides)).toEqual({
+        category: 'network',
+        severity: Conviva.Constants.ErrorSeverity.WARNING,
+      });
+      expect(ErrorHelper.mapError(ErrorCode.MODULE_ADVERTISING_ERROR, overrides)).toEqual({
+        category: 'module',
+        severity: Conviva.Constants.ErrorSeverity.WARNING,
+      });
+      expect(ErrorHelper.mapError(ErrorCode.NETWORK_MANIFEST_DOWNLOAD_TIMEOUT, overrides).severity).toEqual(
+        Conviva.Constants.ErrorSeverity.FATAL,
+      );
+    });
+  });
+
+  describe('extractErrorAttributes', () => {
+    it('should only contain the available details', () => {
+      const event: ErrorEvent = {
+        timestamp: 0,
+        type: PlayerEvent.Error,
+        code: ErrorCode.SOURCE_ERROR,
+        name: 'SOURCE_ERROR',
+        troubleShootLink: '',
+      };
+
+      expect(
+        ErrorHelper.extractErrorAttributes(event, {
+          category: 'source',
+          severity: Conviva.Constants.ErrorSeverity.FATAL,
+        }),
+      ).toEqual({
+        errorCode: '1200',
+        errorName: 'SOURCE_ERROR',
+        errorCategory: 'source',
+        errorSeverity: 'fatal',
+      });
+    });
+  });
+
+  describe('formatWarning', () => {
+    const event: WarningEvent = {
+      timestamp: 0,
+      type: PlayerEvent.Warning,
+      code: WarningCode.PLAYBACK_GAP_DETECTED,
+      name: 'PLAYBACK_GAP_DETECTED',
+      message: '',
+      data: {},
+    };
+
+    it('should append the number of dropped warnings', () => {
+      expect(ErrorHelper.formatWarning(event, 3)).toEqual('1301 PLAYBACK_GAP_DETECTED (3 dropped)');
+    });
+
+    it('should not mention dropped warnings if there were none', () => {
+      expect(ErrorHelper.formatWarning(event)).toEqual('1301 PLAYBACK_GAP_DETECTED');
+    });
+  });
+});
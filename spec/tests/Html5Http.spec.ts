@@ -0,0 +1,241 @@
+import { Html5Http } from '../../src/ts/Html5Http';
+
+declare const global: any;
+
+const flushPromises = () => new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+class AbortControllerMock {
+  public signal = { aborted: false };
+  public abort = jest.fn(() => {
+    this.signal.aborted = true;
+  });
+}
+
+const createResponse = (status: number, body: string = '') => ({
+  status,
+  text: () => Promise.resolve(body),
+});
+
+describe(Html5Http, () => {
+  let fetchMock: jest.Mock;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+    global.AbortController = AbortControllerMock;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+    delete global.AbortController;
+  });
+
+  it('should use fetch when available', async () => {
+    fetchMock.mockImplementation(() => Promise.resolve(createResponse(200, 'response')));
+    const callback = jest.fn();
+
+    new Html5Http().makeRequest('POST', 'https://test', 'data', 'application/json', 1000, callback);
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledWith(
+      'https://test',
+      expect.objectContaining({
+        method: 'POST',
+        body: 'data',
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    );
+    expect(callback).toHaveBeenCalledWith(true, 'response');
+  });
+
+  it('should accept any 2xx status', async () => {
+    fetchMock.mockImplementation(() => Promise.resolve(createResponse(204)));
+    const callback = jest.fn();
+
+    new Html5Http().makeRequest('GET', 'https://test', null, null, 1000, callback);
+    await flushPromises();
+
+    expect(callback).toHaveBeenCalledWith(true, '');
+  });
+
+  it('should report non 2xx status as failure without retrying', async () => {
+    fetchMock.mockImplementation(() => Promise.resolve(createResponse(503)));
+    const callback = jest.fn();
+
+    new Html5Http({ maxRetries: 3 }).makeRequest('GET', 'https://test', null, null, 1000, callback);
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(false, 'http status 503');
+  });
+
+  it('should report a timeout and abort the request', () => {
+    fetchMock.mockReturnValue(new Promise(() => undefined));
+    const callback = jest.fn();
+
+    new Html5Http().makeRequest('GET', 'https://test', null, null, 1000, callback);
+    jest.advanceTimersByTime(1000);
+
+    expect(callback).toHaveBeenCalledWith(false, 'timeout after 1000 ms');
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it('should abort the request without invoking the callback on cancel', async () => {
+    fetchMock.mockImplementation(() => Promise.reject(new Error('aborted')));
+    const callback = jest.fn();
+
+    const cancel = new Html5Http().makeRequest('GET', 'https://test', null, null, 1000, callback);
+    cancel();
+    await flushPromises();
+    jest.runAllTimers();
+
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should retry network errors with exponential backoff', async () => {
+    fetchMock
+      .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+      .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+      .mockImplementation(() => Promise.resolve(createResponse(200, 'response')));
+    const callback = jest.fn();
+
+    new Html5Http({ maxRetries: 2, retryDelayMs: 100 }).makeRequest('GET', 'https://test', null, null, 0, callback);
+
+    await flushPromises();
+    jest.advanceTimersByTime(99);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    await flushPromises();
+    jest.advanceTimersByTime(199);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+
+    await flushPromises();
+    expect(callback).toHaveBeenCalledWith(true, 'response');
+  });
+
+  it('should report a failure once all retries are exhausted', async () => {
+    fetchMock.mockImplementation(() => Promise.reject(new Error('offline')));
+    const callback = jest.fn();
+
+    new Html5Http({ maxRetries: 1, retryDelayMs: 100 }).makeRequest('GET', 'https://test', null, null, 0, callback);
+
+    await flushPromises();
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(callback).toHaveBeenCalledWith(false, 'network error: Error: offline');
+  });
+
+  describe('page unload', () => {
+    let sendBeaconMock: jest.Mock;
+    let http: Html5Http;
+
+    beforeEach(() => {
+      sendBeaconMock = jest.fn(() => true);
+      global.navigator.sendBeacon = sendBeaconMock;
+      fetchMock.mockImplementation(() => Promise.resolve(createResponse(200)));
+      http = new Html5Http();
+    });
+
+    afterEach(() => {
+      http.release();
+      delete global.navigator.sendBeacon;
+    });
+
+    it('should not use beacons while the page is visible', () => {
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, jest.fn());
+
+      expect(sendBeaconMock).not.toHaveBeenCalled();
+      expect(fetchMock).toHaveBeenCalled();
+    });
+
+    it('should send POST requests as beacon while the page is hidden', () => {
+      const visibilityStateSpy = jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+      const callback = jest.fn();
+
+      document.dispatchEvent(new Event('visibilitychange'));
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, callback);
+
+      expect(sendBeaconMock).toHaveBeenCalledWith('https://test', 'data');
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledWith(true, '');
+      visibilityStateSpy.mockRestore();
+    });
+
+    it('should use the regular transport again once the page is visible', async () => {
+      const visibilityStateSpy = jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+      const callback = jest.fn();
+
+      document.dispatchEvent(new Event('visibilitychange'));
+      visibilityStateSpy.mockReturnValue('visible');
+      document.dispatchEvent(new Event('visibilitychange'));
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, callback);
+      await flushPromises();
+
+      expect(sendBeaconMock).not.toHaveBeenCalled();
+      expect(fetchMock).toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledWith(true, '');
+      visibilityStateSpy.mockRestore();
+    });
+
+    it('should not send GET requests as beacon while the page is hidden', () => {
+      const visibilityStateSpy = jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+
+      document.dispatchEvent(new Event('visibilitychange'));
+      http.makeRequest('GET', 'https://test', null, null, 1000, jest.fn());
+
+      expect(sendBeaconMock).not.toHaveBeenCalled();
+      expect(fetchMock).toHaveBeenCalled();
+      visibilityStateSpy.mockRestore();
+    });
+
+    it('should send POST requests as beacon after page hide', () => {
+      const callback = jest.fn();
+
+      window.dispatchEvent(new Event('pagehide'));
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, callback);
+
+      expect(sendBeaconMock).toHaveBeenCalledWith('https://test', 'data');
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledWith(true, '');
+    });
+
+    it('should use the regular transport again once the page is shown', () => {
+      window.dispatchEvent(new Event('pagehide'));
+      window.dispatchEvent(new Event('pageshow'));
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, jest.fn());
+
+      expect(sendBeaconMock).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the regular transport if the beacon cannot be queued', () => {
+      sendBeaconMock.mockReturnValue(false);
+
+      window.dispatchEvent(new Event('pagehide'));
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, jest.fn());
+
+      expect(sendBeaconMock).toHaveBeenCalled();
+      expect(fetchMock).toHaveBeenCalled();
+    });
+
+    it('should stop listening to page lifecycle events after release', () => {
+      const visibilityStateSpy = jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+      http.release();
+
+      window.dispatchEvent(new Event('pagehide'));
+      document.dispatchEvent(new Event('visibilitychange'));
+      http.makeRequest('POST', 'https://test', 'data', 'application/json', 1000, jest.fn());
+
+      expect(sendBeaconMock).not.toHaveBeenCalled();
+      visibilityStateSpy.mockRestore();
+    });
+  });
+});
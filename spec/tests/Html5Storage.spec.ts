@@ -0,0 +1,322 @@
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { AsyncStorageAdapter, Html5Storage } from '../../src/ts/Html5Storage';
+
+function flushPromises(): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+function blockLocalStorage(): jest.SpyInstance {
+  return jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('SecurityError');
+  });
+}
+
+function blockCookies(): void {
+  Object.defineProperty(document, 'cookie', {
+    configurable: true,
+    get: () => '',
+    set: () => undefined,
+  });
+}
+
+function unblockCookies(): void {
+  // Removes the own property again, which reveals the jsdom implementation of the prototype
+  delete (document as any).cookie;
+}
+
+function clearCookies(): void {
+  document.cookie.split('; ').forEach((cookie) => {
+    document.cookie = cookie.split('=')[0] + '=; path=/; max-age=0';
+  });
+}
+
+describe(Html5Storage, () => {
+  let storage: Html5Storage;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    unblockCookies();
+    localStorage.clear();
+    clearCookies();
+  });
+
+  describe('localStorage', () => {
+    beforeEach(() => {
+      storage = new Html5Storage();
+    });
+
+    it('should be used if available', () => {
+      const callback = jest.fn();
+
+      storage.saveData('space', 'key', 'data', callback);
+
+      expect(callback).toHaveBeenCalledWith(true, null);
+      expect(localStorage.getItem('space.key')).toBe('data');
+      expect(storage.getBackendName()).toBe('localStorage');
+    });
+
+    it('should load saved data', () => {
+      const callback = jest.fn();
+
+      storage.saveData('space', 'key', 'data', jest.fn());
+      storage.loadData('space', 'key', callback);
+
+      expect(callback).toHaveBeenCalledWith(true, 'data');
+    });
+  });
+
+  describe('cookie', () => {
+    beforeEach(() => {
+      blockLocalStorage();
+      storage = new Html5Storage();
+    });
+
+    it('should be used if localStorage is blocked', () => {
+      const callback = jest.fn();
+
+      storage.saveData('space', 'key', 'da ta;', callback);
+      storage.loadData('space', 'key', callback);
+
+      expect(callback).toHaveBeenCalledWith(true, null);
+      expect(callback).toHaveBeenCalledWith(true, 'da ta;');
+      expect(storage.getBackendName()).toBe('cookie');
+    });
+
+    describe('attributes', () => {
+      const topDescriptor = Object.getOwnPropertyDescriptor(window, 'top');
+      let writtenCookies: string[];
+
+      beforeEach(() => {
+        writtenCookies = [];
+        const cookies: Record<string, string> = {};
+        Object.defineProperty(document, 'cookie', {
+          configurable: true,
+          get: () =>
+            Object.keys(cookies)
+              .map((name) => name + '=' + cookies[name])
+              .join('; '),
+          set: (cookie: string) => {
+            writtenCookies.push(cookie);
+            const [name, value] = cookie.split(';')[0].split('=');
+            cookies[name] = value;
+          },
+        });
+      });
+
+      afterEach(() => {
+        Object.defineProperty(window, 'top', topDescriptor);
+      });
+
+      it('should be first-party cookies in the top window', () => {
+        storage.saveData('space', 'key', 'data', jest.fn());
+
+        expect(writtenCookies[writtenCookies.length - 1]).toMatch(/; SameSite=Lax$/);
+      });
+
+      it('should be cross-site cookies in an iframe', () => {
+        Object.defineProperty(window, 'top', { configurable: true, get: () => ({}) });
+
+        storage.saveData('space', 'key', 'data', jest.fn());
+
+        expect(writtenCookies[writtenCookies.length - 1]).toMatch(/; SameSite=None; Secure$/);
+        expect(storage.getBackendName()).toBe('cookie');
+      });
+    });
+
+    it('should survive a new instance', () => {
+      const callback = jest.fn();
+
+      storage.saveData('space', 'key', 'data', jest.fn());
+      new Html5Storage().loadData('space', 'key', callback);
+
+      expect(callback).toHaveBeenCalledWith(true, 'data');
+    });
+  });
+
+  describe('memory', () => {
+    beforeEach(() => {
+      blockLocalStorage();
+      blockCookies();
+      storage = new Html5Storage();
+    });
+
+    it('should be used if localStorage and cookies are blocked', () => {
+      const callback = jest.fn();
+
+      storage.saveData('space', 'key', 'data', jest.fn());
+      storage.loadData('space', 'key', callback);
+
+      expect(callback).toHaveBeenCalledWith(true, 'data');
+      expect(storage.getBackendName()).toBe('memory');
+    });
+
+    it('should return null for unknown keys', () => {
+      const callback = jest.fn();
+
+      storage.loadData('space', 'unknown', callback);
+
+      expect(callback).toHaveBeenCalledWith(true, null);
+    });
+  });
+
+  it('should move on to the next backend if the current one starts failing', () => {
+    storage = new Html5Storage();
+    storage.saveData('space', 'key', 'data', jest.fn());
+
+    blockLocalStorage();
+    const callback = jest.fn();
+    storage.saveData('space', 'key', 'other data', callback);
+
+    expect(callback).toHaveBeenCalledWith(true, null);
+    expect(storage.getBackendName()).toBe('cookie');
+  });
+
+  describe('throwing callbacks', () => {
+    let logger: Conviva.LoggingInterface;
+
+    beforeEach(() => {
+      logger = { consoleLog: jest.fn(), release: jest.fn() };
+    });
+
+    it('should not fall back to the next backend', () => {
+      storage = new Html5Storage({ logger });
+      const callback = jest.fn(() => {
+        throw new Error('callback failed');
+      });
+
+      storage.saveData('space', 'key', 'data', callback);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(storage.getBackendName()).toBe('localStorage');
+      expect(logger.consoleLog).toHaveBeenCalledWith(
+        expect.stringContaining('callback failed'),
+        Conviva.SystemSettings.LogLevel.ERROR,
+      );
+    });
+
+    it('should not fall back to browser storage after asyncStorage succeeded', async () => {
+      const asyncStorage: AsyncStorageAdapter = {
+        getItem: jest.fn(() => Promise.resolve('async data')),
+        setItem: jest.fn(() => Promise.resolve()),
+      };
+      storage = new Html5Storage({ asyncStorage, logger });
+      const callback = jest.fn(() => {
+        throw new Error('callback failed');
+      });
+
+      storage.loadData('space', 'key', callback);
+      await flushPromises();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(logger.consoleLog).toHaveBeenCalledWith(
+        expect.stringContaining('callback failed'),
+        Conviva.SystemSettings.LogLevel.ERROR,
+      );
+    });
+  });
+
+  describe('asyncStorage', () => {
+    let asyncStorage: AsyncStorageAdapter;
+
+    beforeEach(() => {
+      asyncStorage = {
+        getItem: jest.fn(() => Promise.resolve('async data')),
+        setItem: jest.fn(() => Promise.resolve()),
+      };
+      storage = new Html5Storage({ asyncStorage });
+    });
+
+    it('should be preferred over browser storage', async () => {
+      const saveCallback = jest.fn();
+      const loadCallback = jest.fn();
+
+      storage.saveData('space', 'key', 'data', saveCallback);
+      storage.loadData('space', 'key', loadCallback);
+      await flushPromises();
+
+      expect(asyncStorage.setItem).toHaveBeenCalledWith('space.key', 'data');
+      expect(saveCallback).toHaveBeenCalledWith(true, null);
+      expect(loadCallback).toHaveBeenCalledWith(true, 'async data');
+      expect(localStorage.getItem('space.key')).toBeNull();
+      expect(storage.getBackendName()).toBe('asyncStorage');
+    });
+
+    it('should migrate data saved in browser storage before', async () => {
+      (asyncStorage.getItem as jest.Mock).mockImplementation(() => Promise.resolve(null));
+      localStorage.setItem('space.key', 'legacy client id');
+      const callback = jest.fn();
+
+      storage.loadData('space', 'key', callback);
+      await flushPromises();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(true, 'legacy client id');
+      expect(asyncStorage.setItem).toHaveBeenCalledWith('space.key', 'legacy client id');
+    });
+
+    it('should only look up browser storage on the first read of a key', async () => {
+      (asyncStorage.getItem as jest.Mock).mockImplementation(() => Promise.resolve(null));
+      const callback = jest.fn();
+
+      storage.loadData('space', 'key', callback);
+      await flushPromises();
+      localStorage.setItem('space.key', 'legacy client id');
+      storage.loadData('space', 'key', callback);
+      await flushPromises();
+
+      expect(callback).toHaveBeenNthCalledWith(1, true, null);
+      expect(callback).toHaveBeenNthCalledWith(2, true, null);
+      expect(asyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to browser storage if it fails', async () => {
+      (asyncStorage.setItem as jest.Mock).mockImplementation(() => Promise.reject(new Error('unavailable')));
+      const callback = jest.fn();
+
+      storage.saveData('space', 'key', 'data', callback);
+      await flushPromises();
+
+      expect(callback).toHaveBeenCalledWith(true, null);
+      expect(localStorage.getItem('space.key')).toBe('data');
+    });
+
+    it('should fall back to browser storage if it throws synchronously', async () => {
+      (asyncStorage.getItem as jest.Mock).mockImplementation(() => {
+        throw new Error('unavailable');
+      });
+      localStorage.setItem('space.key', 'local data');
+      const callback = jest.fn();
+
+      storage.loadData('space', 'key', callback);
+      await flushPromises();
+
+      expect(callback).toHaveBeenCalledWith(true, 'local data');
+    });
+  });
+
+  describe('debug logging', () => {
+    let consoleLogSpy: jest.SpyInstance;
+
+    beforeEach(() => {
+      consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    });
+
+    it('should log the backend in use once', () => {
+      storage = new Html5Storage({ debugLoggingEnabled: true });
+
+      storage.saveData('space', 'key', 'data', jest.fn());
+      storage.loadData('space', 'key', jest.fn());
+
+      expect(consoleLogSpy).toHaveBeenCalledTimes(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith('[ Html5Storage ] using localStorage backend');
+    });
+
+    it('should not log if debug logging is disabled', () => {
+      storage = new Html5Storage();
+
+      storage.saveData('space', 'key', 'data', jest.fn());
+
+      expect(consoleLogSpy).not.toHaveBeenCalled();
+    });
+  });
+});
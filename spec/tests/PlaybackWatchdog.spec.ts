@@ -0,0 +1,170 @@
+import { PlayerEvent, PlayerEventBase } from 'bitmovin-player';
+import { PlaybackWatchdog } from '../../src/ts/PlaybackWatchdog';
+
+describe(PlaybackWatchdog, () => {
+  let onTimeout: jest.Mock;
+  let watchdog: PlaybackWatchdog;
+
+  function fire(type: PlayerEvent) {
+    watchdog.onPlayerEvent({ type, timestamp: Date.now() } as PlayerEventBase);
+  }
+
+  function startPlayback() {
+    fire(PlayerEvent.Play);
+    fire(PlayerEvent.Playing);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onTimeout = jest.fn();
+    watchdog = new PlaybackWatchdog(
+      { stallTimeoutSeconds: 10, startupTimeoutSeconds: 15, playheadStuckTimeoutSeconds: 5 },
+      onTimeout,
+    );
+  });
+
+  afterEach(() => {
+    watchdog.reset();
+    jest.useRealTimers();
+  });
+
+  describe('stall timeout', () => {
+    it('should report a stall which does not end', () => {
+      startPlayback();
+      fire(PlayerEvent.StallStarted);
+      jest.advanceTimersByTime(10000);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(onTimeout).toHaveBeenCalledWith('Stall timeout: stalled for more than 10 seconds');
+    });
+
+    it('should not report a stall which ended in time', () => {
+      startPlayback();
+      fire(PlayerEvent.StallStarted);
+      jest.advanceTimersByTime(9000);
+      fire(PlayerEvent.StallEnded);
+      watchdog.onTimeChanged(1);
+      jest.advanceTimersByTime(4000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('should not report stalls before the first frame as stall', () => {
+      fire(PlayerEvent.Play);
+      fire(PlayerEvent.StallStarted);
+      jest.advanceTimersByTime(10000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startup timeout', () => {
+    it('should report a startup without first frame', () => {
+      fire(PlayerEvent.Play);
+      jest.advanceTimersByTime(15000);
+
+      expect(onTimeout).toHaveBeenCalledWith('Startup timeout: no first frame 15 seconds after play');
+    });
+
+    it('should not report a startup with first frame in time', () => {
+      fire(PlayerEvent.Play);
+      jest.advanceTimersByTime(14000);
+      fire(PlayerEvent.Playing);
+      fire(PlayerEvent.Paused);
+      jest.advanceTimersByTime(15000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('should not time out a resume after the first frame', () => {
+      startPlayback();
+      fire(PlayerEvent.Paused);
+      fire(PlayerEvent.Play);
+      jest.advanceTimersByTime(15000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('should restart after a client-side ad break', () => {
+      fire(PlayerEvent.Play);
+      watchdog.onAdBreakStarted();
+      jest.advanceTimersByTime(30000);
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      watchdog.onAdBreakFinished();
+      jest.advanceTimersByTime(15000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('playhead stuck timeout', () => {
+    it('should report a playhead not advancing while playing', () => {
+      startPlayback();
+      watchdog.onTimeChanged(1);
+      watchdog.onTimeChanged(1);
+      jest.advanceTimersByTime(5000);
+
+      expect(onTimeout).toHaveBeenCalledWith('Playhead stuck: no progress for 5 seconds while playing');
+    });
+
+    it('should not report an advancing playhead', () => {
+      startPlayback();
+
+      for (let time = 1; time <= 10; time++) {
+        jest.advanceTimersByTime(1000);
+        watchdog.onTimeChanged(time);
+      }
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['paused', PlayerEvent.Paused],
+      ['seeking', PlayerEvent.Seek],
+      ['time shifting', PlayerEvent.TimeShift],
+    ])('should not report a playhead not advancing while %s', (_, type) => {
+      startPlayback();
+      fire(type);
+      jest.advanceTimersByTime(10000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+
+    it('should not report a playhead not advancing during a client-side ad break', () => {
+      startPlayback();
+      watchdog.onAdBreakStarted();
+      jest.advanceTimersByTime(10000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should report a failure only once if the session ends', () => {
+    startPlayback();
+    fire(PlayerEvent.StallStarted);
+    jest.advanceTimersByTime(60000);
+
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the other timeouts running if the session is kept', () => {
+    watchdog = new PlaybackWatchdog(
+      { startupTimeoutSeconds: 15, playheadStuckTimeoutSeconds: 5, endSession: false },
+      onTimeout,
+    );
+    fire(PlayerEvent.Play);
+    jest.advanceTimersByTime(15000);
+    fire(PlayerEvent.Playing);
+    jest.advanceTimersByTime(5000);
+
+    expect(onTimeout).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only run the configured timeouts', () => {
+    watchdog = new PlaybackWatchdog({ stallTimeoutSeconds: 10 }, onTimeout);
+    fire(PlayerEvent.Play);
+    jest.advanceTimersByTime(60000);
+
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+});
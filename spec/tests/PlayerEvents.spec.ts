@@ -1,7 +1,7 @@
 import { MockHelper, PlayerEventHelper } from '../helper/MockHelper';
 import { ConvivaAnalytics } from '../../src/ts';
 import * as Conviva from '@convivainc/conviva-js-coresdk';
-import { PlayerAPI } from 'bitmovin-player';
+import { Ad, PlayerAPI } from 'bitmovin-player';
 import { ConvivaAnalyticsTracker } from '../../src/ts/ConvivaAnalyticsTracker';
 
 jest.mock('@convivainc/conviva-js-coresdk', () => {
@@ -12,11 +12,12 @@ jest.mock('@convivainc/conviva-js-coresdk', () => {
 describe('player event tests', () => {
   let playerMock: PlayerAPI;
   let playerEventHelper: PlayerEventHelper;
+  let convivaAnalytics: ConvivaAnalytics;
 
   beforeEach(() => {
     ({ playerMock, playerEventHelper } = MockHelper.createPlayerMock());
 
-    new ConvivaAnalytics(playerMock, 'TEST-KEY');
+    convivaAnalytics = new ConvivaAnalytics(playerMock, 'TEST-KEY');
   });
 
   describe('player event handling', () => {
@@ -172,6 +173,7 @@ describe('player event tests', () => {
       it('on source unloaded', () => {
         playerEventHelper.fireSourceUnloadedEvent();
 
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackEnded).toHaveBeenCalledTimes(1);
         expect(MockHelper.latestVideoAnalytics.release).toHaveBeenCalledTimes(1);
       });
 
@@ -188,6 +190,119 @@ describe('player event tests', () => {
       });
     });
 
+    describe('consecutive sources', () => {
+      let sessionCount: number;
+
+      function loadNextSource(title: string) {
+        jest.spyOn(playerMock, 'getSource').mockReturnValue({ hls: 'next.m3u8', title });
+        playerEventHelper.fireSourceUnloadedEvent();
+        playerEventHelper.fireSourceLoadedEvent();
+      }
+
+      beforeEach(() => {
+        sessionCount = 0;
+        const buildVideoAnalytics = Conviva.Analytics.buildVideoAnalytics;
+        jest.spyOn(Conviva.Analytics, 'buildVideoAnalytics').mockImplementation(() => {
+          sessionCount++;
+          return buildVideoAnalytics();
+        });
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('does not create a session when the first source is loaded', () => {
+        playerEventHelper.fireSourceLoadedEvent();
+
+        expect(sessionCount).toBe(0);
+      });
+
+      it('creates a session with metadata of the next source once it is loaded', () => {
+        playerEventHelper.firePlayEvent();
+        const firstSession = MockHelper.latestVideoAnalytics;
+
+        loadNextSource('Next Asset');
+
+        expect(firstSession.reportPlaybackEnded).toHaveBeenCalled();
+        expect(firstSession.release).toHaveBeenCalled();
+        expect(sessionCount).toBe(2);
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+          expect.objectContaining({ assetName: 'Next Asset' }),
+        );
+      });
+
+      it('creates a session for the next source after playback finished', () => {
+        playerEventHelper.firePlayEvent();
+        playerEventHelper.firePlaybackFinishedEvent();
+
+        loadNextSource('Next Asset');
+
+        expect(sessionCount).toBe(2);
+      });
+
+      it('does not create another session on play of the next source', () => {
+        playerEventHelper.firePlayEvent();
+        loadNextSource('Next Asset');
+
+        playerEventHelper.firePlayEvent();
+
+        expect(sessionCount).toBe(2);
+      });
+
+      it('keeps the content metadata set by the app for the next source', () => {
+        convivaAnalytics.updateContentMetadata({
+          assetName: 'App Asset',
+          viewerId: 'viewer-1',
+          custom: { customTag: 'custom-value' },
+        });
+        playerEventHelper.firePlayEvent();
+
+        loadNextSource('Next Asset');
+
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+          expect.objectContaining({ assetName: 'Next Asset', viewerId: 'viewer-1', customTag: 'custom-value' }),
+        );
+      });
+
+      it('does not keep the metadata of the program of the previous source', () => {
+        convivaAnalytics.updateContentMetadata({ viewerId: 'viewer-1' });
+        playerEventHelper.firePlayEvent();
+        convivaAnalytics.reportProgramChanged({ assetName: 'Program', custom: { programTag: 'program-value' } });
+
+        loadNextSource('Next Asset');
+
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).toHaveBeenCalledWith(
+          expect.objectContaining({ assetName: 'Next Asset', viewerId: 'viewer-1' }),
+        );
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).not.toHaveBeenCalledWith(
+          expect.objectContaining({ programTag: 'program-value' }),
+        );
+      });
+
+      it('does not keep the content metadata set by the app after the app ended the session', () => {
+        convivaAnalytics.updateContentMetadata({ viewerId: 'viewer-1', custom: { customTag: 'custom-value' } });
+        playerEventHelper.firePlayEvent();
+
+        convivaAnalytics.endSession();
+        jest.spyOn(playerMock, 'getSource').mockReturnValue({ hls: 'test.m3u8', title: 'Asset Title' });
+        convivaAnalytics.initializeSession();
+
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).not.toHaveBeenCalledWith(
+          expect.objectContaining({ viewerId: 'viewer-1' }),
+        );
+        expect(MockHelper.latestVideoAnalytics.reportPlaybackRequested).not.toHaveBeenCalledWith(
+          expect.objectContaining({ customTag: 'custom-value' }),
+        );
+      });
+
+      it('does not create a session for the next source if the previous one was not tracked', () => {
+        loadNextSource('Next Asset');
+
+        expect(sessionCount).toBe(0);
+      });
+    });
+
     describe('seeking', () => {
       beforeEach(() => {
         playerEventHelper.firePlayEvent();
@@ -248,6 +363,11 @@ describe('player event tests', () => {
       expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenCalledWith(
         Conviva.Constants.AdType.CLIENT_SIDE,
         Conviva.Constants.AdPlayer.SEPARATE,
+        {
+          [Conviva.Constants.POD_POSITION]: Conviva.Constants.AdPosition.PREROLL,
+          [Conviva.Constants.POD_INDEX]: 1,
+          absoluteIndex: 1,
+        },
       );
     });
 
@@ -258,9 +378,79 @@ describe('player event tests', () => {
       expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenCalledWith(
         Conviva.Constants.AdType.CLIENT_SIDE,
         Conviva.Constants.AdPlayer.SEPARATE,
+        {
+          [Conviva.Constants.POD_POSITION]: Conviva.Constants.AdPosition.MIDROLL,
+          [Conviva.Constants.POD_INDEX]: 1,
+          absoluteIndex: 1,
+        },
       );
     });
 
+    describe('pod metadata', () => {
+      function playAdBreak(startTime: number) {
+        playerEventHelper.fireAdBreakStartedEvent(startTime);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdFinishedEvent();
+        playerEventHelper.fireAdBreakFinishedEvent();
+      }
+
+      it('indexes pods per pod position and within the session', () => {
+        playAdBreak(0);
+        playAdBreak(3);
+        playAdBreak(6);
+
+        expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenLastCalledWith(
+          Conviva.Constants.AdType.CLIENT_SIDE,
+          Conviva.Constants.AdPlayer.SEPARATE,
+          expect.objectContaining({
+            [Conviva.Constants.POD_POSITION]: Conviva.Constants.AdPosition.MIDROLL,
+            [Conviva.Constants.POD_INDEX]: 2,
+            absoluteIndex: 3,
+          }),
+        );
+      });
+
+      it('restarts indexing with a new session', () => {
+        playAdBreak(0);
+        playerEventHelper.firePlaybackFinishedEvent();
+        playerEventHelper.firePlayEvent();
+        playAdBreak(0);
+
+        expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenCalledWith(
+          Conviva.Constants.AdType.CLIENT_SIDE,
+          Conviva.Constants.AdPlayer.SEPARATE,
+          expect.objectContaining({
+            [Conviva.Constants.POD_INDEX]: 1,
+            absoluteIndex: 1,
+          }),
+        );
+      });
+
+      it('reports the pod duration if all ads of the pod are known', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0, [
+          { isLinear: true, width: 0, height: 0, duration: 15 } as Ad,
+          { isLinear: true, width: 0, height: 0, duration: 30 } as Ad,
+        ]);
+
+        expect(MockHelper.latestVideoAnalytics.reportAdBreakStarted).toHaveBeenCalledWith(
+          Conviva.Constants.AdType.CLIENT_SIDE,
+          Conviva.Constants.AdPlayer.SEPARATE,
+          expect.objectContaining({ [Conviva.Constants.POD_DURATION]: 45 }),
+        );
+      });
+
+      it('reports the ad sequence within the pod', () => {
+        playerEventHelper.fireAdBreakStartedEvent(0);
+        playerEventHelper.fireAdStartedEvent();
+        playerEventHelper.fireAdFinishedEvent();
+        playerEventHelper.fireAdStartedEvent();
+
+        expect(MockHelper.latestAdAnalytics.reportAdStarted).toHaveBeenLastCalledWith(
+          expect.objectContaining({ 'c3.ad.sequence': '2' }),
+        );
+      });
+    });
+
     describe('track ad end', () => {
       beforeEach(() => {
         playerEventHelper.fireAdBreakStartedEvent(0);
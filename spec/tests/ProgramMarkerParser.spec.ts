@@ -0,0 +1,90 @@
+import { MetadataEvent, MetadataType, PlayerEvent } from 'bitmovin-player';
+import { ProgramMarkerParser } from '../../src/ts/helper/ProgramMarkerParser';
+
+function createMetadataEvent(metadataType: MetadataType, metadata: object): MetadataEvent {
+  return {
+    timestamp: Date.now(),
+    type: PlayerEvent.Metadata,
+    metadataType,
+    metadata,
+  };
+}
+
+describe(ProgramMarkerParser, () => {
+  describe('HLS date ranges', () => {
+    const config = { dateRangeClass: 'com.example.program' };
+
+    it('should parse a date range of the configured class', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, {
+        id: 'program-1',
+        class: 'com.example.program',
+        startDate: '2024-01-01T20:00:00Z',
+        xTitle: 'Evening News',
+      });
+
+      expect(ProgramMarkerParser.parse(event, config)).toEqual({ id: 'program-1', title: 'Evening News' });
+    });
+
+    it('should parse attributes independent of their case', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, {
+        ID: 'program-1',
+        CLASS: 'com.example.program',
+        'X-TITLE': 'Evening News',
+      });
+
+      expect(ProgramMarkerParser.parse(event, config)).toEqual({ id: 'program-1', title: 'Evening News' });
+    });
+
+    it('should parse a date range without title', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, { id: 'program-1', class: 'com.example.program' });
+
+      expect(ProgramMarkerParser.parse(event, config)).toEqual({ id: 'program-1', title: undefined });
+    });
+
+    it('should ignore date ranges of other classes', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, { id: 'ad-1', class: 'com.example.ad' });
+
+      expect(ProgramMarkerParser.parse(event, config)).toBeUndefined();
+    });
+
+    it('should ignore date ranges if no class is configured', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, { id: 'program-1', class: 'com.example.program' });
+
+      expect(ProgramMarkerParser.parse(event, { id3Title: true })).toBeUndefined();
+    });
+  });
+
+  describe('ID3', () => {
+    it('should parse the title frame', () => {
+      const event = createMetadataEvent(MetadataType.ID3, {
+        frames: [
+          { key: 'PRIV', data: [1, 2, 3] },
+          { key: 'TIT2', data: ' Evening News ' },
+        ],
+      });
+
+      expect(ProgramMarkerParser.parse(event, { id3Title: true })).toEqual({
+        id: 'Evening News',
+        title: 'Evening News',
+      });
+    });
+
+    it('should ignore tags without title frame', () => {
+      const event = createMetadataEvent(MetadataType.ID3, { frames: [{ key: 'PRIV', data: [1, 2, 3] }] });
+
+      expect(ProgramMarkerParser.parse(event, { id3Title: true })).toBeUndefined();
+    });
+
+    it('should ignore title frames if disabled', () => {
+      const event = createMetadataEvent(MetadataType.ID3, { frames: [{ key: 'TIT2', data: 'Evening News' }] });
+
+      expect(ProgramMarkerParser.parse(event, { dateRangeClass: 'com.example.program' })).toBeUndefined();
+    });
+  });
+
+  it('should ignore other metadata', () => {
+    const event = createMetadataEvent(MetadataType.CUETAG, { type: 'CUE-OUT' });
+
+    expect(ProgramMarkerParser.parse(event, { dateRangeClass: 'com.example.program', id3Title: true })).toBeUndefined();
+  });
+});
@@ -0,0 +1,56 @@
+import { RateLimiter } from '../../src/ts/helper/RateLimiter';
+
+describe(RateLimiter, () => {
+  let now: number;
+  let rateLimiter: RateLimiter;
+
+  beforeEach(() => {
+    now = 0;
+    rateLimiter = new RateLimiter(2, 1000, () => now);
+  });
+
+  it('should drop reports above the limit', () => {
+    expect(rateLimiter.tryAcquire('a')).toBe(true);
+    expect(rateLimiter.tryAcquire('a')).toBe(true);
+    expect(rateLimiter.tryAcquire('a')).toBe(false);
+  });
+
+  it('should limit every key on its own', () => {
+    rateLimiter.tryAcquire('a');
+    rateLimiter.tryAcquire('a');
+
+    expect(rateLimiter.tryAcquire('b')).toBe(true);
+  });
+
+  it('should allow reports again once earlier ones left the interval', () => {
+    rateLimiter.tryAcquire('a');
+    now = 500;
+    rateLimiter.tryAcquire('a');
+    now = 999;
+    expect(rateLimiter.tryAcquire('a')).toBe(false);
+
+    now = 1000;
+    expect(rateLimiter.tryAcquire('a')).toBe(true);
+    expect(rateLimiter.tryAcquire('a')).toBe(false);
+  });
+
+  it('should count the dropped reports until they are taken', () => {
+    rateLimiter.tryAcquire('a');
+    rateLimiter.tryAcquire('a');
+    rateLimiter.tryAcquire('a');
+    rateLimiter.tryAcquire('a');
+
+    expect(rateLimiter.takeDroppedCount('a')).toEqual(2);
+    expect(rateLimiter.takeDroppedCount('a')).toEqual(0);
+  });
+
+  it('should forget all reports on reset', () => {
+    rateLimiter.tryAcquire('a');
+    rateLimiter.tryAcquire('a');
+    rateLimiter.tryAcquire('a');
+    rateLimiter.reset();
+
+    expect(rateLimiter.takeDroppedCount('a')).toEqual(0);
+    expect(rateLimiter.tryAcquire('a')).toBe(true);
+  });
+});
@@ -0,0 +1,175 @@
+import { MetadataEvent, MetadataType, PlayerEvent } from 'bitmovin-player';
+import { SsaiMarkerParser } from '../../src/ts/helper/SsaiMarkerParser';
+
+function createMetadataEvent(
+  metadataType: MetadataType,
+  metadata: object,
+  start?: number,
+  end?: number,
+): MetadataEvent {
+  return {
+    timestamp: Date.now(),
+    type: PlayerEvent.Metadata,
+    metadataType,
+    metadata,
+    start,
+    end,
+  };
+}
+
+describe(SsaiMarkerParser, () => {
+  describe('HLS cue tags', () => {
+    it('should parse EXT-X-CUE-OUT with a plain duration', () => {
+      const event = createMetadataEvent(MetadataType.CUETAG, { type: 'CUE-OUT', attributes: ['30.000'] }, 10);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'start', time: 10, duration: 30 });
+    });
+
+    it('should parse EXT-X-CUE-OUT with a duration attribute', () => {
+      const event = createMetadataEvent(MetadataType.CUETAG, { type: 'CUE-OUT', attributes: ['DURATION=15'] });
+
+      expect(SsaiMarkerParser.parse(event, 42)).toEqual({ type: 'start', time: 42, duration: 15 });
+    });
+
+    it('should parse EXT-X-CUE-OUT without duration', () => {
+      const event = createMetadataEvent(MetadataType.CUETAG, { type: 'CUE-OUT' }, 10);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'start', time: 10, duration: undefined });
+    });
+
+    it('should parse EXT-X-CUE-OUT-CONT as continuation with the remaining duration', () => {
+      const event = createMetadataEvent(
+        MetadataType.CUETAG,
+        { type: 'CUE-OUT-CONT', attributes: ['ElapsedTime=10.5', 'Duration=30'] },
+        20,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({
+        type: 'start',
+        time: 20,
+        duration: 19.5,
+        isContinuation: true,
+      });
+    });
+
+    it('should parse EXT-X-CUE-IN', () => {
+      const event = createMetadataEvent(MetadataType.CUETAG, { type: 'CUE-IN' }, 40);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'end', time: 40 });
+    });
+  });
+
+  describe('HLS date ranges', () => {
+    it('should parse SCTE35-OUT', () => {
+      const event = createMetadataEvent(
+        MetadataType.DATERANGE,
+        { id: 'splice-1', startDate: '2024-01-01T00:00:00Z', plannedDuration: '60.0', scte35Out: '0xFC30' },
+        100,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'start', time: 100, id: 'splice-1', duration: 60 });
+    });
+
+    it('should prefer the actual duration over the planned duration', () => {
+      const event = createMetadataEvent(
+        MetadataType.DATERANGE,
+        { id: 'splice-1', duration: '45.5', plannedDuration: '60.0', scte35Out: '0xFC30' },
+        100,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual(expect.objectContaining({ duration: 45.5 }));
+    });
+
+    it('should parse SCTE35-IN', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, { id: 'splice-1', scte35In: '0xFC30' }, 160);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'end', time: 160, id: 'splice-1' });
+    });
+
+    it('should ignore date ranges without SCTE-35 signal', () => {
+      const event = createMetadataEvent(MetadataType.DATERANGE, { id: 'chapter-1', class: 'chapter' }, 100);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toBeUndefined();
+    });
+  });
+
+  describe('HLS SCTE-35 tags', () => {
+    it('should parse CUE-OUT=YES', () => {
+      const event = createMetadataEvent(
+        MetadataType.SCTE,
+        { type: MetadataType.SCTE, attributes: { CUE: '/DA0AAAA', 'CUE-OUT': 'YES', DURATION: '30', ID: '123' } },
+        5,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'start', time: 5, id: '123', duration: 30 });
+    });
+
+    it('should parse CUE-OUT=CONT as continuation', () => {
+      const event = createMetadataEvent(
+        MetadataType.SCTE,
+        { attributes: { CUE: '/DA0AAAA', 'CUE-OUT': 'CONT', DURATION: '30', ELAPSED: '12' } },
+        17,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({
+        type: 'start',
+        time: 17,
+        id: undefined,
+        duration: 18,
+        isContinuation: true,
+      });
+    });
+
+    it('should parse CUE-IN=YES', () => {
+      const event = createMetadataEvent(MetadataType.SCTE, { attributes: { CUE: '/DA0AAAA', 'CUE-IN': 'YES' } }, 35);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'end', time: 35, id: undefined });
+    });
+
+    it('should ignore tags with only binary splice info', () => {
+      const event = createMetadataEvent(MetadataType.SCTE, { attributes: { CUE: '/DA0AAAA' } }, 35);
+
+      expect(SsaiMarkerParser.parse(event, 0)).toBeUndefined();
+    });
+  });
+
+  describe('DASH events', () => {
+    it('should parse SCTE-35 EventStream events using the event times', () => {
+      const event = createMetadataEvent(
+        MetadataType.EVENT_STREAM,
+        { schemeIdUri: 'urn:scte:scte35:2014:xml+bin', id: 7, duration: 99 },
+        120,
+        135,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'start', time: 120, id: '7', duration: 15 });
+    });
+
+    it('should parse SCTE-35 emsg boxes using the announced duration', () => {
+      const event = createMetadataEvent(
+        MetadataType.EMSG,
+        { schemeIdUri: 'urn:scte:scte35:2013:bin', id: 8, duration: 20 },
+        200,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toEqual({ type: 'start', time: 200, id: '8', duration: 20 });
+    });
+
+    it('should ignore events of other schemes', () => {
+      const event = createMetadataEvent(
+        MetadataType.EVENT_STREAM,
+        { schemeIdUri: 'urn:mpeg:dash:event:2012', id: 1 },
+        120,
+        135,
+      );
+
+      expect(SsaiMarkerParser.parse(event, 0)).toBeUndefined();
+    });
+  });
+
+  it('should ignore ID3 metadata', () => {
+    const event = createMetadataEvent(MetadataType.ID3, { frames: [] }, 1);
+
+    expect(SsaiMarkerParser.parse(event, 0)).toBeUndefined();
+  });
+});
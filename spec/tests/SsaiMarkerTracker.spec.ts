@@ -0,0 +1,166 @@
+import { MetadataEvent, MetadataType, PlayerAPI, PlayerEvent } from 'bitmovin-player';
+import { mock } from 'jest-mock-extended';
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { ConvivaAnalyticsTracker } from '../../src/ts/ConvivaAnalyticsTracker';
+import { ConvivaAnalyticsSsai } from '../../src/ts/ConvivaAnalyticsSsai';
+import { SsaiMarkerTracker } from '../../src/ts/SsaiMarkerTracker';
+
+function createCueEvent(
+  type: 'CUE-OUT' | 'CUE-OUT-CONT' | 'CUE-IN',
+  start: number,
+  attributes?: string[],
+): MetadataEvent {
+  return {
+    timestamp: Date.now(),
+    type: PlayerEvent.Metadata,
+    metadataType: MetadataType.CUETAG,
+    metadata: { type, attributes },
+    start,
+  };
+}
+
+function createScte35Event(start: number, end: number, id: number): MetadataEvent {
+  return {
+    timestamp: Date.now(),
+    type: PlayerEvent.Metadata,
+    metadataType: MetadataType.EVENT_STREAM,
+    metadata: { schemeIdUri: 'urn:scte:scte35:2014:xml+bin', id },
+    start,
+    end,
+  };
+}
+
+describe(SsaiMarkerTracker, () => {
+  let convivaAnalyticsTrackerMock: ConvivaAnalyticsTracker;
+  let ssai: ConvivaAnalyticsSsai;
+  let player: PlayerAPI;
+  let markerTracker: SsaiMarkerTracker;
+
+  beforeEach(() => {
+    convivaAnalyticsTrackerMock = mock<ConvivaAnalyticsTracker>({
+      isAdBreakActive: false,
+    });
+    (convivaAnalyticsTrackerMock.getContentMetadata as jest.Mock).mockReturnValue({});
+    ssai = new ConvivaAnalyticsSsai(convivaAnalyticsTrackerMock);
+    player = {
+      getCurrentTime: jest.fn(() => 0),
+      getDuration: jest.fn(() => 600),
+      isLive: jest.fn(() => false),
+    } as unknown as PlayerAPI;
+    markerTracker = new SsaiMarkerTracker(ssai, () => player);
+  });
+
+  it('should report ad break and ad start on cue out', () => {
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 100, ['30']));
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledWith(Conviva.Constants.AdType.SERVER_SIDE);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+      expect.objectContaining({
+        'c3.ad.id': 'ssai-ad-1',
+        'c3.ad.position': Conviva.Constants.AdPosition.MIDROLL,
+        [Conviva.Constants.DURATION]: 30,
+      }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should report a pre-roll for markers at the start of a VOD stream', () => {
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 0, ['30']));
+
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+      expect.objectContaining({ 'c3.ad.position': Conviva.Constants.AdPosition.PREROLL }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should report ad and ad break end on cue in', () => {
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 100));
+    markerTracker.onMetadata(createCueEvent('CUE-IN', 130));
+
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+    expect(ssai.isAdBreakActive).toBe(false);
+  });
+
+  it('should ignore continuation markers within an active ad break', () => {
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 100, ['30']));
+    markerTracker.onMetadata(createCueEvent('CUE-OUT-CONT', 110, ['ElapsedTime=10', 'Duration=30']));
+
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(1);
+  });
+
+  it('should start the ad break on a continuation marker when joining in the middle of it', () => {
+    markerTracker.onMetadata(createCueEvent('CUE-OUT-CONT', 110, ['ElapsedTime=10', 'Duration=30']));
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+      expect.objectContaining({ [Conviva.Constants.DURATION]: 20 }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should end the ad break once the announced duration elapsed', () => {
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 100, ['30']));
+
+    markerTracker.onTimeChanged(129);
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).not.toHaveBeenCalled();
+
+    markerTracker.onTimeChanged(130);
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+
+    markerTracker.onTimeChanged(131);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report consecutive ad markers as ads of the same ad break', () => {
+    markerTracker.onMetadata(createScte35Event(100, 115, 1));
+    markerTracker.onTimeChanged(115);
+    markerTracker.onMetadata(createScte35Event(115, 130, 2));
+    markerTracker.onTimeChanged(130);
+    markerTracker.onTimeChanged(131);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(2);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenLastCalledWith(
+      expect.objectContaining({ 'c3.ad.id': '2', [Conviva.Constants.DURATION]: 15 }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(2);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+  });
+
+  it('should finish the current ad when the next ad starts early', () => {
+    markerTracker.onMetadata(createScte35Event(100, 115, 1));
+    markerTracker.onMetadata(createScte35Event(110, 125, 2));
+
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not interfere with manually reported ad breaks', () => {
+    ssai.reportAdBreakStarted();
+    (convivaAnalyticsTrackerMock.trackAdBreakStarted as jest.Mock).mockClear();
+
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 100, ['30']));
+    markerTracker.onMetadata(createCueEvent('CUE-IN', 130));
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+    expect(ssai.isAdBreakActive).toBe(true);
+  });
+
+  it('should not start an ad break during a client-side ad break', () => {
+    convivaAnalyticsTrackerMock = mock<ConvivaAnalyticsTracker>({
+      isAdBreakActive: true,
+    });
+    ssai = new ConvivaAnalyticsSsai(convivaAnalyticsTrackerMock);
+    markerTracker = new SsaiMarkerTracker(ssai, () => player);
+
+    markerTracker.onMetadata(createCueEvent('CUE-OUT', 100, ['30']));
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).not.toHaveBeenCalled();
+  });
+});
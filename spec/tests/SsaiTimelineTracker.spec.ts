@@ -0,0 +1,235 @@
+import { PlayerAPI } from 'bitmovin-player';
+import { mock } from 'jest-mock-extended';
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { ConvivaAnalyticsTracker } from '../../src/ts/ConvivaAnalyticsTracker';
+import { ConvivaAnalyticsSsai } from '../../src/ts/ConvivaAnalyticsSsai';
+import { SsaiTimelineTracker } from '../../src/ts/SsaiTimelineTracker';
+import { ssaiTimelineFixture } from '../helper/SsaiTimelineFixture';
+
+describe(SsaiTimelineTracker, () => {
+  let convivaAnalyticsTrackerMock: ConvivaAnalyticsTracker;
+  let ssai: ConvivaAnalyticsSsai;
+  let player: PlayerAPI;
+  let timelineTracker: SsaiTimelineTracker;
+
+  function playThrough(from: number, to: number) {
+    for (let time = from; time <= to; time += 0.5) {
+      timelineTracker.onTimeChanged(time);
+    }
+  }
+
+  function seek(to: number) {
+    timelineTracker.onSeek();
+    timelineTracker.onSeeked(to);
+  }
+
+  beforeEach(() => {
+    convivaAnalyticsTrackerMock = mock<ConvivaAnalyticsTracker>({
+      isAdBreakActive: false,
+    });
+    (convivaAnalyticsTrackerMock.getContentMetadata as jest.Mock).mockReturnValue({});
+    ssai = new ConvivaAnalyticsSsai(convivaAnalyticsTrackerMock);
+    player = {
+      getDuration: jest.fn(() => 600),
+      isLive: jest.fn(() => false),
+    } as unknown as PlayerAPI;
+    timelineTracker = new SsaiTimelineTracker(ssai, () => player);
+    timelineTracker.setTimeline(ssaiTimelineFixture);
+  });
+
+  it('should report the ads of an avail while playing through it', () => {
+    playThrough(0, 31);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(2);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        'c3.ad.id': 'ad-1',
+        'c3.ad.system': 'Stitcher Ad Server',
+        'c3.ad.position': Conviva.Constants.AdPosition.PREROLL,
+        [Conviva.Constants.ASSET_NAME]: 'First Ad',
+        [Conviva.Constants.DURATION]: 15,
+      }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenNthCalledWith(
+      2,
+      expect.objectContaining({ 'c3.ad.id': 'ad-2' }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(2);
+    expect(convivaAnalyticsTrackerMock.trackAdSkipped).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+    expect(ssai.isAdBreakActive).toBe(false);
+  });
+
+  it('should finish the ad break when the avail ends', () => {
+    playThrough(0, 29.5);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+
+    timelineTracker.onTimeChanged(30);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the quartile tracking events of an ad', () => {
+    playThrough(0, 14);
+
+    expect(convivaAnalyticsTrackerMock.trackAdEvent).toHaveBeenCalledTimes(3);
+    expect(convivaAnalyticsTrackerMock.trackAdEvent).toHaveBeenNthCalledWith(
+      1,
+      Conviva.Constants.Events.AD_FIRST_QUARTILE,
+    );
+    expect(convivaAnalyticsTrackerMock.trackAdEvent).toHaveBeenNthCalledWith(
+      2,
+      Conviva.Constants.Events.AD_MID_QUARTILE,
+    );
+    expect(convivaAnalyticsTrackerMock.trackAdEvent).toHaveBeenNthCalledWith(
+      3,
+      Conviva.Constants.Events.AD_THIRD_QUARTILE,
+    );
+  });
+
+  it('should start the ad break at the current ad when joining in the middle of an avail', () => {
+    playThrough(20, 21);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+      expect.objectContaining({ 'c3.ad.id': 'ad-2' }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should report the ad as skipped when seeking out of an avail', () => {
+    playThrough(0, 5);
+    seek(100);
+
+    expect(convivaAnalyticsTrackerMock.trackAdSkipped).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the ad as skipped when seeking to the next ad of the avail', () => {
+    playThrough(0, 5);
+    seek(16);
+
+    expect(convivaAnalyticsTrackerMock.trackAdSkipped).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenLastCalledWith(
+      expect.objectContaining({ 'c3.ad.id': 'ad-2' }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should not report quartiles which were seeked over', () => {
+    playThrough(0, 2);
+    seek(10);
+    playThrough(10, 11);
+
+    expect(convivaAnalyticsTrackerMock.trackAdEvent).not.toHaveBeenCalled();
+  });
+
+  it('should ignore time changes while seeking', () => {
+    playThrough(50, 51);
+    timelineTracker.onSeek();
+    timelineTracker.onTimeChanged(5);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+  });
+
+  it('should start the ad break at the correct ad when seeking into an avail', () => {
+    playThrough(50, 51);
+    seek(317);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledWith(
+      expect.objectContaining({
+        'c3.ad.id': 'ad-4',
+        'c3.ad.position': Conviva.Constants.AdPosition.MIDROLL,
+      }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should not report avails which were seeked over', () => {
+    playThrough(50, 51);
+    seek(400);
+    playThrough(400, 401);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).not.toHaveBeenCalled();
+  });
+
+  it('should finish an ad cut short by the end of its avail', () => {
+    playThrough(299, 319.5);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenLastCalledWith(
+      expect.objectContaining({ 'c3.ad.id': 'ad-4', [Conviva.Constants.DURATION]: 10 }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+
+    timelineTracker.onTimeChanged(320);
+
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(2);
+    expect(convivaAnalyticsTrackerMock.trackAdSkipped).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+  });
+
+  it('should finish an ad cut short by the start of the next ad', () => {
+    timelineTracker.setTimeline({
+      avails: [
+        {
+          startTime: 100,
+          duration: 30,
+          ads: [
+            { id: 'long-ad', startTime: 100, duration: 20 },
+            { id: 'next-ad', startTime: 110, duration: 20 },
+          ],
+        },
+      ],
+    });
+
+    playThrough(100, 109.5);
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).not.toHaveBeenCalled();
+
+    timelineTracker.onTimeChanged(110);
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenLastCalledWith(
+      expect.objectContaining({ 'c3.ad.id': 'next-ad' }),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  });
+
+  it('should continue the ad break when the timeline is refreshed', () => {
+    playThrough(0, 5);
+    timelineTracker.setTimeline(JSON.parse(JSON.stringify(ssaiTimelineFixture)));
+    playThrough(5.5, 10);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).toHaveBeenCalledTimes(1);
+    expect(convivaAnalyticsTrackerMock.trackAdFinished).not.toHaveBeenCalled();
+  });
+
+  it('should finish the ad break when the timeline is removed', () => {
+    playThrough(0, 5);
+    timelineTracker.setTimeline(undefined);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).toHaveBeenCalledTimes(1);
+
+    playThrough(5.5, 10);
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not interfere with manually reported ad breaks', () => {
+    ssai.reportAdBreakStarted();
+    (convivaAnalyticsTrackerMock.trackAdBreakStarted as jest.Mock).mockClear();
+
+    playThrough(0, 31);
+
+    expect(convivaAnalyticsTrackerMock.trackAdBreakStarted).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdStarted).not.toHaveBeenCalled();
+    expect(convivaAnalyticsTrackerMock.trackAdBreakFinished).not.toHaveBeenCalled();
+    expect(ssai.isAdBreakActive).toBe(true);
+  });
+});
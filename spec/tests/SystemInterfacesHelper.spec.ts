@@ -0,0 +1,105 @@
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { SystemInterfacesHelper } from '../../src/ts/helper/SystemInterfacesHelper';
+import { Html5Http } from '../../src/ts/Html5Http';
+import { Html5Storage } from '../../src/ts/Html5Storage';
+import { Html5Time } from '../../src/ts/Html5Time';
+
+describe(SystemInterfacesHelper, () => {
+  it('should fall back to the Html5 implementations', () => {
+    const systemInterfaces = SystemInterfacesHelper.resolve();
+
+    expect(systemInterfaces.http.makeRequest).toEqual(expect.any(Function));
+    expect(systemInterfaces.storage.saveData).toEqual(expect.any(Function));
+    expect(systemInterfaces.storage.loadData).toEqual(expect.any(Function));
+    expect(systemInterfaces.timer.createTimer).toEqual(expect.any(Function));
+    expect(systemInterfaces.time.getEpochTimeMs).toEqual(expect.any(Function));
+    expect(systemInterfaces.logging.consoleLog).toEqual(expect.any(Function));
+  });
+
+  it('should use custom implementations bound to their object', () => {
+    const customTime = {
+      now: 1234,
+      getEpochTimeMs() {
+        return this.now;
+      },
+    };
+
+    const { getEpochTimeMs } = SystemInterfacesHelper.resolve({ time: customTime }).time;
+
+    expect(getEpochTimeMs()).toBe(1234);
+  });
+
+  it('should use a configured Html5Http instance', () => {
+    const http = new Html5Http({ maxRetries: 2 });
+    const makeRequestSpy = jest.spyOn(http, 'makeRequest').mockImplementation(() => undefined);
+    const callback = jest.fn();
+
+    SystemInterfacesHelper.resolve({ http }).http.makeRequest(
+      'POST',
+      'https://conviva.test',
+      '{}',
+      'json',
+      1000,
+      callback,
+    );
+
+    expect(makeRequestSpy).toHaveBeenCalledWith('POST', 'https://conviva.test', '{}', 'json', 1000, callback);
+  });
+
+  it('should use a configured Html5Storage instance', async () => {
+    const asyncStorage = {
+      getItem: jest.fn(() => Promise.resolve('async data')),
+      setItem: jest.fn(() => Promise.resolve()),
+    };
+    const callback = jest.fn();
+
+    SystemInterfacesHelper.resolve({ storage: new Html5Storage({ asyncStorage }) }).storage.loadData(
+      'space',
+      'key',
+      callback,
+    );
+    await Promise.resolve();
+
+    expect(asyncStorage.getItem).toHaveBeenCalledWith('space.key');
+    expect(callback).toHaveBeenCalledWith(true, 'async data');
+  });
+
+  it('should log the storage backend via the logging system interface', () => {
+    const consoleLog = jest.fn();
+
+    const { storage } = SystemInterfacesHelper.resolve({ logging: { consoleLog } }, true);
+    storage.saveData('space', 'key', 'data', jest.fn());
+
+    expect(consoleLog).toHaveBeenCalledWith(
+      '[ Html5Storage ] using localStorage backend',
+      Conviva.SystemSettings.LogLevel.DEBUG,
+    );
+  });
+
+  it('should complete partial implementations per method', () => {
+    const loadData = jest.fn();
+    const saveDataSpy = jest.spyOn(Html5Storage.prototype, 'saveData').mockImplementation(() => undefined);
+    const callback: Conviva.StorageSaveDataCallback = jest.fn();
+
+    const { storage } = SystemInterfacesHelper.resolve({ storage: { loadData } });
+    storage.loadData('space', 'key', jest.fn());
+    storage.saveData('space', 'key', 'data', callback);
+
+    expect(loadData).toHaveBeenCalledWith('space', 'key', expect.any(Function));
+    expect(saveDataSpy).toHaveBeenCalledWith('space', 'key', 'data', callback);
+
+    saveDataSpy.mockRestore();
+  });
+
+  it('should not instantiate a fallback which is not needed', () => {
+    const getEpochTimeMsSpy = jest.spyOn(Html5Time.prototype, 'getEpochTimeMs');
+
+    SystemInterfacesHelper.resolve({
+      time: { getEpochTimeMs: () => 0, release: () => undefined },
+    }).time.getEpochTimeMs();
+
+    expect(getEpochTimeMsSpy).not.toHaveBeenCalled();
+
+    getEpochTimeMsSpy.mockRestore();
+  });
+});
@@ -0,0 +1,220 @@
+import { VastAdRegistry, VastHelper } from '../../src/ts/helper/VastHelper';
+
+const vast3Wrapper = `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="3.0">
+  <Ad id="wrapper-outer">
+    <Wrapper>
+      <AdSystem version="1.0"> Outer Ad Server </AdSystem>
+      <VASTAdTagURI><![CDATA[https://ads.example.com/inner-wrapper.xml]]></VASTAdTagURI>
+      <Impression><![CDATA[https://ads.example.com/impression]]></Impression>
+      <Creatives>
+        <Creative id="outer-creative" sequence="1">
+          <Linear>
+            <TrackingEvents></TrackingEvents>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </Wrapper>
+  </Ad>
+</VAST>`;
+
+const vast3InnerWrapper = `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="3.0">
+  <Ad id="wrapper-inner">
+    <Wrapper>
+      <AdSystem>Inner Ad Server</AdSystem>
+      <VASTAdTagURI><![CDATA[https://ads.example.com/inline.xml]]></VASTAdTagURI>
+    </Wrapper>
+  </Ad>
+</VAST>`;
+
+const vast3InLine = `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="3.0">
+  <Ad id="inline">
+    <InLine>
+      <AdSystem>InLine Ad Server</AdSystem>
+      <AdTitle>InLine Ad</AdTitle>
+      <Creatives>
+        <Creative id="inline-creative" sequence="1">
+          <Linear>
+            <Duration>00:00:15</Duration>
+            <MediaFiles>
+              <MediaFile delivery="progressive" type="video/mp4" width="640" height="360">
+                <![CDATA[https://ads.example.com/ad.mp4]]>
+              </MediaFile>
+              <MediaFile delivery="progressive" type="application/javascript" apiFramework="VPAID">
+                <![CDATA[https://ads.example.com/vpaid.js]]>
+              </MediaFile>
+            </MediaFiles>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </InLine>
+  </Ad>
+</VAST>`;
+
+const vast4Wrapper = `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="4.1" xmlns="http://www.iab.com/VAST">
+  <Ad id="vast4-wrapper">
+    <Wrapper followAdditionalWrappers="true">
+      <AdSystem version="4.1">VAST 4 Wrapper Server</AdSystem>
+      <VASTAdTagURI><![CDATA[https://ads.example.com/vast4-inline.xml]]></VASTAdTagURI>
+      <Creatives>
+        <Creative id="vast4-wrapper-creative" adId="wrapper-ad-id">
+          <Linear></Linear>
+        </Creative>
+      </Creatives>
+    </Wrapper>
+  </Ad>
+</VAST>`;
+
+const vast4InLine = `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="4.1" xmlns="http://www.iab.com/VAST">
+  <Ad id="vast4-inline-1" sequence="1">
+    <InLine>
+      <AdSystem>VAST 4 InLine Server</AdSystem>
+      <AdTitle>First Ad</AdTitle>
+      <Creatives>
+        <Creative id="vast4-inline-creative-1">
+          <UniversalAdId idRegistry="Ad-ID">universal-1</UniversalAdId>
+          <Linear>
+            <MediaFiles>
+              <MediaFile delivery="progressive" type="video/mp4"><![CDATA[https://ads.example.com/1.mp4]]></MediaFile>
+              <InteractiveCreativeFile type="text/html" apiFramework="SIMID">
+                <![CDATA[https://ads.example.com/simid.html]]>
+              </InteractiveCreativeFile>
+            </MediaFiles>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </InLine>
+  </Ad>
+  <Ad id="vast4-inline-2" sequence="2">
+    <InLine>
+      <AdSystem>VAST 4 InLine Server</AdSystem>
+      <Creatives></Creatives>
+    </InLine>
+  </Ad>
+</VAST>`;
+
+describe(VastHelper, () => {
+  describe('parseAds', () => {
+    it('should parse a VAST 3 wrapper', () => {
+      expect(VastHelper.parseAds(vast3Wrapper)).toEqual([
+        {
+          id: 'wrapper-outer',
+          isWrapper: true,
+          adSystem: 'Outer Ad Server',
+          creativeId: 'outer-creative',
+          apiFramework: undefined,
+        },
+      ]);
+    });
+
+    it('should parse a VAST 3 wrapper without creatives', () => {
+      expect(VastHelper.parseAds(vast3InnerWrapper)).toEqual([
+        {
+          id: 'wrapper-inner',
+          isWrapper: true,
+          adSystem: 'Inner Ad Server',
+          creativeId: undefined,
+          apiFramework: undefined,
+        },
+      ]);
+    });
+
+    it('should parse the media file api framework of a VAST 3 inline ad', () => {
+      expect(VastHelper.parseAds(vast3InLine)).toEqual([
+        {
+          id: 'inline',
+          isWrapper: false,
+          adSystem: 'InLine Ad Server',
+          creativeId: 'inline-creative',
+          apiFramework: 'VPAID',
+        },
+      ]);
+    });
+
+    it('should parse a VAST 4 wrapper', () => {
+      expect(VastHelper.parseAds(vast4Wrapper)).toEqual([
+        expect.objectContaining({
+          id: 'vast4-wrapper',
+          isWrapper: true,
+          adSystem: 'VAST 4 Wrapper Server',
+          creativeId: 'vast4-wrapper-creative',
+        }),
+      ]);
+    });
+
+    it('should parse all ads of a VAST 4 pod', () => {
+      expect(VastHelper.parseAds(vast4InLine)).toEqual([
+        {
+          id: 'vast4-inline-1',
+          isWrapper: false,
+          adSystem: 'VAST 4 InLine Server',
+          creativeId: 'vast4-inline-creative-1',
+          apiFramework: 'SIMID',
+        },
+        {
+          id: 'vast4-inline-2',
+          isWrapper: false,
+          adSystem: 'VAST 4 InLine Server',
+          creativeId: undefined,
+          apiFramework: undefined,
+        },
+      ]);
+    });
+
+    it('should accept parsed documents', () => {
+      const vastDocument = new DOMParser().parseFromString(vast3Wrapper, 'text/xml');
+
+      expect(VastHelper.parseAds(vastDocument)).toHaveLength(1);
+    });
+
+    it.each([['not xml at all'], ['<VMAP></VMAP>'], ['<VAST version="3.0"></VAST>'], ['']])(
+      'should return no ads for %j',
+      (vast: string) => {
+        expect(VastHelper.parseAds(vast)).toEqual([]);
+      },
+    );
+  });
+});
+
+describe(VastAdRegistry, () => {
+  let registry: VastAdRegistry;
+
+  beforeEach(() => {
+    registry = new VastAdRegistry();
+  });
+
+  it('should resolve all ads of a wrapper chain', () => {
+    [vast3Wrapper, vast3InnerWrapper, vast3InLine].forEach((vast) => registry.add(vast));
+
+    expect(registry.get('wrapper-outer')?.adSystem).toEqual('Outer Ad Server');
+    expect(registry.get('wrapper-inner')?.adSystem).toEqual('Inner Ad Server');
+    expect(registry.get('inline')?.apiFramework).toEqual('VPAID');
+  });
+
+  it('should return undefined for unknown ads', () => {
+    registry.add(vast3Wrapper);
+
+    expect(registry.get('unknown')).toBeUndefined();
+    expect(registry.get('hasOwnProperty')).toBeUndefined();
+  });
+
+  it('should forget the oldest ads', () => {
+    for (let i = 0; i <= 50; i++) {
+      registry.add(`<VAST version="3.0"><Ad id="ad-${i}"><InLine><AdSystem>Server</AdSystem></InLine></Ad></VAST>`);
+    }
+
+    expect(registry.get('ad-0')).toBeUndefined();
+    expect(registry.get('ad-50')).toBeDefined();
+  });
+
+  it('should forget all ads on clear', () => {
+    registry.add(vast3Wrapper);
+    registry.clear();
+
+    expect(registry.get('wrapper-outer')).toBeUndefined();
+  });
+});
@@ -0,0 +1,66 @@
+import { PlayerAPI } from 'bitmovin-player';
+import { VideoFrameSampler } from '../../src/ts/helper/VideoFrameSampler';
+
+describe(VideoFrameSampler, () => {
+  let now: number;
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  const createPlayer = (playbackQuality?: { totalVideoFrames: number; droppedVideoFrames: number }) =>
+    ({
+      getVideoElement: () => ({
+        getVideoPlaybackQuality: playbackQuality ? () => playbackQuality : undefined,
+      }),
+      getDroppedVideoFrames: jest.fn(() => 0),
+      getPlaybackVideoData: () => ({ frameRate: 29.97 }),
+    } as unknown as PlayerAPI);
+
+  it('should only establish the baseline on the first sample', () => {
+    const sampler = new VideoFrameSampler(() => now);
+    const player = createPlayer({ totalVideoFrames: 100, droppedVideoFrames: 5 });
+
+    expect(sampler.sample(player)).toEqual({});
+  });
+
+  it('should compute rendered framerate and dropped frames from deltas', () => {
+    const sampler = new VideoFrameSampler(() => now);
+    const playbackQuality = { totalVideoFrames: 100, droppedVideoFrames: 5 };
+    const player = createPlayer(playbackQuality);
+
+    sampler.sample(player);
+
+    now = 1000;
+    playbackQuality.totalVideoFrames = 130;
+    playbackQuality.droppedVideoFrames = 7;
+
+    expect(sampler.sample(player)).toEqual({ renderedFrameRate: 28, droppedFrames: 2 });
+  });
+
+  it('should start over after reset', () => {
+    const sampler = new VideoFrameSampler(() => now);
+    const playbackQuality = { totalVideoFrames: 100, droppedVideoFrames: 5 };
+    const player = createPlayer(playbackQuality);
+
+    sampler.sample(player);
+    sampler.reset();
+
+    now = 1000;
+    playbackQuality.totalVideoFrames = 130;
+
+    expect(sampler.sample(player)).toEqual({});
+  });
+
+  it('should fall back to the player API without video playback quality support', () => {
+    const sampler = new VideoFrameSampler(() => now);
+    const player = createPlayer();
+
+    sampler.sample(player);
+
+    now = 1000;
+    (player.getDroppedVideoFrames as jest.Mock).mockReturnValue(3);
+
+    expect(sampler.sample(player)).toEqual({ renderedFrameRate: 30, droppedFrames: 3 });
+  });
+});
@@ -14,10 +14,23 @@ export type Metadata = Conviva.ContentMetadata & {
   additionalStandardTags: Conviva.ContentMetadata['custom'];
 };
 
+/**
+ * Overrides which describe the source itself and do not apply to the next source.
+ */
+const SOURCE_OVERRIDE_KEYS: (keyof Metadata)[] = [
+  'assetName',
+  'streamUrl',
+  'duration',
+  'streamType',
+  'encodedFrameRate',
+];
+
 export class ContentMetadataBuilder {
   private readonly logger: Conviva.LoggingInterface;
 
   private metadataOverrides: Partial<Metadata> = {};
+  // Metadata mapped from the `SourceConfig` via the `metadataMapper`, overrides the automatically tracked metadata
+  private sourceMetadata: Partial<Metadata> = {};
   private metadata: Partial<Metadata> = {};
   private latestBuiltMetadata: Partial<Metadata> = {};
   private playbackStarted: boolean = false;
@@ -45,6 +58,13 @@ export class ContentMetadataBuilder {
     return this.metadataOverrides;
   }
 
+  /**
+   * Replaces all overrides, e.g. to remove attributes which were set before.
+   */
+  replaceOverrides(newValue: Partial<Metadata>) {
+    this.metadataOverrides = { ...newValue };
+  }
+
   setPlaybackStarted(value: boolean) {
     this.playbackStarted = value;
   }
@@ -58,11 +78,15 @@ export class ContentMetadataBuilder {
       metadata.assetName = this.latestBuiltMetadata.assetName || this.assetName;
 
       metadata.viewerId = this.viewerId;
-      metadata.streamType = this.metadataOverrides.streamType || this.metadata.streamType;
-      metadata.applicationName = this.metadataOverrides.applicationName || this.metadata.applicationName;
-      metadata.duration = this.metadataOverrides.duration || this.metadata.duration;
+      metadata.streamType =
+        this.metadataOverrides.streamType || this.sourceMetadata.streamType || this.metadata.streamType;
+      metadata.applicationName =
+        this.metadataOverrides.applicationName || this.sourceMetadata.applicationName || this.metadata.applicationName;
+      metadata.duration = this.metadataOverrides.duration || this.sourceMetadata.duration || this.metadata.duration;
 
       metadata.custom = {
+        ...this.sourceMetadata.custom,
+        ...this.sourceMetadata.additionalStandardTags,
         ...this.metadataOverrides.custom,
         ...this.metadataOverrides.additionalStandardTags,
         // Keep our custom tags in case someone tries to override them
@@ -84,9 +108,13 @@ export class ContentMetadataBuilder {
 
   private getDynamicMetadata(): Partial<Conviva.ContentMetadata> {
     return {
-      encodedFrameRate: this.metadataOverrides.encodedFrameRate || this.metadata.encodedFrameRate,
-      defaultResource: this.metadataOverrides.defaultResource || this.metadata.defaultResource,
-      streamUrl: this.metadataOverrides.streamUrl || this.metadata.streamUrl,
+      encodedFrameRate:
+        this.metadataOverrides.encodedFrameRate ||
+        this.sourceMetadata.encodedFrameRate ||
+        this.metadata.encodedFrameRate,
+      defaultResource:
+        this.metadataOverrides.defaultResource || this.sourceMetadata.defaultResource || this.metadata.defaultResource,
+      streamUrl: this.metadataOverrides.streamUrl || this.sourceMetadata.streamUrl || this.metadata.streamUrl,
     };
   }
 
@@ -125,7 +153,7 @@ export class ContentMetadataBuilder {
   }
 
   get assetName(): string {
-    return this.metadataOverrides.assetName || this.metadata.assetName;
+    return this.metadataOverrides.assetName || this.sourceMetadata.assetName || this.metadata.assetName;
   }
 
   set viewerId(newValue: string) {
@@ -133,7 +161,7 @@ export class ContentMetadataBuilder {
   }
 
   get viewerId(): string {
-    return this.metadataOverrides.viewerId || this.metadata.viewerId;
+    return this.metadataOverrides.viewerId || this.sourceMetadata.viewerId || this.metadata.viewerId;
   }
 
   set streamType(newValue: Conviva.valueof<Conviva.ConvivaConstants['StreamType']>) {
@@ -144,6 +172,10 @@ export class ContentMetadataBuilder {
     this.metadata.applicationName = newValue;
   }
 
+  setSourceMetadata(newValue: Partial<Metadata>) {
+    this.sourceMetadata = newValue || {};
+  }
+
   addToCustom(toAdd: Metadata['custom']) {
     this.metadata.custom = { ...this.metadata.custom, ...toAdd };
   }
@@ -164,8 +196,20 @@ export class ContentMetadataBuilder {
     this.metadata.streamUrl = newValue;
   }
 
+  /**
+   * Returns the overrides which apply to the next source as well, i.e. all except the attributes describing the
+   * current source itself.
+   */
+  public getNextSourceOverrides(): Partial<Metadata> {
+    const metadataOverrides = { ...this.metadataOverrides };
+    SOURCE_OVERRIDE_KEYS.forEach((key) => delete metadataOverrides[key]);
+
+    return metadataOverrides;
+  }
+
   public reset(): void {
     this.metadataOverrides = {};
+    this.sourceMetadata = {};
     this.metadata = {};
     this.playbackStarted = false;
     this.latestBuiltMetadata = {};
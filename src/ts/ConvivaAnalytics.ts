@@ -2,24 +2,37 @@ import * as Conviva from '@convivainc/conviva-js-coresdk';
 import {
   AdBreakEvent,
   AdEvent,
+  AdManifestLoadedEvent,
+  AdQuartileEvent,
   AudioChangedEvent,
   ErrorEvent,
+  HttpRequestType,
+  HttpResponse,
+  HttpResponseBody,
+  MetadataEvent,
   PlaybackEvent,
   PlayerAPI,
   PlayerEvent,
   PlayerEventBase,
   SeekEvent,
+  TimeChangedEvent,
   TimeShiftEvent,
   VideoQualityChangedEvent,
   SubtitleEvent,
+  WarningEvent,
 } from 'bitmovin-player';
 import { Metadata } from './ContentMetadataBuilder';
 import { ObjectUtils } from './helper/ObjectUtils';
 import { ConvivaAnalyticsConfiguration, ConvivaAnalyticsTracker, EventAttributes } from './ConvivaAnalyticsTracker';
 import { ConvivaAnalyticsSsai } from './ConvivaAnalyticsSsai';
+import { SsaiMarkerTracker } from './SsaiMarkerTracker';
+import { PlaybackWatchdog } from './PlaybackWatchdog';
+import { SsaiTimeline, SsaiTimelineTracker } from './SsaiTimelineTracker';
 import { PlayerEventWrapper } from './helper/PlayerEventWrapper';
+import { ProgramMarkerParser } from './helper/ProgramMarkerParser';
 import { AdHelper } from './helper/AdHelper';
-import { Html5Logging } from './Html5Logging';
+import { AfterReportHook, BeforeReportHook } from './helper/ReportHooks';
+import { VastAdRegistry } from './helper/VastHelper';
 import { pkg } from './pkg';
 
 export class ConvivaAnalytics {
@@ -45,27 +58,70 @@ export class ConvivaAnalytics {
    */
   private lastAdBreakEvent: AdBreakEvent;
 
+  /**
+   * Number of ads started within the current ad break. Used as ad sequence if the ad break does not list its ads.
+   */
+  private startedAdsInAdBreak: number = 0;
+
+  /**
+   * Ads of the VAST responses passed to `handleHttpResponse`, used to resolve the first ad of a wrapper chain.
+   */
+  private readonly vastAdRegistry = new VastAdRegistry();
+
   private convivaSsaiAnalytics: ConvivaAnalyticsSsai;
 
-  private readonly logger: Conviva.LoggingInterface = new Html5Logging();
+  /**
+   * Only set if `ssaiAutoTracking` is enabled.
+   */
+  private ssaiMarkerTracker?: SsaiMarkerTracker;
+
+  private readonly ssaiTimelineTracker: SsaiTimelineTracker;
 
-  public readonly ssai: Omit<ConvivaAnalyticsSsai, 'reset'>;
+  /**
+   * Only set if `playbackWatchdog` is configured.
+   */
+  private playbackWatchdog?: PlaybackWatchdog;
+
+  private readonly config: ConvivaAnalyticsConfiguration;
+
+  /**
+   * Id of the program marker which started the current program, to ignore markers repeated within the program.
+   */
+  private currentProgramMarkerId?: string;
+
+  private readonly logger: Conviva.LoggingInterface;
+
+  public readonly ssai: Omit<ConvivaAnalyticsSsai, 'reset' | 'handleSeeked' | 'handleTimeChanged'>;
 
   constructor(player: PlayerAPI | undefined, customerKey: string, config: ConvivaAnalyticsConfiguration = {}) {
     this.convivaAnalyticsTracker = new ConvivaAnalyticsTracker(customerKey, config);
+    this.logger = this.convivaAnalyticsTracker.logger;
     this.debugLoggingEnabled = config.debugLoggingEnabled || false;
+    this.config = config;
     this._player = player;
+    this.convivaSsaiAnalytics = new ConvivaAnalyticsSsai(this.convivaAnalyticsTracker, () =>
+      this._player?.getCurrentTime(),
+    );
+
+    this.ssaiTimelineTracker = new SsaiTimelineTracker(this.convivaSsaiAnalytics, () => this.player);
+
+    if (config.ssaiAutoTracking) {
+      this.ssaiMarkerTracker = new SsaiMarkerTracker(this.convivaSsaiAnalytics, () => this.player);
+    }
+
+    if (config.playbackWatchdog) {
+      this.playbackWatchdog = new PlaybackWatchdog(config.playbackWatchdog, this.onPlaybackWatchdogTimeout);
+    }
 
     if (player) {
       this.attachPlayer(player);
     }
 
-    this.convivaSsaiAnalytics = new ConvivaAnalyticsSsai(this.convivaAnalyticsTracker);
-
-    // Do not expose `reset` method to the public API.
+    // Do not expose `reset` and the player event handling methods to the public API.
+    const convivaSsaiAnalytics = this.convivaSsaiAnalytics;
     this.ssai = {
       get isAdBreakActive() {
-        return this.convivaSsaiAnalytics.isAdBreakActive;
+        return convivaSsaiAnalytics.isAdBreakActive;
       },
       convivaAnalyticsTracker: this.convivaAnalyticsTracker,
       reportAdBreakStarted: this.convivaSsaiAnalytics.reportAdBreakStarted.bind(this.convivaSsaiAnalytics),
@@ -179,6 +235,27 @@ export class ConvivaAnalytics {
     this.convivaAnalyticsTracker.updateContentMetadata(metadataOverrides);
   }
 
+  /**
+   * Reports the start of the next program of a live stream, e.g. from an EPG. The session of the current program ends
+   * and a new session starts with the metadata of the next program, without a new video startup. If no session is
+   * active, the metadata is used for the next session.
+   *
+   * Example:
+   * ```
+   * convivaAnalytics.reportProgramChanged({
+   *   assetName: 'Evening News',
+   *   custom: { programId: 'news-2100' },
+   * });
+   * ```
+   *
+   * @param programMetadata Metadata of the next program, at least its `assetName`. It replaces the metadata of the
+   *   previous program, other metadata set via `updateContentMetadata` is kept.
+   */
+  public reportProgramChanged(programMetadata: Partial<Metadata>) {
+    this.debugLog('[ ConvivaAnalytics ] program changed', programMetadata);
+    this.convivaAnalyticsTracker.trackProgramChanged(programMetadata);
+  }
+
   /**
    * Sends a custom deficiency event during playback to Conviva's Player Insight. If no session is active it will NOT
    * create one.
@@ -195,6 +272,91 @@ export class ConvivaAnalytics {
     this.convivaAnalyticsTracker.reportPlaybackDeficiency(message, severity, endSession);
   }
 
+  /**
+   * Registers a hook which is called before every report is passed to the Conviva SDK. The hook can modify the report
+   * in place, replace it by returning another report or drop it by returning `null`. Hooks run in the order they were
+   * registered.
+   *
+   * Example:
+   * ```
+   * convivaAnalytics.onBeforeReport((report) => {
+   *   if (report.kind === 'reportPlaybackEvent' || report.kind === 'reportAppEvent') {
+   *     delete report.values[0].email;
+   *   }
+   * });
+   * ```
+   *
+   * @param hook Called with the outgoing report
+   * @returns a function to remove the hook again
+   */
+  public onBeforeReport(hook: BeforeReportHook): () => void {
+    return this.convivaAnalyticsTracker.onBeforeReport(hook);
+  }
+
+  /**
+   * Registers a hook which is called after every report was passed to the Conviva SDK, e.g. to mirror the data to
+   * another analytics system. Reports dropped by an `onBeforeReport` hook are not passed.
+   *
+   * @param hook Called with the report as it was passed to the Conviva SDK
+   * @returns a function to remove the hook again
+   */
+  public onAfterReport(hook: AfterReportHook): () => void {
+    return this.convivaAnalyticsTracker.onAfterReport(hook);
+  }
+
+  /**
+   * Passes downloaded ad manifests to the integration. The player only exposes the ids of the VAST wrappers of an
+   * ad, so the ad system and creative of the first wrapper (`c3.ad.firstAdSystem` and `c3.ad.firstCreativeId`) can
+   * only be reported if the VAST responses are passed via this method. Responses of other types are ignored.
+   *
+   * Example:
+   * ```
+   * const playerConfig = {
+   *   network: {
+   *     preprocessHttpResponse: (type, response) => {
+   *       convivaAnalytics.handleHttpResponse(type, response);
+   *       return Promise.resolve(response);
+   *     },
+   *   },
+   * };
+   * ```
+   *
+   * @param type Type of the request, only `HttpRequestType.MANIFEST_ADS` is handled
+   * @param response The response with a VAST XML string or document as body
+   */
+  public handleHttpResponse(type: HttpRequestType, response: HttpResponse<HttpResponseBody>): void {
+    if (type !== HttpRequestType.MANIFEST_ADS || !response) {
+      return;
+    }
+
+    const body = response.body;
+    const isDocument = typeof Document !== 'undefined' && body instanceof Document;
+
+    if (typeof body !== 'string' && !isDocument) {
+      return;
+    }
+
+    try {
+      this.vastAdRegistry.add(body as string | Document);
+    } catch (error) {
+      this.debugLog('[ ConvivaAnalytics ] could not parse ad manifest', error);
+    }
+  }
+
+  /**
+   * Sets the server-side ad timeline of the current source, normalised from the tracking payload of the ad stitcher.
+   * Ad breaks and ads are then reported automatically while the playback position moves through the timeline,
+   * including seeks into and out of ad breaks. For live streams, call it again whenever the payload is refreshed.
+   *
+   * The timeline is dropped when the source is unloaded.
+   *
+   * @param timeline The ad timeline, or `undefined` to stop reporting from the previous timeline
+   */
+  public setSsaiTimeline(timeline: SsaiTimeline | undefined): void {
+    this.debugLog('[ ConvivaAnalytics ] set ssai timeline', timeline);
+    this.ssaiTimelineTracker.setTimeline(timeline);
+  }
+
   /**
    * Puts the session state in a notMonitored state.
    */
@@ -229,7 +391,13 @@ export class ConvivaAnalytics {
     });
     this.convivaAnalyticsTracker.release(isPlayerDestroyed);
     this.convivaSsaiAnalytics.reset();
+    this.ssaiMarkerTracker?.reset();
+    this.ssaiTimelineTracker.reset();
+    this.playbackWatchdog?.reset();
+    this.currentProgramMarkerId = undefined;
     this.lastAdBreakEvent = null;
+    this.startedAdsInAdBreak = 0;
+    this.vastAdRegistry.clear();
   }
 
   private debugLog(message?: any, ...optionalParams: any[]): void {
@@ -241,6 +409,16 @@ export class ConvivaAnalytics {
   private onPlaybackStateChanged = (event: PlayerEventBase) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] playback state change related event', event);
     this.convivaAnalyticsTracker.trackPlaybackStateChanged(event);
+    this.playbackWatchdog?.onPlayerEvent(event);
+  };
+
+  private onPlaybackWatchdogTimeout = (message: string) => {
+    this.debugLog('[ ConvivaAnalytics ] playback watchdog timeout', message);
+    this.convivaAnalyticsTracker.reportPlaybackDeficiency(
+      message,
+      Conviva.Constants.ErrorSeverity.FATAL,
+      this.config.playbackWatchdog.endSession !== false,
+    );
   };
 
   private onPlay = (event: PlaybackEvent) => {
@@ -277,13 +455,26 @@ export class ConvivaAnalytics {
   private onAdBreakStarted = (event: AdBreakEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] adbreak started', event);
     this.lastAdBreakEvent = event;
-    this.convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE);
+    this.startedAdsInAdBreak = 0;
+
+    const adBreakInfo = AdHelper.extractCsaiAdBreakInfo(this.player, event.adBreak);
+    this.convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.CLIENT_SIDE, adBreakInfo);
+    this.playbackWatchdog?.onAdBreakStarted();
   };
 
   private onAdStarted = (event: AdEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] ad started', event);
 
-    const adInfo = AdHelper.extractCsaiConvivaAdInfo(this.player, this.lastAdBreakEvent, event);
+    this.startedAdsInAdBreak++;
+    const adSequence = AdHelper.getCsaiAdSequence(this.lastAdBreakEvent?.adBreak, event.ad) || this.startedAdsInAdBreak;
+
+    const adInfo = AdHelper.extractCsaiConvivaAdInfo(
+      this.player,
+      this.lastAdBreakEvent,
+      event,
+      adSequence,
+      this.vastAdRegistry,
+    );
     const bitrateKbps = event.ad.data?.bitrate;
 
     this.convivaAnalyticsTracker.trackAdStarted(adInfo, Conviva.Constants.AdType.CLIENT_SIDE, bitrateKbps);
@@ -291,9 +482,30 @@ export class ConvivaAnalytics {
 
   private onAdFinished = (event: AdEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] ad finished', event);
+    this.convivaAnalyticsTracker.trackAdEvent(Conviva.Constants.Events.AD_COMPLETE, ObjectUtils.flatten(event));
     this.convivaAnalyticsTracker.trackAdFinished();
   };
 
+  private onAdQuartile = (event: AdQuartileEvent) => {
+    this.debugLog('[ ConvivaAnalytics ] [ Player Event ] ad quartile', event);
+    const eventType = AdHelper.mapCsaiAdQuartile(event.quartile);
+
+    if (eventType) {
+      this.convivaAnalyticsTracker.trackAdEvent(eventType, ObjectUtils.flatten(event));
+    }
+  };
+
+  private onAdManifestLoaded = (event: AdManifestLoadedEvent) => {
+    this.debugLog('[ ConvivaAnalytics ] [ Player Event ] ad manifest loaded', event);
+    this.convivaAnalyticsTracker.trackAdManifestLoaded(event.downloadTiming);
+    this.onCustomAdEvent(event);
+  };
+
+  private onCustomAdEvent = (event: PlayerEventBase) => {
+    this.debugLog('[ ConvivaAnalytics ] [ Player Event ] custom ad related event', event);
+    this.convivaAnalyticsTracker.trackAdEvent(event.type, ObjectUtils.flatten(event));
+  };
+
   private onAdSkipped = (event: AdEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] ad skipped', event);
     this.convivaAnalyticsTracker.trackAdSkipped();
@@ -302,24 +514,37 @@ export class ConvivaAnalytics {
 
   private onAdBreakFinished = (event: AdBreakEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] adbreak finished', event);
+    this.lastAdBreakEvent = null;
     this.convivaAnalyticsTracker.trackAdBreakFinished();
+    this.playbackWatchdog?.onAdBreakFinished();
   };
 
   private onAdError = (event: ErrorEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] ad error', event);
-    this.convivaAnalyticsTracker.trackAdError(event);
+
+    // An ad which fails to start is the next ad of the ad break
+    const adInfo = AdHelper.extractCsaiFailedAdInfo(
+      this.player,
+      this.lastAdBreakEvent?.adBreak,
+      this.lastAdBreakEvent ? this.startedAdsInAdBreak + 1 : undefined,
+    );
+
+    this.convivaAnalyticsTracker.trackAdError(event, adInfo);
     this.onCustomEvent(event);
   };
 
   private onSeek = (event: SeekEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] seek', event);
     this.convivaAnalyticsTracker.trackSeekStart(event.seekTarget);
+    this.ssaiTimelineTracker.onSeek();
     this.onPlaybackStateChanged(event);
   };
 
   private onSeeked = (event: SeekEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] seeked', event);
     this.convivaAnalyticsTracker.trackSeekEnd();
+    this.ssaiTimelineTracker.onSeeked(this.player.getCurrentTime());
+    this.convivaSsaiAnalytics.handleSeeked(this.player.getCurrentTime());
     this.onPlaybackStateChanged(event);
   };
 
@@ -327,15 +552,57 @@ export class ConvivaAnalytics {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] time shift', event);
     // According to conviva it is valid to pass -1 for seeking in live streams
     this.convivaAnalyticsTracker.trackSeekStart(-1);
+    this.ssaiTimelineTracker.onSeek();
     this.onPlaybackStateChanged(event);
   };
 
   private onTimeShifted = (event: TimeShiftEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] time shifted', event);
     this.convivaAnalyticsTracker.trackSeekEnd();
+    this.ssaiTimelineTracker.onSeeked(this.player.getCurrentTime());
+    this.convivaSsaiAnalytics.handleSeeked(this.player.getCurrentTime());
     this.onPlaybackStateChanged(event);
   };
 
+  private onMetadata = (event: MetadataEvent) => {
+    this.debugLog('[ ConvivaAnalytics ] [ Player Event ] metadata', event);
+    this.ssaiMarkerTracker?.onMetadata(event);
+    this.trackProgramMarker(event);
+  };
+
+  private trackProgramMarker(event: MetadataEvent) {
+    if (!this.config.programBoundaryTracking || !this.player.isLive()) {
+      return;
+    }
+
+    const marker = ProgramMarkerParser.parse(event, this.config.programBoundaryTracking);
+
+    if (!marker || marker.id === this.currentProgramMarkerId) {
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalytics ] program marker', marker);
+    this.currentProgramMarkerId = marker.id;
+    this.convivaAnalyticsTracker.trackProgramChanged({ assetName: marker.title || marker.id });
+  }
+
+  private onTimeChanged = (event: TimeChangedEvent) => {
+    this.ssaiMarkerTracker?.onTimeChanged(event.time);
+    this.ssaiTimelineTracker.onTimeChanged(event.time);
+    this.convivaSsaiAnalytics.handleTimeChanged(event.time);
+    this.playbackWatchdog?.onTimeChanged(event.time);
+  };
+
+  private onSourceUnloaded = (event: PlayerEventBase) => {
+    this.debugLog('[ ConvivaAnalytics ] [ Player Event ] source unloaded', event);
+    // The session of the source ends, so does any server-side ad break within it
+    this.currentProgramMarkerId = undefined;
+    this.ssaiMarkerTracker?.reset();
+    this.ssaiTimelineTracker.reset();
+    this.convivaSsaiAnalytics.reset();
+    this.playbackWatchdog?.reset();
+  };
+
   private onAudioChanged = (event: AudioChangedEvent) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] audio changed', event);
     this.convivaAnalyticsTracker.trackUpdateAudioTrack(event.targetAudio);
@@ -356,6 +623,11 @@ export class ConvivaAnalytics {
     this.convivaAnalyticsTracker.trackError(event);
   };
 
+  private onWarning = (event: WarningEvent) => {
+    this.debugLog('[ ConvivaAnalytics ] [ Player Event ] warning', event);
+    this.convivaAnalyticsTracker.trackWarning(event);
+  };
+
   private onDestroy = (event: any) => {
     this.debugLog('[ ConvivaAnalytics ] [ Player Event ] destroy', event);
     this.releaseInternal(event);
@@ -379,6 +651,11 @@ export class ConvivaAnalytics {
     this.handlers.add(PlayerEvent.AdBreakFinished, this.onAdBreakFinished);
     this.handlers.add(PlayerEvent.AdSkipped, this.onAdSkipped);
     this.handlers.add(PlayerEvent.AdError, this.onAdError);
+    this.handlers.add(PlayerEvent.AdQuartile, this.onAdQuartile);
+    this.handlers.add(PlayerEvent.AdClicked, this.onCustomAdEvent);
+    this.handlers.add(PlayerEvent.AdInteraction, this.onCustomAdEvent);
+    this.handlers.add(PlayerEvent.AdLinearityChanged, this.onCustomAdEvent);
+    this.handlers.add(PlayerEvent.AdManifestLoaded, this.onAdManifestLoaded);
     this.handlers.add(PlayerEvent.Error, this.onError);
     this.handlers.add(PlayerEvent.Destroy, this.onDestroy);
     this.handlers.add(PlayerEvent.Seek, this.onSeek);
@@ -391,6 +668,16 @@ export class ConvivaAnalytics {
 
     this.handlers.add(PlayerEvent.CastStarted, this.onCustomEvent);
     this.handlers.add(PlayerEvent.CastStopped, this.onCustomEvent);
+    this.handlers.add(PlayerEvent.TimeChanged, this.onTimeChanged);
+    this.handlers.add(PlayerEvent.SourceUnloaded, this.onSourceUnloaded);
+
+    if (this.config.warningTracking) {
+      this.handlers.add(PlayerEvent.Warning, this.onWarning);
+    }
+
+    if (this.ssaiMarkerTracker || this.config.programBoundaryTracking) {
+      this.handlers.add(PlayerEvent.Metadata, this.onMetadata);
+    }
   }
 
   private unregisterPlayerEvents(): void {
@@ -1,16 +1,63 @@
 import * as Conviva from '@convivainc/conviva-js-coresdk';
 import { ConvivaAnalyticsTracker, INTEGRATION_VERSION_CONTENT_METADATA_CUSTOM_TAG } from './ConvivaAnalyticsTracker';
-import { AdHelper, SsaiAdInfo } from './helper/AdHelper';
+import { AdHelper, SsaiAdBreakInfo, SsaiAdInfo } from './helper/AdHelper';
+
+/**
+ * Position of an ad break or ad on the playback timeline in seconds. The end is unknown until the duration is known
+ * or the ad break or ad finished.
+ */
+interface SsaiTimeRange {
+  startTime?: number;
+  endTime?: number;
+}
+
+interface SsaiAdRecord extends SsaiTimeRange {
+  adInfo: SsaiAdInfo;
+}
+
+interface SsaiAdBreakRecord extends SsaiTimeRange {
+  ads: SsaiAdRecord[];
+}
 
 export class ConvivaAnalyticsSsai {
+  /**
+   * Number of past ad breaks which are kept to restore them when seeking back into them.
+   */
+  private static readonly MAX_AD_BREAKS = 50;
+
   public readonly convivaAnalyticsTracker: ConvivaAnalyticsTracker;
+  private readonly getCurrentTime: () => number | undefined;
 
-  constructor(convivaAnalyticsTracker: ConvivaAnalyticsTracker) {
+  /**
+   * @param convivaAnalyticsTracker The tracker to report to
+   * @param getCurrentTime Provides the current playback time, used for ad breaks and ads reported without start time
+   */
+  constructor(
+    convivaAnalyticsTracker: ConvivaAnalyticsTracker,
+    getCurrentTime: () => number | undefined = () => undefined,
+  ) {
     this.convivaAnalyticsTracker = convivaAnalyticsTracker;
+    this.getCurrentTime = getCurrentTime;
   }
 
   private _isAdBreakActive: boolean = false;
 
+  private adBreaks: SsaiAdBreakRecord[] = [];
+  private activeAdBreak?: SsaiAdBreakRecord;
+  private activeAd?: SsaiAdRecord;
+
+  /**
+   * Set while an ad break is restored by seeking back into it. Its ads are reported based on the playback time then.
+   */
+  private isRestoringAdBreak: boolean = false;
+
+  /**
+   * Set if the viewer seeked since the active ad break or ad started. The playback time at its end then does not
+   * mark where it ends on the timeline, as content might have been skipped or played in between.
+   */
+  private hasSeekedInAdBreak: boolean = false;
+  private hasSeekedInAd: boolean = false;
+
   /**
    * Reports if a server-side ad break is currently active.
    *
@@ -22,23 +69,35 @@ export class ConvivaAnalyticsSsai {
 
   public reset() {
     this._isAdBreakActive = false;
+    this.adBreaks = [];
+    this.activeAdBreak = undefined;
+    this.activeAd = undefined;
+    this.isRestoringAdBreak = false;
+    this.hasSeekedInAdBreak = false;
+    this.hasSeekedInAd = false;
   }
 
   /**
    * Reports the start of a server-side ad break. Must be called before the first ad starts.
    * Has no effect if a server-side ad break is already playing.
+   *
+   * @param adBreakInfo Optional position of the ad break, used to end it when seeking out of it and to restore it
+   *   when seeking back into it.
    */
-  public reportAdBreakStarted() {
+  public reportAdBreakStarted(adBreakInfo: SsaiAdBreakInfo = {}) {
     if (this.convivaAnalyticsTracker.isAdBreakActive || this._isAdBreakActive) {
       return;
     }
 
     this._isAdBreakActive = true;
+    this.isRestoringAdBreak = false;
+    this.hasSeekedInAdBreak = false;
+    this.activeAdBreak = this.recordAdBreak(adBreakInfo);
     this.convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
   }
 
   /**
-   * Reports the start of a server-side ad.
+   * Reports the start of a server-side ad. An ad which is still playing is reported as finished before.
    * <p>
    * Has to be called after calling the <code>reportAdBreakStarted</code> method.
    *
@@ -49,10 +108,22 @@ export class ConvivaAnalyticsSsai {
       return;
     }
 
-    this.convivaAnalyticsTracker.trackAdStarted(
-      AdHelper.convertSsaiAdInfoToConvivaAdInfo(ssaiAdInfo, this.convivaAnalyticsTracker.getContentMetadata()),
-      Conviva.Constants.AdType.SERVER_SIDE,
-    );
+    const startTime = ConvivaAnalyticsSsai.isTime(ssaiAdInfo.startTime) ? ssaiAdInfo.startTime : this.getCurrentTime();
+
+    if (
+      this.activeAd &&
+      this.activeAd.adInfo.id === ssaiAdInfo.id &&
+      ConvivaAnalyticsSsai.contains(this.activeAd, startTime)
+    ) {
+      // The ad is already playing, e.g. as part of a restored ad break
+      return;
+    }
+
+    if (this.activeAd) {
+      this.finishAd(false);
+    }
+
+    this.startAd(this.recordAd(ssaiAdInfo, startTime));
   }
 
   /**
@@ -64,7 +135,7 @@ export class ConvivaAnalyticsSsai {
       return;
     }
 
-    this.convivaAnalyticsTracker.trackAdFinished();
+    this.finishAd(false);
   }
 
   /**
@@ -76,11 +147,12 @@ export class ConvivaAnalyticsSsai {
       return;
     }
 
-    this.convivaAnalyticsTracker.trackAdSkipped();
+    this.finishAd(true);
   }
 
   /**
-   * Reports the end of a server-side ad break. Must be called after the last ad has finished.
+   * Reports the end of a server-side ad break. Must be called after the last ad has finished, an ad which is still
+   * playing is reported as finished.
    * Has no effect if no server-side ad break is currently active.
    */
   public reportAdBreakFinished() {
@@ -88,7 +160,223 @@ export class ConvivaAnalyticsSsai {
       return;
     }
 
+    this.finishAdBreak(false);
+  }
+
+  /**
+   * Ends the active ad break when seeking out of it, reporting the playing ad as skipped, and restores a past ad break
+   * when seeking back into it.
+   * <p>
+   * Seeking forward out of an ad break is only detected if its duration is known. Ad breaks and ads without duration
+   * which were seeked in are not restored, as their end on the timeline is unknown.
+   *
+   * @param time The playback time after seeking
+   */
+  public handleSeeked(time: number) {
+    if (this._isAdBreakActive) {
+      this.hasSeekedInAdBreak = true;
+      this.hasSeekedInAd = true;
+
+      if (!this.activeAdBreak) {
+        // The position of the ad break is unknown
+        return;
+      }
+
+      if (ConvivaAnalyticsSsai.contains(this.activeAdBreak, time)) {
+        if (this.activeAd?.startTime !== undefined && !ConvivaAnalyticsSsai.contains(this.activeAd, time)) {
+          this.finishAd(true);
+          this.startRecordedAd(time);
+        }
+        return;
+      }
+
+      this.finishAdBreak(true);
+    }
+
+    this.restoreAdBreak(time);
+  }
+
+  /**
+   * Reports the ads of a restored ad break while playing through it.
+   *
+   * @param time The current playback time
+   */
+  public handleTimeChanged(time: number) {
+    if (!this.isRestoringAdBreak) {
+      return;
+    }
+
+    if (!ConvivaAnalyticsSsai.contains(this.activeAdBreak, time)) {
+      this.finishAdBreak(false);
+      return;
+    }
+
+    if (this.activeAd && ConvivaAnalyticsSsai.contains(this.activeAd, time)) {
+      return;
+    }
+
+    if (this.activeAd) {
+      this.finishAd(false);
+    }
+
+    this.startRecordedAd(time);
+  }
+
+  private startAd(ad: SsaiAdRecord) {
+    this.activeAd = ad;
+    this.hasSeekedInAd = false;
+    this.convivaAnalyticsTracker.trackAdStarted(
+      AdHelper.convertSsaiAdInfoToConvivaAdInfo(ad.adInfo, this.convivaAnalyticsTracker.getContentMetadata()),
+      Conviva.Constants.AdType.SERVER_SIDE,
+    );
+  }
+
+  /**
+   * Starts the ad of the active ad break at the given time, if one is known. Ads of a restored ad break are only
+   * started if their end is known.
+   */
+  private startRecordedAd(time: number) {
+    const ads = this.activeAdBreak ? this.activeAdBreak.ads : [];
+
+    for (let i = ads.length - 1; i >= 0; i--) {
+      if (this.isRestoringAdBreak && ads[i].endTime === undefined) {
+        continue;
+      }
+
+      if (ConvivaAnalyticsSsai.contains(ads[i], time)) {
+        this.startAd(ads[i]);
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param isSkipped <code>true</code> if the ad was left before its end, e.g. by seeking
+   */
+  private finishAd(isSkipped: boolean) {
+    const ad = this.activeAd;
+    this.activeAd = undefined;
+
+    if (ad && !isSkipped && !this.hasSeekedInAd) {
+      ConvivaAnalyticsSsai.recordEndTime(ad, this.getCurrentTime());
+    }
+
+    if (isSkipped) {
+      this.convivaAnalyticsTracker.trackAdSkipped();
+    } else {
+      this.convivaAnalyticsTracker.trackAdFinished();
+    }
+  }
+
+  private finishAdBreak(isSkipped: boolean) {
+    if (this.activeAd) {
+      // An ad must not outlast its ad break
+      this.finishAd(isSkipped);
+    }
+
+    if (this.activeAdBreak && !isSkipped && !this.hasSeekedInAdBreak) {
+      ConvivaAnalyticsSsai.recordEndTime(this.activeAdBreak, this.getCurrentTime());
+    }
+
     this._isAdBreakActive = false;
+    this.isRestoringAdBreak = false;
+    this.activeAdBreak = undefined;
     this.convivaAnalyticsTracker.trackAdBreakFinished();
   }
+
+  /**
+   * Restores the past ad break at the given time, if one is known.
+   */
+  private restoreAdBreak(time: number) {
+    if (this.convivaAnalyticsTracker.isAdBreakActive) {
+      return;
+    }
+
+    const adBreak = this.findAdBreak(time);
+
+    if (!adBreak || adBreak.endTime === undefined) {
+      return;
+    }
+
+    this._isAdBreakActive = true;
+    this.isRestoringAdBreak = true;
+    this.activeAdBreak = adBreak;
+    this.convivaAnalyticsTracker.trackAdBreakStarted(Conviva.Constants.AdType.SERVER_SIDE);
+    this.startRecordedAd(time);
+  }
+
+  private recordAdBreak(adBreakInfo: SsaiAdBreakInfo): SsaiAdBreakRecord | undefined {
+    const startTime = ConvivaAnalyticsSsai.isTime(adBreakInfo.startTime)
+      ? adBreakInfo.startTime
+      : this.getCurrentTime();
+
+    if (!ConvivaAnalyticsSsai.isTime(startTime)) {
+      return undefined;
+    }
+
+    const endTime = adBreakInfo.duration > 0 ? startTime + adBreakInfo.duration : undefined;
+    let adBreak = this.findAdBreak(startTime);
+
+    if (!adBreak) {
+      adBreak = { startTime, endTime, ads: [] };
+      this.adBreaks.push(adBreak);
+
+      if (this.adBreaks.length > ConvivaAnalyticsSsai.MAX_AD_BREAKS) {
+        this.adBreaks.shift();
+      }
+    } else if (endTime !== undefined) {
+      adBreak.endTime = endTime;
+    }
+
+    return adBreak;
+  }
+
+  private recordAd(ssaiAdInfo: SsaiAdInfo, startTime: number | undefined): SsaiAdRecord {
+    const ad: SsaiAdRecord = { adInfo: ssaiAdInfo };
+
+    if (!this.activeAdBreak || !ConvivaAnalyticsSsai.isTime(startTime)) {
+      return ad;
+    }
+
+    ad.startTime = startTime;
+    ad.endTime = ssaiAdInfo.duration > 0 ? startTime + ssaiAdInfo.duration : undefined;
+
+    const ads = this.activeAdBreak.ads.filter((recordedAd) => recordedAd.startTime !== startTime);
+    ads.push(ad);
+    ads.sort((a, b) => a.startTime - b.startTime);
+    this.activeAdBreak.ads = ads;
+
+    return ad;
+  }
+
+  private findAdBreak(time: number): SsaiAdBreakRecord | undefined {
+    for (let i = this.adBreaks.length - 1; i >= 0; i--) {
+      if (ConvivaAnalyticsSsai.contains(this.adBreaks[i], time)) {
+        return this.adBreaks[i];
+      }
+    }
+
+    return undefined;
+  }
+
+  private static recordEndTime(range: SsaiTimeRange, time: number | undefined) {
+    if (range.endTime === undefined && ConvivaAnalyticsSsai.isTime(time) && time > range.startTime) {
+      range.endTime = time;
+    }
+  }
+
+  /**
+   * A range without start time contains no time, a range without end time all times after its start.
+   */
+  private static contains(range: SsaiTimeRange | undefined, time: number | undefined): boolean {
+    if (!range || range.startTime === undefined || !ConvivaAnalyticsSsai.isTime(time)) {
+      return false;
+    }
+
+    return range.startTime <= time && (range.endTime === undefined || time < range.endTime);
+  }
+
+  private static isTime(value: unknown): value is number {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+  }
 }
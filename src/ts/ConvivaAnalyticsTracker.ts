@@ -1,7 +1,13 @@
 import * as Conviva from '@convivainc/conviva-js-coresdk';
 import {
   AudioTrack,
+  BufferType,
+  DownloadFinishedEvent,
+  DownloadTiming,
   ErrorEvent,
+  HttpRequestType,
+  LatencyModeChangedEvent,
+  MediaType,
   PlaybackEvent,
   PlayerAPI,
   PlayerEvent,
@@ -9,19 +15,22 @@ import {
   SourceConfig,
   SubtitleTrack,
   TimeMode,
+  VideoQuality,
   VideoQualityChangedEvent,
+  WarningEvent,
 } from 'bitmovin-player';
 import { Timeout } from 'bitmovin-player-ui/dist/js/framework/timeout';
 import { ContentMetadataBuilder, Metadata } from './ContentMetadataBuilder';
-import { AdHelper } from './helper/AdHelper';
+import { ABSOLUTE_INDEX_AD_BREAK_INFO_KEY, AdHelper } from './helper/AdHelper';
+import { ErrorHelper, PlayerErrorMappings } from './helper/ErrorHelper';
 import { PlayerConfigHelper } from './helper/PlayerConfigHelper';
 import { PlayerEventWrapper } from './helper/PlayerEventWrapper';
 import { PlayerStateHelper } from './helper/PlayerStateHelper';
-import { Html5Http } from './Html5Http';
-import { Html5Logging } from './Html5Logging';
-import { Html5Storage } from './Html5Storage';
-import { Html5Time } from './Html5Time';
-import { Html5Timer } from './Html5Timer';
+import { RateLimiter } from './helper/RateLimiter';
+import { AfterReportHook, BeforeReportHook, ConvivaReport, ReportHooks } from './helper/ReportHooks';
+import { ResolvedSystemInterfaces, SystemInterfaces, SystemInterfacesHelper } from './helper/SystemInterfacesHelper';
+import { UrlUtils } from './helper/UrlUtils';
+import { VideoFrameSampler } from './helper/VideoFrameSampler';
 
 export const AUTOPLAY_CONTENT_METADATA_CUSTOM_TAG = 'autoplay';
 export const PRELOAD_CONTENT_METADATA_CUSTOM_TAG = 'preload';
@@ -31,6 +40,17 @@ export const PLAYER_TYPE_CONTENT_METADATA_CUSTOM_TAG = 'playerType';
 export const STREAM_TYPE_CONTENT_METADATA_CUSTOM_TAG = 'streamType';
 export const VR_CONTENT_TYPE_CONTENT_METADATA_CUSTOM_TAG = 'vrContentType';
 
+export const CDN_CHANGED_PLAYBACK_EVENT = 'CdnChanged';
+export const AD_LOADING_TIME_AD_EVENT = 'AdLoadingTime';
+export const AD_NO_FILL_AD_EVENT = 'AdNoFill';
+export const LATENCY_MODE_CHANGED_PLAYBACK_EVENT = 'LatencyModeChanged';
+export const PLAYER_ERROR_PLAYBACK_EVENT = 'PlayerError';
+export const PLAYER_WARNING_PLAYBACK_EVENT = 'PlayerWarning';
+
+export const LIVE_LATENCY_PLAYBACK_METRIC = 'liveLatency';
+export const DVR_WINDOW_SIZE_PLAYBACK_METRIC = 'dvrWindowSize';
+export const TIME_SHIFT_PLAYBACK_METRIC = 'timeShift';
+
 export interface ConvivaAnalyticsConfiguration {
   /**
    * Enables debug logging when set to true (default: false).
@@ -103,6 +123,145 @@ export interface ConvivaAnalyticsConfiguration {
      */
     osVersion?: string;
   };
+
+  /**
+   * Option to replace the system interfaces used by the Conviva SDK, e.g. on platforms where `localStorage` or
+   * `XMLHttpRequest` are not available or behave differently. Every method which is not provided falls back to the
+   * Html5 implementation.
+   * (Default: Html5 implementations)
+   */
+  systemInterfaces?: SystemInterfaces;
+
+  /**
+   * Maps the loaded `SourceConfig` to content metadata, e.g. from `source.metadata`. It is applied automatically
+   * whenever the content metadata is built for a source. Attributes returned by the mapper override the automatically
+   * tracked ones, attributes set via `updateContentMetadata` override the mapped ones.
+   * (Default: only `source.title` is used as `assetName`)
+   */
+  metadataMapper?: (source: SourceConfig) => Partial<Metadata>;
+
+  /**
+   * Reports server-side ad breaks and ads automatically based on the ad markers in the stream (HLS `EXT-X-CUE-OUT`,
+   * `EXT-X-CUE-IN`, `EXT-X-DATERANGE` with `SCTE35-OUT`/`SCTE35-IN` and `EXT-X-SCTE35`, DASH `EventStream` and `emsg`
+   * with a SCTE-35 scheme). Ad breaks reported manually via `ConvivaAnalytics.ssai` take precedence.
+   * (Default: false)
+   */
+  ssaiAutoTracking?: boolean;
+
+  /**
+   * Splits the session of live streams at program boundaries marked in the stream, see
+   * {@link ProgramBoundaryTrackingConfiguration}. Program changes can also be reported via
+   * `ConvivaAnalytics.reportProgramChanged`, e.g. from an EPG, independent of this option.
+   * (Default: in-stream program markers are ignored)
+   */
+  programBoundaryTracking?: ProgramBoundaryTrackingConfiguration;
+
+  /**
+   * Ends the session once the playback was paused or stopped for this number of minutes, e.g. in a background tab. The
+   * next `Play` starts a new session with the same metadata. Ad breaks are not interrupted.
+   * (Default: sessions are not ended while paused)
+   */
+  maxIdleDurationMinutes?: number;
+
+  /**
+   * Ends the session once it lasted this number of minutes. Ongoing playback continues in a new session with the same
+   * metadata without a new video startup, a paused session is ended and the next `Play` starts the new session. Ad
+   * breaks are finished before.
+   * (Default: no limit)
+   */
+  maxSessionDurationMinutes?: number;
+
+  /**
+   * Overrides the category and severity of player errors per `ErrorCode`, e.g.
+   * `{ [ErrorCode.NETWORK_SEGMENT_DOWNLOAD_TIMEOUT]: { severity: Conviva.Constants.ErrorSeverity.WARNING } }`. Errors
+   * with `WARNING` severity are reported without ending the session.
+   * (Default: errors are categorised by the range of their code and are fatal, except for advertising module errors)
+   */
+  errorMapping?: PlayerErrorMappings;
+
+  /**
+   * Reports player `Warning` events as non-fatal deficiencies, see {@link WarningTrackingConfiguration}.
+   * (Default: warnings are not reported)
+   */
+  warningTracking?: WarningTrackingConfiguration;
+
+  /**
+   * Reports playback failures which do not cause a player error, see {@link PlaybackWatchdogConfiguration}.
+   * (Default: disabled)
+   */
+  playbackWatchdog?: PlaybackWatchdogConfiguration;
+}
+
+export interface PlaybackWatchdogConfiguration {
+  /**
+   * Reports a playback failure once a stall after the first frame lasts this number of seconds. Conviva suggests about
+   * 10 seconds.
+   * (Default: disabled)
+   */
+  stallTimeoutSeconds?: number;
+
+  /**
+   * Reports a playback failure if the first frame was not rendered this number of seconds after `Play`.
+   * (Default: disabled)
+   */
+  startupTimeoutSeconds?: number;
+
+  /**
+   * Reports a playback failure once the playhead did not advance for this number of seconds while playing, i.e. not
+   * paused, stalled or seeking.
+   * (Default: disabled)
+   */
+  playheadStuckTimeoutSeconds?: number;
+
+  /**
+   * Ends the session after reporting the failure, see `ConvivaAnalytics.reportPlaybackDeficiency`.
+   * (Default: true)
+   */
+  endSession?: boolean;
+}
+
+export interface WarningTrackingConfiguration {
+  /**
+   * The `WarningCode`s to report.
+   * (Default: all warnings)
+   */
+  codes?: number[];
+
+  /**
+   * `'error'` reports a warning as playback error with `WARNING` severity and the message `<code> <name>`, `'event'`
+   * as `PlayerWarning` playback event with the warning details as attributes.
+   * (Default: 'error')
+   */
+  reportAs?: 'error' | 'event';
+
+  /**
+   * Maximum number of reports of the same warning code within `rateLimitIntervalSeconds`, further warnings are dropped.
+   * The number of dropped warnings is sent with the next report of the code, as `droppedCount` attribute of the
+   * `PlayerWarning` event or as `(<count> dropped)` suffix of the error message.
+   * (Default: 5)
+   */
+  maxReportsPerInterval?: number;
+
+  /**
+   * Length of the sliding window in seconds in which at most `maxReportsPerInterval` warnings of the same code are
+   * reported. A warning code is reported again once its oldest report within the window is older than this.
+   * (Default: 60)
+   */
+  rateLimitIntervalSeconds?: number;
+}
+
+export interface ProgramBoundaryTrackingConfiguration {
+  /**
+   * `CLASS` of the HLS `EXT-X-DATERANGE` tags which mark the start of a program. The asset name of the program is
+   * taken from the `X-TITLE` attribute of the tag, or its `ID` if it has none.
+   */
+  dateRangeClass?: string;
+
+  /**
+   * Treats ID3 `TIT2` (title) frames as program markers, a new program starts whenever the title changes. The title is
+   * used as asset name of the program.
+   */
+  id3Title?: boolean;
 }
 
 export interface EventAttributes {
@@ -132,7 +291,20 @@ export class ConvivaAnalyticsTracker {
   private readonly config: ConvivaAnalyticsConfiguration;
   private readonly contentMetadataBuilder: ContentMetadataBuilder;
 
-  private readonly logger: Conviva.LoggingInterface = new Html5Logging();
+  private readonly systemInterfaces: ResolvedSystemInterfaces;
+  /**
+   * The logging system interface, either the one from the configuration or the Html5 implementation.
+   */
+  public readonly logger: Conviva.LoggingInterface;
+  private readonly videoFrameSampler: VideoFrameSampler = new VideoFrameSampler(() =>
+    this.systemInterfaces.time.getEpochTimeMs(),
+  );
+  private readonly reportHooks: ReportHooks = new ReportHooks((error) =>
+    this.logger.consoleLog(
+      '[ ConvivaAnalyticsTracker ] report hook failed: ' + error,
+      Conviva.SystemSettings.LogLevel.ERROR,
+    ),
+  );
   private sessionKey: number = Conviva.Constants.NO_SESSION_KEY;
   public convivaVideoAnalytics?: Conviva.VideoAnalytics;
   public convivaAdAnalytics?: Conviva.AdAnalytics;
@@ -143,12 +315,68 @@ export class ConvivaAnalyticsTracker {
    */
   private _isAdBreakActive: boolean = false;
 
+  /**
+   * Tracks whether an ad started and did not end yet, to distinguish errors during ad playback from ads which failed
+   * to start.
+   */
+  private isAdPlaying: boolean = false;
+
   public get isAdBreakActive(): boolean {
     return this._isAdBreakActive;
   }
 
+  /**
+   * Type of the active ad break.
+   */
+  private adBreakType?: Conviva.valueof<Conviva.ConvivaConstants['AdType']>;
+
+  /**
+   * Server-side ads are part of the content stream, so all playback metrics belong to the ad session during server-side
+   * ad breaks to not affect the content QoE.
+   */
+  private get isSsaiAdBreakActive(): boolean {
+    return this._isAdBreakActive && this.adBreakType === Conviva.Constants.AdType.SERVER_SIDE;
+  }
+
   private hasPlayed = false;
 
+  /**
+   * Number of ad breaks started within the current session, in total and per pod position.
+   */
+  private adBreakCount: number = 0;
+  private adBreakCountByPodPosition: Record<string, number> = {};
+
+  /**
+   * Epoch time in ms when the client-side ad break started, cleared once its first ad started.
+   */
+  private adLoadingStartedAt?: number;
+
+  /**
+   * Download time of the latest ad manifest in ms.
+   */
+  private adManifestDownloadTimeMs?: number;
+
+  /**
+   * Tracks whether a session was created for the currently loaded source.
+   */
+  private hasSessionForSource = false;
+
+  /**
+   * Set when a source with a tracked session was unloaded, e.g. by loading the next source of a playlist, so the
+   * session for the next source is created as soon as it is loaded instead of waiting for the next play.
+   */
+  private createSessionOnSourceLoaded = false;
+
+  /**
+   * Host which served the latest media segment, tracked independent of the session to cover preloading.
+   */
+  private cdnHost?: string;
+
+  /**
+   * Host which was last reported as `CDN_IP` within the current session.
+   */
+  private reportedCdnHost?: string;
+
   /**
    * Do not track play event during ad (e.g. triggered from IMA)
    */
@@ -216,58 +444,97 @@ export class ConvivaAnalyticsTracker {
     }
   });
 
+  /**
+   * Only set if `maxIdleDurationMinutes` is configured.
+   */
+  private idleTimeout?: Timeout;
+
+  /**
+   * Only set if `maxSessionDurationMinutes` is configured.
+   */
+  private maxSessionDurationTimeout?: Timeout;
+
+  /**
+   * Set if the maximum session duration was reached during an ad break. The session rolls over once it finished.
+   */
+  private isSessionRolloverPending = false;
+
+  /**
+   * Only set if `warningTracking` is configured. Limits the warnings per code within a session.
+   */
+  private warningRateLimiter?: RateLimiter;
+
+  /**
+   * Metadata of the current program, replaced by the metadata of the next program.
+   */
+  private programMetadata?: Partial<Metadata>;
+
+  /**
+   * Metadata of a program which started during an ad break. The session is split once the ad break finished.
+   */
+  private pendingProgramMetadata?: Partial<Metadata>;
+
   /**
    * Boolean to track whether a session was ended by an upstream caller instead of within internal session management.
    * If this is true, we should avoid initializing a new session internally if a session is not active
    */
   private sessionEndedExternally = false;
+  /**
+   * Whether hiding the page ended the session, so the playback can continue in a new session once it is visible again.
+   */
+  private isSessionEndedByPageHide = false;
 
   // this.convivaVideoAnalytics.reportPlaybackMetric
+  // Keys which are not part of `Conviva.Constants.Playback` are reported as custom metrics by the SDK
   public reportPlaybackMetric(
-    metricKey: Conviva.valueof<Conviva.ConvivaConstants['Playback']>,
+    metricKey: Conviva.valueof<Conviva.ConvivaConstants['Playback']> | string,
     metricValue?: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']> | number | string,
     metricValue2?: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']> | number | string,
   ): void {
-    try {
-      this.convivaVideoAnalytics.reportPlaybackMetric(metricKey, metricValue, metricValue2);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportPlaybackMetric', error);
-    }
+    // Only forward the values which were actually passed
+    const values = Array.prototype.slice.call(arguments, 1);
+
+    this.report({ kind: 'reportPlaybackMetric', key: metricKey, values }, (report) =>
+      this.convivaVideoAnalytics.reportPlaybackMetric.apply(
+        this.convivaVideoAnalytics,
+        [report.key].concat(report.values),
+      ),
+    );
   }
   // this.convivaVideoAnalytics.reportAppEvent
   public reportAppEvent(eventName: string, eventAttributes: EventAttributes = {}): void {
-    try {
-      this.convivaVideoAnalytics.reportAppEvent(eventName, eventAttributes);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAppEvent', error);
-    }
+    this.report({ kind: 'reportAppEvent', key: eventName, values: [eventAttributes] }, (report) =>
+      this.convivaVideoAnalytics.reportAppEvent(report.key, report.values[0]),
+    );
   }
 
   // this.convivaVideoAnalytics.reportPlaybackEnded
   public reportPlaybackEnded(): void {
-    try {
-      this.convivaVideoAnalytics.reportPlaybackEnded();
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportPlaybackEnded', error);
-    }
+    this.report({ kind: 'reportPlaybackEnded', values: [] }, () => this.convivaVideoAnalytics.reportPlaybackEnded());
   }
 
   // this.convivaVideoAnalytics.reportPlaybackFailed
   public reportPlaybackFailed(message: string): void {
-    try {
-      this.convivaVideoAnalytics.reportPlaybackFailed(message);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportPlaybackFailed', error);
-    }
+    this.report({ kind: 'reportPlaybackFailed', key: message, values: [] }, (report) =>
+      this.convivaVideoAnalytics.reportPlaybackFailed(report.key),
+    );
+  }
+
+  // this.convivaVideoAnalytics.reportPlaybackError
+  public reportPlaybackError(
+    message: string,
+    severity: Conviva.valueof<Conviva.ConvivaConstants['ErrorSeverity']>,
+  ): void {
+    this.report({ kind: 'reportPlaybackError', key: message, values: [severity] }, (report) =>
+      this.convivaVideoAnalytics.reportPlaybackError(report.key, report.values[0]),
+    );
   }
 
   // this.convivaVideoAnalytics.reportPlaybackEvent
   public reportPlaybackEvent(eventName: string, eventAttributes: EventAttributes = {}): void {
-    try {
-      this.convivaVideoAnalytics.reportPlaybackEvent(eventName, eventAttributes);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportPlaybackEvent', error);
-    }
+    this.report({ kind: 'reportPlaybackEvent', key: eventName, values: [eventAttributes] }, (report) =>
+      this.convivaVideoAnalytics.reportPlaybackEvent(report.key, report.values[0]),
+    );
   }
 
   // this.convivaVideoAnalytics.reportAdBreakStarted
@@ -276,29 +543,28 @@ export class ConvivaAnalyticsTracker {
     value: Conviva.valueof<Conviva.ConvivaConstants['AdPlayer']>,
     adBreakInfo?: object,
   ): void {
-    try {
-      this.convivaVideoAnalytics.reportAdBreakStarted(type, value, adBreakInfo);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAdBreakStarted', error);
-    }
+    this.report({ kind: 'reportAdBreakStarted', key: type, values: [value, adBreakInfo] }, (report) =>
+      this.convivaVideoAnalytics.reportAdBreakStarted(report.key as typeof type, report.values[0], report.values[1]),
+    );
   }
 
   // this.convivaVideoAnalytics.reportAdBreakEnded
   public reportAdBreakEnded(): void {
-    try {
-      this.convivaVideoAnalytics.reportAdBreakEnded();
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAdBreakEnded', error);
-    }
+    this.report({ kind: 'reportAdBreakEnded', values: [] }, () => this.convivaVideoAnalytics.reportAdBreakEnded());
   }
 
   // this.convivaVideoAnalytics.reportPlaybackRequested
   public reportPlaybackRequested(): void {
-    try {
-      this.convivaVideoAnalytics.reportPlaybackRequested(this.contentMetadataBuilder.build());
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportPlaybackRequested', error);
-    }
+    this.report({ kind: 'reportPlaybackRequested', values: [this.contentMetadataBuilder.build()] }, (report) =>
+      this.convivaVideoAnalytics.reportPlaybackRequested(report.values[0]),
+    );
+  }
+
+  // this.convivaVideoAnalytics.setContentInfo
+  public setContentInfo(contentInfo: Conviva.ConvivaMetadata): void {
+    this.report({ kind: 'setContentInfo', values: [contentInfo] }, (report) =>
+      this.convivaVideoAnalytics.setContentInfo(report.values[0]),
+    );
   }
 
   // this.convivaAdAnalytics.reportAdMetric
@@ -307,47 +573,92 @@ export class ConvivaAnalyticsTracker {
     metricValue?: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']> | number | string,
     metricValue2?: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']> | number | string,
   ): void {
-    try {
-      this.convivaAdAnalytics.reportAdMetric(metricKey, metricValue, metricValue2);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportPlaybackMetric', error);
-    }
+    // Only forward the values which were actually passed
+    const values = Array.prototype.slice.call(arguments, 1);
+
+    this.report({ kind: 'reportAdMetric', key: metricKey, values }, (report) =>
+      this.convivaAdAnalytics.reportAdMetric.apply(this.convivaAdAnalytics, [report.key].concat(report.values)),
+    );
   }
 
   // this.convivaAdAnalytics.reportAdSkipped
   public reportAdSkipped(): void {
-    try {
-      this.convivaAdAnalytics.reportAdSkipped();
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAdSkipped', error);
-    }
+    this.report({ kind: 'reportAdSkipped', values: [] }, () => this.convivaAdAnalytics.reportAdSkipped());
   }
 
   // this.convivaAdAnalytics.reportAdStarted
   public reportAdStarted(adInfo: Conviva.ConvivaMetadata): void {
-    try {
-      this.convivaAdAnalytics.reportAdStarted(adInfo);
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAdStarted', error);
-    }
+    this.report({ kind: 'reportAdStarted', values: [adInfo] }, (report) =>
+      this.convivaAdAnalytics.reportAdStarted(report.values[0]),
+    );
   }
 
   // this.convivaAdAnalytics.reportAdEnded
   public reportAdEnded(): void {
-    try {
-      this.reportAdEnded();
-    } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAdEnded', error);
-    }
+    this.report({ kind: 'reportAdEnded', values: [] }, () => this.convivaAdAnalytics.reportAdEnded());
   }
 
   // this.convivaAdAnalytics.reportAdError
   public reportAdError(error: string, severity: Conviva.valueof<Conviva.ConvivaConstants['ErrorSeverity']>): void {
+    this.report({ kind: 'reportAdError', key: error, values: [severity] }, (report) =>
+      this.convivaAdAnalytics.reportAdError(report.key, report.values[0]),
+    );
+  }
+
+  // this.convivaAdAnalytics.reportAdFailed
+  public reportAdFailed(error: string, adInfo: Conviva.ConvivaMetadata = {}): void {
+    this.report({ kind: 'reportAdFailed', key: error, values: [adInfo] }, (report) =>
+      this.convivaAdAnalytics.reportAdFailed(report.key, report.values[0]),
+    );
+  }
+
+  // this.convivaAdAnalytics.reportAdPlayerEvent
+  public reportAdPlayerEvent(eventType: string, eventDetail: EventAttributes = {}): void {
+    this.report({ kind: 'reportAdPlayerEvent', key: eventType, values: [eventDetail] }, (report) =>
+      this.convivaAdAnalytics.reportAdPlayerEvent(
+        report.key as Conviva.valueof<Conviva.ConvivaConstants['Events']>,
+        report.values[0],
+      ),
+    );
+  }
+
+  /**
+   * Registers a hook which can modify or drop every report before it is passed to the Conviva SDK.
+   *
+   * @returns a function to remove the hook again
+   */
+  public onBeforeReport(hook: BeforeReportHook): () => void {
+    return this.reportHooks.addBeforeReportHook(hook);
+  }
+
+  /**
+   * Registers a hook which is called for every report after it was passed to the Conviva SDK.
+   *
+   * @returns a function to remove the hook again
+   */
+  public onAfterReport(hook: AfterReportHook): () => void {
+    return this.reportHooks.addAfterReportHook(hook);
+  }
+
+  /**
+   * Passes the report through the registered hooks and hands it over to `send` unless a hook dropped it.
+   */
+  private report(report: Omit<ConvivaReport, 'sessionId'>, send: (report: ConvivaReport) => void): void {
+    const finalReport = this.reportHooks.runBeforeReportHooks({ ...report, sessionId: this.sessionKey });
+
+    if (!finalReport) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report dropped by hook', report);
+      return;
+    }
+
     try {
-      this.convivaAdAnalytics.reportAdError(error, severity);
+      send(finalReport);
     } catch (error) {
-      this.debugLog('[ ConvivaAnalyticsTracker ] error @ reportAdError', error);
+      this.debugLog('[ ConvivaAnalyticsTracker ] error @ ' + report.kind, error);
+      return;
     }
+
+    this.reportHooks.runAfterReportHooks(finalReport);
   }
 
   constructor(customerKey: string, config: ConvivaAnalyticsConfiguration = {}) {
@@ -377,14 +688,40 @@ export class ConvivaAnalyticsTracker {
     };
     Conviva.Analytics.setDeviceMetadata(deviceMetadata);
 
+    const systemInterfaces = SystemInterfacesHelper.resolve(
+      this.config.systemInterfaces,
+      this.config.debugLoggingEnabled,
+    );
+    this.systemInterfaces = systemInterfaces;
+    this.logger = systemInterfaces.logging;
+
+    if (this.config.maxIdleDurationMinutes > 0) {
+      this.idleTimeout = new Timeout(this.config.maxIdleDurationMinutes * 60 * 1000, this.onIdleTimeout);
+    }
+
+    if (this.config.warningTracking) {
+      const { maxReportsPerInterval, rateLimitIntervalSeconds } = this.config.warningTracking;
+      this.warningRateLimiter = new RateLimiter(
+        maxReportsPerInterval > 0 ? maxReportsPerInterval : 5,
+        (rateLimitIntervalSeconds > 0 ? rateLimitIntervalSeconds : 60) * 1000,
+        () => this.systemInterfaces.time.getEpochTimeMs(),
+      );
+    }
+
+    if (this.config.maxSessionDurationMinutes > 0) {
+      this.maxSessionDurationTimeout = new Timeout(
+        this.config.maxSessionDurationMinutes * 60 * 1000,
+        this.onMaxSessionDurationTimeout,
+      );
+    }
+
     let callbackFunctions: Record<string, Function> = {};
-    callbackFunctions[Conviva.Constants.CallbackFunctions.CONSOLE_LOG] = this.logger.consoleLog;
-    callbackFunctions[Conviva.Constants.CallbackFunctions.MAKE_REQUEST] = new Html5Http().makeRequest;
-    const html5Storage = new Html5Storage();
-    callbackFunctions[Conviva.Constants.CallbackFunctions.SAVE_DATA] = html5Storage.saveData;
-    callbackFunctions[Conviva.Constants.CallbackFunctions.LOAD_DATA] = html5Storage.loadData;
-    callbackFunctions[Conviva.Constants.CallbackFunctions.CREATE_TIMER] = new Html5Timer().createTimer;
-    callbackFunctions[Conviva.Constants.CallbackFunctions.GET_EPOCH_TIME_IN_MS] = new Html5Time().getEpochTimeMs;
+    callbackFunctions[Conviva.Constants.CallbackFunctions.CONSOLE_LOG] = systemInterfaces.logging.consoleLog;
+    callbackFunctions[Conviva.Constants.CallbackFunctions.MAKE_REQUEST] = systemInterfaces.http.makeRequest;
+    callbackFunctions[Conviva.Constants.CallbackFunctions.SAVE_DATA] = systemInterfaces.storage.saveData;
+    callbackFunctions[Conviva.Constants.CallbackFunctions.LOAD_DATA] = systemInterfaces.storage.loadData;
+    callbackFunctions[Conviva.Constants.CallbackFunctions.CREATE_TIMER] = systemInterfaces.timer.createTimer;
+    callbackFunctions[Conviva.Constants.CallbackFunctions.GET_EPOCH_TIME_IN_MS] = systemInterfaces.time.getEpochTimeMs;
 
     const settings: Record<string, string | number> = {};
     settings[Conviva.Constants.GATEWAY_URL] = config.gatewayUrl;
@@ -395,6 +732,14 @@ export class ConvivaAnalyticsTracker {
     Conviva.Analytics.init(customerKey, callbackFunctions, settings);
 
     this.contentMetadataBuilder = new ContentMetadataBuilder(this.logger);
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('pagehide', this.onPageHide);
+    }
+
+    if (typeof document !== 'undefined' && document.addEventListener) {
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
   }
 
   public initializeSession(): void {
@@ -484,6 +829,167 @@ export class ConvivaAnalyticsTracker {
     this.internalUpdateContentMetadata(metadataOverrides);
   }
 
+  /**
+   * Ends the session of the current program and starts a new one for the next program, without a new video startup
+   * for the viewer who keeps watching. A program change during an ad break splits the session after the ad break.
+   *
+   * @param programMetadata Metadata of the next program, at least its `assetName`. It replaces the metadata of the
+   *   previous program, other metadata set via `updateContentMetadata` is kept.
+   */
+  public trackProgramChanged(programMetadata: Partial<Metadata>) {
+    if (!this.isSessionActive()) {
+      this.contentMetadataBuilder.replaceOverrides(this.getProgramMetadataOverrides(programMetadata));
+      return;
+    }
+
+    if (this._isAdBreakActive) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] program changed during ad break, splitting session afterwards');
+      this.pendingProgramMetadata = programMetadata;
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] program changed, splitting session', programMetadata);
+    this.splitSession(this.getProgramMetadataOverrides(programMetadata));
+  }
+
+  /**
+   * Ends the session and continues the playback in a new session with the given metadata.
+   */
+  private splitSession(metadataOverrides: Partial<Metadata>) {
+    const hasPlayed = this.hasPlayed;
+    const playerState = this.isPlayerAttached ? PlayerStateHelper.getPlayerState(this.player) : undefined;
+
+    this.ensurePlaybackFinished();
+    this.internalEndSession();
+
+    this.contentMetadataBuilder.replaceOverrides(metadataOverrides);
+    this.continueSession(hasPlayed, playerState);
+  }
+
+  /**
+   * Creates a new session for the running playback.
+   */
+  private continueSession(
+    hasPlayed: boolean,
+    playerState: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']> | undefined,
+  ) {
+    // The viewer keeps watching, so the new session continues in the current state instead of starting up
+    this.internalInitializeSession(hasPlayed ? playerState : undefined);
+
+    if (!hasPlayed || !this.isSessionActive()) {
+      return;
+    }
+
+    this.hasPlayed = true;
+    this.contentMetadataBuilder.setPlaybackStarted(true);
+    this.trackUpdateAudioTrack(this.player.getAudio());
+    this.trackInitialSubtitles();
+    this.trackVideoQuality(this.player.getPlaybackVideoData());
+  }
+
+  /**
+   * Ends the session, the next `Play` starts a new session with the same metadata.
+   */
+  private endSessionUntilPlay() {
+    this.ensurePlaybackFinished();
+    this.endSessionKeepingMetadata();
+  }
+
+  /**
+   * Ends the session but keeps its metadata for the session created on the next play of the same source.
+   */
+  private endSessionKeepingMetadata() {
+    const metadataOverrides = this.contentMetadataBuilder.getOverrides();
+
+    this.internalEndSession();
+
+    this.contentMetadataBuilder.replaceOverrides(metadataOverrides);
+  }
+
+  private onIdleTimeout = () => {
+    if (!this.isSessionActive() || this._isAdBreakActive) {
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] maximum idle duration reached, ending session');
+    this.endSessionUntilPlay();
+  };
+
+  private onMaxSessionDurationTimeout = () => {
+    if (!this.isSessionActive()) {
+      return;
+    }
+
+    if (this._isAdBreakActive) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] maximum session duration reached, rolling over after ad break');
+      this.isSessionRolloverPending = true;
+      return;
+    }
+
+    this.rollOverSession();
+  };
+
+  private rollOverSession() {
+    const isPaused =
+      !this.isPlayerAttached || PlayerStateHelper.getPlayerState(this.player) === Conviva.Constants.PlayerState.PAUSED;
+
+    if (!this.hasPlayed || isPaused) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] maximum session duration reached, ending session');
+      this.endSessionUntilPlay();
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] maximum session duration reached, rolling over session');
+    this.splitSession(this.contentMetadataBuilder.getOverrides());
+  }
+
+  /**
+   * The idle timeout runs while the playback is paused or stopped.
+   */
+  private trackIdleState(playerState: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']>) {
+    if (!this.idleTimeout) {
+      return;
+    }
+
+    if (playerState === Conviva.Constants.PlayerState.PAUSED || playerState === Conviva.Constants.PlayerState.STOPPED) {
+      this.idleTimeout.start();
+    } else {
+      this.idleTimeout.clear();
+    }
+  }
+
+  /**
+   * Replaces the metadata of the current program in the overrides by the metadata of the next program.
+   */
+  private getProgramMetadataOverrides(programMetadata: Partial<Metadata>): Partial<Metadata> {
+    const overrides = { ...this.contentMetadataBuilder.getOverrides() };
+    const previousProgramMetadata = this.programMetadata || {};
+    this.programMetadata = programMetadata;
+
+    Object.keys(previousProgramMetadata).forEach((key: keyof Metadata) => {
+      if (key === 'custom' || key === 'additionalStandardTags') {
+        overrides[key] = { ...overrides[key] };
+        Object.keys(previousProgramMetadata[key] || {}).forEach((tag) => delete overrides[key][tag]);
+      } else {
+        delete overrides[key];
+      }
+    });
+
+    return ConvivaAnalyticsTracker.mergeMetadata(overrides, programMetadata);
+  }
+
+  /**
+   * Merges metadata, the custom tags of both are combined.
+   */
+  private static mergeMetadata(metadata: Partial<Metadata>, newMetadata: Partial<Metadata>): Partial<Metadata> {
+    return {
+      ...metadata,
+      ...newMetadata,
+      custom: { ...metadata.custom, ...newMetadata.custom },
+      additionalStandardTags: { ...metadata.additionalStandardTags, ...newMetadata.additionalStandardTags },
+    };
+  }
+
   public reportPlaybackDeficiency(
     message: string,
     severity: Conviva.valueof<Conviva.ConvivaConstants['ErrorSeverity']>,
@@ -526,12 +1032,67 @@ export class ConvivaAnalyticsTracker {
     this._player = null;
     this.handlers = null;
 
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('pagehide', this.onPageHide);
+    }
+
+    if (typeof document !== 'undefined' && document.removeEventListener) {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
     this.ensurePlaybackFinished();
     this.internalEndSession();
 
     Conviva.Analytics.release();
+    this.reportHooks.clear();
+
+    Object.keys(this.systemInterfaces).forEach((name: keyof ResolvedSystemInterfaces) => {
+      this.systemInterfaces[name].release();
+    });
   }
 
+  /**
+   * Ends the session when the page is hidden or unloaded (e.g. closing the tab), so Conviva gets an accurate session
+   * end instead of a session which just stops sending heartbeats. On mobile browsers the page is often discarded
+   * after it got hidden without any further event. A new session is created on the next play, or once the page is
+   * visible again in case the playback continued meanwhile.
+   */
+  private onPageHide = () => {
+    if (!this.isSessionActive()) {
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] page hide, ending session');
+    this.isSessionEndedByPageHide = true;
+    this.endSessionUntilPlay();
+  };
+
+  private onPageVisible = () => {
+    const isSessionEndedByPageHide = this.isSessionEndedByPageHide;
+    this.isSessionEndedByPageHide = false;
+
+    if (
+      !isSessionEndedByPageHide ||
+      this.isSessionActive() ||
+      this.sessionEndedExternally ||
+      !this.isPlayerAttached ||
+      !this.player.isPlaying()
+    ) {
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] page visible again, continuing playback in a new session');
+    this.continueSession(true, PlayerStateHelper.getPlayerState(this.player));
+  };
+
+  private onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') {
+      this.onPageHide();
+    } else if (document.visibilityState === 'visible') {
+      this.onPageVisible();
+    }
+  };
+
   private debugLog(message?: any, ...optionalParams: any[]): void {
     if (this.config.debugLoggingEnabled) {
       console.log.apply(console, arguments);
@@ -555,92 +1116,251 @@ export class ConvivaAnalyticsTracker {
     }
   }
 
-  private internalUpdateContentMetadata(metadataOverrides: Partial<Metadata>) {
-    this.contentMetadataBuilder.setOverrides(metadataOverrides);
+  private internalUpdateContentMetadata(metadataOverrides: Partial<Metadata>) {
+    this.contentMetadataBuilder.setOverrides(metadataOverrides);
+
+    if (!this.isSessionActive()) {
+      this.logger.consoleLog(
+        '[ ConvivaAnalyticsTracker ] no active session. Content metadata will be propagated to Conviva on session initialization.',
+        Conviva.SystemSettings.LogLevel.DEBUG,
+      );
+      return;
+    }
+
+    this.buildContentMetadata();
+    this.updateSession();
+  }
+
+  /**
+   * A Conviva Session should only be initialized when there is a source provided in the player because
+   * Conviva only allows to update different `contentMetadata` only at different times.
+   *
+   * The session should be created as soon as there was a play intention from the user.
+   *
+   * Set only once:
+   *  - assetName
+   *
+   * Update before first video frame:
+   *  - viewerId
+   *  - streamType
+   *  - playerName
+   *  - duration
+   *  - custom
+   *
+   * Multiple updates during session:
+   *  - streamUrl
+   *  - defaultResource (unused)
+   *  - encodedFrameRate (unused)
+   *
+   * @param playerState The state to report for a session continuing an ongoing playback, e.g. the next program of a
+   *   live stream. New playbacks start as `STOPPED`.
+   */
+  private internalInitializeSession(playerState?: Conviva.valueof<Conviva.ConvivaConstants['PlayerState']>) {
+    this.debugLog('[ ConvivaAnalyticsTracker ] initializing session');
+
+    this.buildContentMetadata();
+
+    this.hasSessionForSource = true;
+    this.adBreakCount = 0;
+    this.adBreakCountByPodPosition = {};
+
+    // Create a Conviva monitoring session.
+    this.convivaVideoAnalytics = Conviva.Analytics.buildVideoAnalytics();
+    this.convivaAdAnalytics = Conviva.Analytics.buildAdAnalytics(this.convivaVideoAnalytics);
+
+    // Fetched before the first report so the report hooks get the id of the new session for it
+    this.sessionKey = this.convivaVideoAnalytics.getSessionId();
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] new session key', this.sessionKey);
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report playback requested');
+    this.reportPlaybackRequested();
+
+    this.setPlayerInfo();
+    // It's required to correctly track VST. There must be BUFFERING or STOPPED metric reported before PLAYING.
+    // In some cases BUFFERING does not fire before PLAYING, so we report STOPPED right after session initialization to cover all edge cases.
+    this.reportPlaybackMetric(
+      Conviva.Constants.Playback.PLAYER_STATE,
+      playerState || Conviva.Constants.PlayerState.STOPPED,
+    );
+    this.trackIdleState(playerState || Conviva.Constants.PlayerState.STOPPED);
+    this.maxSessionDurationTimeout?.start();
+    this.warningRateLimiter?.reset();
+
+    this.videoFrameSampler.reset();
+    this.convivaVideoAnalytics.setCallback(this.onConvivaCallback);
+    this.trackCdnHost();
+
+    if (!this.isSessionActive()) {
+      // Something went wrong. With stable system interfaces, this should never happen.
+      this.logger.consoleLog(
+        '[ ConvivaAnalyticsTracker ] Something went wrong, could not obtain session key',
+        Conviva.SystemSettings.LogLevel.ERROR,
+      );
+    }
+  }
+
+  /**
+   * Called periodically by the Conviva SDK while a session is active to poll metrics which are not event driven.
+   */
+  private onConvivaCallback = () => {
+    if (!this.isPlayerAttached) {
+      return;
+    }
+
+    this.trackPlayheadTime();
+    this.trackBufferLength();
+    this.trackVideoFrames();
+    this.trackLiveMetrics();
+  };
+
+  private trackPlayheadTime() {
+    const playheadTime = this.player.getCurrentTime(TimeMode.RelativeTime);
+
+    if (!Number.isFinite(playheadTime)) {
+      return;
+    }
+
+    const playheadTimeMs = playheadTime * 1000;
+
+    if (this._isAdBreakActive) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report ad player head time', playheadTimeMs);
+      this.reportAdMetric(Conviva.Constants.Playback.PLAY_HEAD_TIME, playheadTimeMs);
+    } else {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report player head time', playheadTimeMs);
+      this.reportPlaybackMetric(Conviva.Constants.Playback.PLAY_HEAD_TIME, playheadTimeMs);
+    }
+  }
+
+  private trackBufferLength() {
+    const bufferLength = this.getForwardBufferLength();
 
-    if (!this.isSessionActive()) {
-      this.logger.consoleLog(
-        '[ ConvivaAnalyticsTracker ] no active session. Content metadata will be propagated to Conviva on session initialization.',
-        Conviva.SystemSettings.LogLevel.DEBUG,
-      );
+    if (bufferLength === undefined) {
       return;
     }
 
-    this.buildContentMetadata();
-    this.updateSession();
+    const bufferLengthMs = Math.round(bufferLength * 1000);
+
+    if (this._isAdBreakActive) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report ad buffer length', bufferLengthMs);
+      this.reportAdMetric(Conviva.Constants.Playback.BUFFER_LENGTH, bufferLengthMs);
+    } else {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report buffer length', bufferLengthMs);
+      this.reportPlaybackMetric(Conviva.Constants.Playback.BUFFER_LENGTH, bufferLengthMs);
+    }
   }
 
   /**
-   * A Conviva Session should only be initialized when there is a source provided in the player because
-   * Conviva only allows to update different `contentMetadata` only at different times.
-   *
-   * The session should be created as soon as there was a play intention from the user.
-   *
-   * Set only once:
-   *  - assetName
-   *
-   * Update before first video frame:
-   *  - viewerId
-   *  - streamType
-   *  - playerName
-   *  - duration
-   *  - custom
-   *
-   * Multiple updates during session:
-   *  - streamUrl
-   *  - defaultResource (unused)
-   *  - encodedFrameRate (unused)
+   * Playback stalls as soon as one of the media types runs dry, so the smaller forward buffer of video and audio
+   * is the relevant one. Returns `undefined` if neither of them has a track.
    */
-  private internalInitializeSession() {
-    this.debugLog('[ ConvivaAnalyticsTracker ] initializing session');
+  private getForwardBufferLength(): number | undefined {
+    if (!this.player.buffer) {
+      return undefined;
+    }
 
-    this.buildContentMetadata();
+    const levels = [MediaType.Video, MediaType.Audio]
+      .map((media) => this.player.buffer.getLevel(BufferType.ForwardDuration, media))
+      .filter((bufferLevel) => bufferLevel && Number.isFinite(bufferLevel.level))
+      .map((bufferLevel) => bufferLevel.level);
 
-    // Create a Conviva monitoring session.
-    this.convivaVideoAnalytics = Conviva.Analytics.buildVideoAnalytics();
-    this.convivaAdAnalytics = Conviva.Analytics.buildAdAnalytics(this.convivaVideoAnalytics);
+    if (levels.length === 0) {
+      return undefined;
+    }
 
-    this.debugLog('[ ConvivaAnalyticsTracker ] report playback requested');
-    this.reportPlaybackRequested();
+    return Math.max(0, Math.min(...levels));
+  }
 
-    this.sessionKey = this.convivaVideoAnalytics.getSessionId();
+  private trackVideoFrames() {
+    // Client-side ads are not rendered by the content video element, and paused playback would report 0 fps
+    if ((this._isAdBreakActive && !this.isSsaiAdBreakActive) || !this.player.isPlaying()) {
+      this.videoFrameSampler.reset();
+      return;
+    }
 
-    this.debugLog('[ ConvivaAnalyticsTracker ] new session key', this.sessionKey);
+    const { renderedFrameRate, droppedFrames } = this.videoFrameSampler.sample(this.player);
 
-    this.setPlayerInfo();
-    // It's required to correctly track VST. There must be BUFFERING or STOPPED metric reported before PLAYING.
-    // In some cases BUFFERING does not fire before PLAYING, so we report STOPPED right after session initialization to cover all edge cases.
-    this.reportPlaybackMetric(Conviva.Constants.Playback.PLAYER_STATE, Conviva.Constants.PlayerState.STOPPED);
+    if (renderedFrameRate !== undefined) {
+      if (this.isSsaiAdBreakActive) {
+        this.debugLog('[ ConvivaAnalyticsTracker ] report ad rendered framerate', renderedFrameRate);
+        this.reportAdMetric(Conviva.Constants.Playback.RENDERED_FRAMERATE, renderedFrameRate);
+      } else {
+        this.debugLog('[ ConvivaAnalyticsTracker ] report rendered framerate', renderedFrameRate);
+        this.reportPlaybackMetric(Conviva.Constants.Playback.RENDERED_FRAMERATE, renderedFrameRate);
+      }
+    }
 
-    this.convivaVideoAnalytics.setCallback(() => {
-      if (!this.isPlayerAttached) {
-        return;
+    if (droppedFrames) {
+      if (this.isSsaiAdBreakActive) {
+        this.debugLog('[ ConvivaAnalyticsTracker ] report ad dropped frames', droppedFrames);
+        this.reportAdMetric(Conviva.Constants.Playback.DROPPED_FRAMES_COUNT, droppedFrames);
+      } else {
+        this.debugLog('[ ConvivaAnalyticsTracker ] report dropped frames', droppedFrames);
+        this.reportPlaybackMetric(Conviva.Constants.Playback.DROPPED_FRAMES_COUNT, droppedFrames);
       }
+    }
+  }
 
-      const playheadTime = this.player.getCurrentTime(TimeMode.RelativeTime);
+  /**
+   * Reports the latency to the live edge, the size of the DVR window and the time shift offset as custom metrics, all
+   * in milliseconds. Only applies to the content of live streams, so nothing is reported during ad breaks. Custom
+   * metrics are not supported by ad sessions, and reporting server-side ad playback on the content session would skew
+   * its values.
+   */
+  private trackLiveMetrics() {
+    if (this._isAdBreakActive) {
+      return;
+    }
 
-      if (!Number.isFinite(playheadTime)) {
-        return;
-      }
+    if (!this.player.isLive()) {
+      return;
+    }
 
-      const playheadTimeMs = playheadTime * 1000;
+    const latency = this.getLiveLatency();
 
-      if (this._isAdBreakActive) {
-        this.debugLog('[ ConvivaAnalyticsTracker ] report ad player head time', playheadTimeMs);
-        this.reportAdMetric(Conviva.Constants.Playback.PLAY_HEAD_TIME, playheadTimeMs);
-      } else {
-        this.debugLog('[ ConvivaAnalyticsTracker ] report player head time', playheadTimeMs);
-        this.reportPlaybackMetric(Conviva.Constants.Playback.PLAY_HEAD_TIME, playheadTimeMs);
-      }
-    });
+    if (latency !== undefined) {
+      const latencyMs = Math.round(latency * 1000);
+      this.debugLog('[ ConvivaAnalyticsTracker ] report live latency', latencyMs);
+      this.reportPlaybackMetric(LIVE_LATENCY_PLAYBACK_METRIC, latencyMs);
+    }
 
-    if (!this.isSessionActive()) {
-      // Something went wrong. With stable system interfaces, this should never happen.
-      this.logger.consoleLog(
-        '[ ConvivaAnalyticsTracker ] Something went wrong, could not obtain session key',
-        Conviva.SystemSettings.LogLevel.ERROR,
-      );
+    // Both are negative or 0 as they are relative to the live edge
+    const maxTimeShift = this.player.getMaxTimeShift();
+    const timeShift = this.player.getTimeShift();
+
+    if (Number.isFinite(maxTimeShift)) {
+      const dvrWindowSizeMs = Math.round(Math.abs(maxTimeShift) * 1000);
+      this.debugLog('[ ConvivaAnalyticsTracker ] report dvr window size', dvrWindowSizeMs);
+      this.reportPlaybackMetric(DVR_WINDOW_SIZE_PLAYBACK_METRIC, dvrWindowSizeMs);
+    }
+
+    if (Number.isFinite(timeShift)) {
+      const timeShiftMs = Math.round(Math.abs(timeShift) * 1000);
+      this.debugLog('[ ConvivaAnalyticsTracker ] report time shift', timeShiftMs);
+      this.reportPlaybackMetric(TIME_SHIFT_PLAYBACK_METRIC, timeShiftMs);
+    }
+  }
+
+  /**
+   * The latency measured by the low latency API, or the distance between the wall clock and the program date time of
+   * the playback position. Returns `undefined` if neither is available.
+   */
+  private getLiveLatency(): number | undefined {
+    const latency = this.player.lowlatency?.getLatency();
+
+    if (Number.isFinite(latency) && latency > 0) {
+      return latency;
+    }
+
+    const absoluteTime = this.player.getCurrentTime(TimeMode.AbsoluteTime);
+
+    // Without program date time, the absolute time is the same as the relative time
+    if (!Number.isFinite(absoluteTime) || absoluteTime === this.player.getCurrentTime(TimeMode.RelativeTime)) {
+      return undefined;
     }
+
+    const programDateTimeLatency = this.systemInterfaces.time.getEpochTimeMs() / 1000 - absoluteTime;
+    return programDateTimeLatency >= 0 ? programDateTimeLatency : undefined;
   }
 
   /**
@@ -670,6 +1390,7 @@ export class ConvivaAnalyticsTracker {
 
     // This could be called before we got a source
     if (source) {
+      this.contentMetadataBuilder.setSourceMetadata(this.mapSourceMetadata(source));
       this.contentMetadataBuilder.assetName = this.getAssetNameFromSource(source);
       this.contentMetadataBuilder.viewerId = this.contentMetadataBuilder.viewerId;
       this.contentMetadataBuilder.addToCustom({
@@ -687,7 +1408,23 @@ export class ConvivaAnalyticsTracker {
       return;
     }
 
-    this.convivaVideoAnalytics.setContentInfo(this.contentMetadataBuilder.build());
+    this.setContentInfo(this.contentMetadataBuilder.build());
+  }
+
+  private mapSourceMetadata(source: SourceConfig): Partial<Metadata> {
+    if (!this.config.metadataMapper) {
+      return {};
+    }
+
+    try {
+      return this.config.metadataMapper(source) || {};
+    } catch (error) {
+      this.logger.consoleLog(
+        '[ ConvivaAnalyticsTracker ] metadataMapper failed, ignoring its metadata: ' + error,
+        Conviva.SystemSettings.LogLevel.ERROR,
+      );
+      return {};
+    }
   }
 
   private getAssetNameFromSource(source: SourceConfig): string {
@@ -719,7 +1456,14 @@ export class ConvivaAnalyticsTracker {
     this.convivaAdAnalytics = null;
 
     this.hasPlayed = false;
+    this.pendingProgramMetadata = undefined;
+    this.isSessionRolloverPending = false;
+    this.idleTimeout?.clear();
+    this.maxSessionDurationTimeout?.clear();
     this._isAdBreakActive = false;
+    this.isAdPlaying = false;
+    this.reportedCdnHost = undefined;
+    this.sessionKey = Conviva.Constants.NO_SESSION_KEY;
   };
 
   private isSessionActive(): boolean {
@@ -729,7 +1473,15 @@ export class ConvivaAnalyticsTracker {
   private onSourceLoaded = (event: PlayerEventBase) => {
     this.debugLog('[ ConvivaAnalyticsTracker ] [ Player Event ] source loaded', event);
 
+    const createSession = this.createSessionOnSourceLoaded;
+    this.createSessionOnSourceLoaded = false;
+
     if (!this.isSessionActive()) {
+      if (createSession && !this.sessionEndedExternally) {
+        this.debugLog('[ ConvivaAnalyticsTracker ] new source loaded, creating session');
+        // Content metadata is built from the new source
+        this.internalInitializeSession();
+      }
       return;
     }
 
@@ -761,6 +1513,8 @@ export class ConvivaAnalyticsTracker {
     }
 
     if (playerState) {
+      this.trackIdleState(playerState);
+
       if (this._isAdBreakActive) {
         this.debugLog('[ ConvivaAnalyticsTracker ] report ad playback state', playerState);
         this.reportAdMetric(Conviva.Constants.Playback.PLAYER_STATE, playerState);
@@ -815,11 +1569,8 @@ export class ConvivaAnalyticsTracker {
       return;
     }
 
-    this.convivaVideoAnalytics.release();
-    this.convivaVideoAnalytics = null;
-
-    this.convivaAdAnalytics.release();
-    this.convivaAdAnalytics = null;
+    // A replay of the source creates a new session with the same metadata
+    this.endSessionKeepingMetadata();
   };
 
   public trackVideoQualityChanged = (event: VideoQualityChangedEvent) => {
@@ -827,33 +1578,102 @@ export class ConvivaAnalyticsTracker {
       return;
     }
 
+    this.trackVideoQuality(event.targetQuality);
+  };
+
+  /**
+   * Reports bitrate and resolution to the ad session during server-side ad breaks, to the content session otherwise.
+   */
+  private trackVideoQuality(quality: VideoQuality) {
+    if (!quality) {
+      return;
+    }
+
     // We calculate the bitrate with a divisor of 1000 so the values look nicer
     // Example: 250000 / 1000 => 250 kbps (250000 / 1024 => 244kbps)
-    const bitrateKbps = Math.round(event.targetQuality.bitrate / 1000);
+    const bitrateKbps = Math.round(quality.bitrate / 1000);
+    const { width, height } = quality;
+    const resolution = width && height ? `${width}x${height}` : undefined;
 
-    this.debugLog('[ ConvivaAnalyticsTracker ] report bitrate', {
-      event,
-      bitrateKbps,
-    });
-    this.reportPlaybackMetric(Conviva.Constants.Playback.BITRATE, bitrateKbps);
-  };
+    if (this.isSsaiAdBreakActive) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report ad bitrate', bitrateKbps);
+      this.reportAdMetric(Conviva.Constants.Playback.BITRATE, bitrateKbps);
+
+      if (resolution) {
+        this.debugLog('[ ConvivaAnalyticsTracker ] report ad resolution', resolution);
+        this.reportAdMetric(Conviva.Constants.Playback.RESOLUTION, resolution);
+      }
+    } else {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report bitrate', { quality, bitrateKbps });
+      this.reportPlaybackMetric(Conviva.Constants.Playback.BITRATE, bitrateKbps);
+
+      if (resolution) {
+        this.debugLog('[ ConvivaAnalyticsTracker ] report resolution', resolution);
+        this.reportPlaybackMetric(Conviva.Constants.Playback.RESOLUTION, resolution);
+      }
+    }
+  }
 
-  public trackAdBreakStarted = (type: Conviva.valueof<Conviva.ConvivaConstants['AdType']>) => {
+  /**
+   * @param type client or server side ad break
+   * @param adBreakInfo pod metadata of the ad break. The pod index (per pod position) and the absolute index (within
+   * the session) are added automatically.
+   */
+  public trackAdBreakStarted = (
+    type: Conviva.valueof<Conviva.ConvivaConstants['AdType']>,
+    adBreakInfo?: Conviva.ConvivaAdBreakInfo,
+  ) => {
     if (!this.isSessionActive()) {
       return;
     }
 
     this._isAdBreakActive = true;
-
-    this.debugLog('[ ConvivaAnalyticsTracker ] report ad break started', { type });
-    this.reportAdBreakStarted(
-      type,
+    this.adBreakType = type;
+    this.adBreakCount++;
+    // Do not mix frames of the content and of server-side ads within one sample
+    this.videoFrameSampler.reset();
+    this.adLoadingStartedAt =
+      type === Conviva.Constants.AdType.CLIENT_SIDE ? this.systemInterfaces.time.getEpochTimeMs() : undefined;
+
+    const value =
       type === Conviva.Constants.AdType.CLIENT_SIDE
         ? Conviva.Constants.AdPlayer.SEPARATE
-        : Conviva.Constants.AdPlayer.CONTENT,
-    );
+        : Conviva.Constants.AdPlayer.CONTENT;
+
+    if (!adBreakInfo) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report ad break started', { type });
+      this.reportAdBreakStarted(type, value);
+      return;
+    }
+
+    const podPosition = adBreakInfo[Conviva.Constants.POD_POSITION];
+    this.adBreakCountByPodPosition[podPosition] = (this.adBreakCountByPodPosition[podPosition] || 0) + 1;
+
+    const podInfo = {
+      ...adBreakInfo,
+      [Conviva.Constants.POD_INDEX]: this.adBreakCountByPodPosition[podPosition],
+      [ABSOLUTE_INDEX_AD_BREAK_INFO_KEY]: this.adBreakCount,
+    };
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report ad break started', { type, podInfo });
+    this.reportAdBreakStarted(type, value, podInfo);
   };
 
+  /**
+   * Reports an ad event, e.g. a quartile or a click, on the ad session.
+   *
+   * @param eventType one of `Conviva.Constants.Events` or a custom event name
+   * @param eventAttributes a string-to-string dictionary object with arbitrary attribute keys and values
+   */
+  public trackAdEvent(eventType: string, eventAttributes: EventAttributes = {}) {
+    if (!this.isSessionActive()) {
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report ad event', { eventType, eventAttributes });
+    this.reportAdPlayerEvent(eventType, eventAttributes);
+  }
+
   public trackAdStarted = (
     adInfo: Conviva.ConvivaMetadata,
     type: Conviva.valueof<Conviva.ConvivaConstants['AdType']>,
@@ -868,12 +1688,22 @@ export class ConvivaAnalyticsTracker {
       type,
       bitrateKbps,
     });
+    this.isAdPlaying = true;
     this.reportAdStarted(adInfo);
 
-    this.debugLog(
-      `[ ConvivaAnalyticsTracker ] report ${PlayerStateHelper.getPlayerState(this.player)} ad playback state`,
-    );
-    this.reportAdMetric(Conviva.Constants.Playback.PLAYER_STATE, PlayerStateHelper.getPlayerState(this.player));
+    const playerState = PlayerStateHelper.getPlayerState(this.player);
+
+    if (playerState === Conviva.Constants.PlayerState.PLAYING) {
+      // Conviva measures the ad startup time from BUFFERING or STOPPED to PLAYING, so there must be one of them
+      // reported before PLAYING on the ad session.
+      this.debugLog('[ ConvivaAnalyticsTracker ] report buffering ad playback state');
+      this.reportAdMetric(Conviva.Constants.Playback.PLAYER_STATE, Conviva.Constants.PlayerState.BUFFERING);
+    }
+
+    this.debugLog(`[ ConvivaAnalyticsTracker ] report ${playerState} ad playback state`);
+    this.reportAdMetric(Conviva.Constants.Playback.PLAYER_STATE, playerState);
+
+    this.trackAdLoadingTime();
 
     if (type === Conviva.Constants.AdType.SERVER_SIDE) {
       const playbackVideoData = this.player.getPlaybackVideoData();
@@ -886,6 +1716,11 @@ export class ConvivaAnalyticsTracker {
         this.debugLog('[ ConvivaAnalyticsTracker ] report framerate', playbackVideoData.frameRate);
         this.reportAdMetric(Conviva.Constants.Playback.RENDERED_FRAMERATE, playbackVideoData.frameRate);
       }
+
+      // The stitched ad plays in the quality of the content stream
+      if (!bitrateKbps && playbackVideoData.bitrate) {
+        bitrateKbps = Math.round(playbackVideoData.bitrate / 1000);
+      }
     }
 
     if (bitrateKbps) {
@@ -894,11 +1729,46 @@ export class ConvivaAnalyticsTracker {
     }
   };
 
+  /**
+   * @param downloadTiming download timing of the ad manifest, reported along with the loading time of the next ad
+   */
+  public trackAdManifestLoaded(downloadTiming?: DownloadTiming) {
+    this.adManifestDownloadTimeMs =
+      downloadTiming && typeof downloadTiming.downloadTime === 'number'
+        ? Math.round(downloadTiming.downloadTime * 1000)
+        : undefined;
+  }
+
+  /**
+   * Reports the time from the start of the client-side ad break until its first ad started, which includes
+   * resolving VAST wrappers and buffering the ad.
+   */
+  private trackAdLoadingTime() {
+    if (this.adLoadingStartedAt === undefined) {
+      return;
+    }
+
+    const eventAttributes: EventAttributes = {
+      loadingTimeMs: String(this.systemInterfaces.time.getEpochTimeMs() - this.adLoadingStartedAt),
+    };
+
+    if (this.adManifestDownloadTimeMs !== undefined) {
+      eventAttributes.manifestDownloadTimeMs = String(this.adManifestDownloadTimeMs);
+    }
+
+    this.adLoadingStartedAt = undefined;
+    this.adManifestDownloadTimeMs = undefined;
+
+    this.trackAdEvent(AD_LOADING_TIME_AD_EVENT, eventAttributes);
+  }
+
   public trackAdFinished = () => {
     if (!this.isSessionActive()) {
       return;
     }
 
+    this.isAdPlaying = false;
+
     this.debugLog('[ ConvivaAnalyticsTracker ] report ad ended');
     this.reportAdEnded();
   };
@@ -908,6 +1778,8 @@ export class ConvivaAnalyticsTracker {
       return;
     }
 
+    this.isAdPlaying = false;
+
     this.debugLog('[ ConvivaAnalyticsTracker ] report ad skipped');
     this.reportAdSkipped();
   };
@@ -917,27 +1789,72 @@ export class ConvivaAnalyticsTracker {
       return;
     }
 
+    const wasSsaiAdBreakActive = this.isSsaiAdBreakActive;
+
     this._isAdBreakActive = false;
+    this.adBreakType = undefined;
+    this.isAdPlaying = false;
 
     this.debugLog('[ ConvivaAnalyticsTracker ] report ad break ended');
     this.reportAdBreakEnded();
 
-    this.debugLog(`[ ConvivaAnalyticsTracker ] report ${PlayerStateHelper.getPlayerState(this.player)} playback state`);
-    this.reportPlaybackMetric(Conviva.Constants.Playback.PLAYER_STATE, PlayerStateHelper.getPlayerState(this.player));
+    const playerState = PlayerStateHelper.getPlayerState(this.player);
+    this.debugLog(`[ ConvivaAnalyticsTracker ] report ${playerState} playback state`);
+    this.reportPlaybackMetric(Conviva.Constants.Playback.PLAYER_STATE, playerState);
+    this.trackIdleState(playerState);
+
+    if (wasSsaiAdBreakActive) {
+      // Quality changes during the ad break were reported to the ad session
+      this.videoFrameSampler.reset();
+      this.trackVideoQuality(this.player.getPlaybackVideoData());
+    }
+
+    if (this.pendingProgramMetadata) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] program changed, splitting session', this.pendingProgramMetadata);
+      this.splitSession(this.getProgramMetadataOverrides(this.pendingProgramMetadata));
+    } else if (this.isSessionRolloverPending) {
+      this.rollOverSession();
+    }
   };
 
-  public trackAdError = (event: ErrorEvent) => {
+  /**
+   * @param event The `AdError` event
+   * @param adInfo Metadata of the failed ad, reported if the ad did not start
+   */
+  public trackAdError = (event: ErrorEvent, adInfo: Conviva.ConvivaMetadata = {}) => {
     if (!this.isSessionActive()) {
       return;
     }
 
     const formattedError = AdHelper.formatCsaiAdError(event);
+    const errorAttributes = AdHelper.extractCsaiAdErrorAttributes(event);
+
+    if (errorAttributes.errorCategory === 'no-fill') {
+      // The ad server had no ad to deliver, report it apart from failures to keep the fill rate analysable
+      this.debugLog('[ ConvivaAnalyticsTracker ] report ad no fill', { event, errorAttributes });
+      this.reportAdPlayerEvent(AD_NO_FILL_AD_EVENT, errorAttributes);
+      return;
+    }
+
+    if (this.isAdPlaying) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report ad error', {
+        event,
+        formattedError,
+        errorAttributes,
+      });
+      this.reportAdError(formattedError, Conviva.Constants.ErrorSeverity.WARNING);
+      this.reportAdPlayerEvent(Conviva.Constants.Events.AD_ERROR, errorAttributes);
+      return;
+    }
 
-    this.debugLog('[ ConvivaAnalyticsTracker ] report ad error', {
+    this.debugLog('[ ConvivaAnalyticsTracker ] report ad failed', {
       event,
       formattedError,
+      errorAttributes,
+      adInfo,
     });
-    this.reportAdError(formattedError, Conviva.Constants.ErrorSeverity.WARNING);
+    this.reportAdFailed(formattedError, adInfo);
+    this.reportAdPlayerEvent(Conviva.Constants.Events.AD_ERROR, errorAttributes);
   };
 
   public trackSeekStart(target: number) {
@@ -1032,13 +1949,117 @@ export class ConvivaAnalyticsTracker {
   }
 
   public trackError = (event: ErrorEvent) => {
+    const errorMapping = ErrorHelper.mapError(event.code, this.config.errorMapping);
+    const errorAttributes = ErrorHelper.extractErrorAttributes(event, errorMapping);
+
+    if (errorMapping.severity === Conviva.Constants.ErrorSeverity.WARNING) {
+      if (!this.isSessionActive()) {
+        return;
+      }
+
+      // The playback continues, keep the session
+      this.debugLog('[ ConvivaAnalyticsTracker ] report playback error', { event, errorAttributes });
+      this.reportPlaybackError(ErrorHelper.formatError(event), errorMapping.severity);
+      this.reportPlaybackEvent(PLAYER_ERROR_PLAYBACK_EVENT, errorAttributes);
+      return;
+    }
+
     if (!this.isSessionActive() && !this.sessionEndedExternally) {
       // initialize Session if not yet initialized to capture Video Start Failures
       this.internalInitializeSession();
     }
 
-    this.debugLog('[ ConvivaAnalyticsTracker ] report playback deficiency', event);
-    this.reportPlaybackDeficiency(String(event.code) + ' ' + event.name, Conviva.Constants.ErrorSeverity.FATAL);
+    if (this.isSessionActive()) {
+      // Reported before the failure, which ends the session
+      this.reportPlaybackEvent(PLAYER_ERROR_PLAYBACK_EVENT, errorAttributes);
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report playback deficiency', { event, errorAttributes });
+    this.reportPlaybackDeficiency(ErrorHelper.formatError(event), errorMapping.severity);
+  };
+
+  public trackWarning = (event: WarningEvent) => {
+    const warningTracking = this.config.warningTracking;
+
+    if (!this.isSessionActive() || !warningTracking) {
+      return;
+    }
+
+    if (warningTracking.codes && warningTracking.codes.indexOf(event.code) === -1) {
+      return;
+    }
+
+    const key = String(event.code);
+
+    if (!this.warningRateLimiter.tryAcquire(key)) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] drop warning, rate limit reached', event);
+      return;
+    }
+
+    const droppedCount = this.warningRateLimiter.takeDroppedCount(key);
+
+    if (warningTracking.reportAs === 'event') {
+      const warningAttributes = ErrorHelper.extractWarningAttributes(event, droppedCount);
+      this.debugLog('[ ConvivaAnalyticsTracker ] report playback warning event', { event, warningAttributes });
+      this.reportPlaybackEvent(PLAYER_WARNING_PLAYBACK_EVENT, warningAttributes);
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report playback warning', { event, droppedCount });
+    this.reportPlaybackError(ErrorHelper.formatWarning(event, droppedCount), Conviva.Constants.ErrorSeverity.WARNING);
+  };
+
+  private onDownloadFinished = (event: DownloadFinishedEvent) => {
+    const isMediaSegment =
+      event.downloadType === HttpRequestType.MEDIA_VIDEO || event.downloadType === HttpRequestType.MEDIA_AUDIO;
+
+    // Segments downloaded during ad breaks might be served from the ad server instead of the content CDN
+    if (!event.success || !isMediaSegment || this._isAdBreakActive) {
+      return;
+    }
+
+    const host = UrlUtils.extractHost(event.url);
+
+    if (!host) {
+      return;
+    }
+
+    this.cdnHost = host;
+    this.trackCdnHost();
+  };
+
+  private trackCdnHost() {
+    if (!this.isSessionActive() || !this.cdnHost || this.cdnHost === this.reportedCdnHost) {
+      return;
+    }
+
+    const previousCdnHost = this.reportedCdnHost;
+    this.reportedCdnHost = this.cdnHost;
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report cdn ip', this.cdnHost);
+    this.reportPlaybackMetric(Conviva.Constants.Playback.CDN_IP, this.cdnHost);
+
+    if (previousCdnHost) {
+      this.debugLog('[ ConvivaAnalyticsTracker ] report cdn changed', { previousCdnHost, cdnHost: this.cdnHost });
+      this.reportPlaybackEvent(CDN_CHANGED_PLAYBACK_EVENT, {
+        previousCdn: previousCdnHost,
+        cdn: this.cdnHost,
+      });
+    }
+  }
+
+  private onLatencyModeChanged = (event: LatencyModeChangedEvent) => {
+    this.debugLog('[ ConvivaAnalyticsTracker ] [ Player Event ] latency mode changed', event);
+
+    if (!this.isSessionActive()) {
+      return;
+    }
+
+    this.debugLog('[ ConvivaAnalyticsTracker ] report latency mode changed', { from: event.from, to: event.to });
+    this.reportPlaybackEvent(LATENCY_MODE_CHANGED_PLAYBACK_EVENT, {
+      from: event.from,
+      to: event.to,
+    });
   };
 
   private onSourceUnloaded = (event: PlayerEventBase) => {
@@ -1047,9 +2068,21 @@ export class ConvivaAnalyticsTracker {
     if (this._isAdBreakActive) {
       // Ignore sourceUnloaded events during ads
       return;
-    } else {
-      this.internalEndSession();
     }
+
+    this.createSessionOnSourceLoaded = this.hasSessionForSource;
+    this.hasSessionForSource = false;
+    this.cdnHost = undefined;
+
+    // The program belongs to the previous source, other overrides set by the app apply to the next source as well
+    this.contentMetadataBuilder.replaceOverrides(this.getProgramMetadataOverrides({}));
+    this.programMetadata = undefined;
+    const nextSourceOverrides = this.contentMetadataBuilder.getNextSourceOverrides();
+
+    this.ensurePlaybackFinished();
+    this.internalEndSession();
+
+    this.contentMetadataBuilder.replaceOverrides(nextSourceOverrides);
   };
 
   private registerPlayerEvents(): void {
@@ -1058,6 +2091,8 @@ export class ConvivaAnalyticsTracker {
     this.handlers.add(PlayerEvent.Playing, this.onPlaying);
     this.handlers.add(PlayerEvent.PlaybackFinished, this.onPlaybackFinished);
     this.handlers.add(PlayerEvent.SourceUnloaded, this.onSourceUnloaded);
+    this.handlers.add(PlayerEvent.DownloadFinished, this.onDownloadFinished);
+    this.handlers.add(PlayerEvent.LatencyModeChanged, this.onLatencyModeChanged);
   }
 
   private unregisterPlayerEvents(): void {
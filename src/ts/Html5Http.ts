@@ -1,6 +1,49 @@
 import * as Conviva from '@convivainc/conviva-js-coresdk';
 
+export interface Html5HttpOptions {
+  /**
+   * How often a request is retried after a network error. HTTP error responses are never retried.
+   * Only applies if the `fetch` transport is used. (default: 0)
+   */
+  maxRetries?: number;
+  /**
+   * Delay before the first retry in milliseconds. The delay doubles with every further retry. (default: 500)
+   */
+  retryDelayMs?: number;
+  /**
+   * Upper bound for the delay between two retries in milliseconds. (default: 5000)
+   */
+  maxRetryDelayMs?: number;
+}
+
 export class Html5Http implements Conviva.HttpInterface {
+  private readonly options: Required<Html5HttpOptions>;
+
+  /**
+   * Requests sent while the page is hidden or being unloaded might be cancelled by the browser, so they are sent via
+   * `navigator.sendBeacon` instead. On mobile browsers `visibilitychange` is often the last event which fires before
+   * the page is discarded. Once the page is visible again the regular transport is used, as the SDK needs the
+   * responses.
+   */
+  private isPageHidden: boolean = false;
+
+  constructor(options: Html5HttpOptions = {}) {
+    this.options = {
+      maxRetries: options.maxRetries || 0,
+      retryDelayMs: options.retryDelayMs || 500,
+      maxRetryDelayMs: options.maxRetryDelayMs || 5000,
+    };
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('pagehide', this.onPageHide);
+      window.addEventListener('pageshow', this.onPageShow);
+    }
+
+    if (typeof document !== 'undefined' && document.addEventListener) {
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+  }
+
   public makeRequest(
     httpMethod: 'GET' | 'POST',
     url: string,
@@ -9,11 +52,146 @@ export class Html5Http implements Conviva.HttpInterface {
     timeoutMs: number,
     callback: Conviva.HttpRequestCallback | null,
   ): Conviva.HttpRequestCancelFunction {
+    if (this.isPageHidden && httpMethod === 'POST' && this.makeRequestBeacon(url, data)) {
+      // The response of a beacon is not accessible, report the queued beacon as success to complete the request
+      if (callback) {
+        callback(true, '');
+      }
+      return function () {
+        // a beacon cannot be cancelled
+      };
+    }
+
+    if (Html5Http.isFetchSupported()) {
+      return this.makeRequestFetch.apply(this, arguments);
+    }
+
     return this.makeRequestStandard.apply(this, arguments);
   }
 
   public release(): void {
-    // nothing to release
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('pagehide', this.onPageHide);
+      window.removeEventListener('pageshow', this.onPageShow);
+    }
+
+    if (typeof document !== 'undefined' && document.removeEventListener) {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+  }
+
+  private onPageHide = () => {
+    this.isPageHidden = true;
+  };
+
+  private onPageShow = () => {
+    this.isPageHidden = false;
+  };
+
+  private onVisibilityChange = () => {
+    this.isPageHidden = document.visibilityState === 'hidden';
+  };
+
+  /**
+   * Returns `false` if the beacon could not be queued, e.g. because the browser does not support it or its queue is
+   * full, so the request can be sent with the regular transport instead.
+   */
+  private makeRequestBeacon(url: string, data: string | null): boolean {
+    if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+      return false;
+    }
+
+    try {
+      // Send the data as plain string on purpose: a Blob with a content type which is not CORS-safelisted
+      // (e.g. application/json) is rejected by some browsers.
+      return navigator.sendBeacon(url, data);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  private static isFetchSupported(): boolean {
+    return typeof fetch === 'function' && typeof AbortController === 'function';
+  }
+
+  private static isSuccessStatus(status: number): boolean {
+    return status >= 200 && status < 300;
+  }
+
+  private makeRequestFetch(
+    httpMethod: 'GET' | 'POST',
+    url: string,
+    data: string | null,
+    contentType: string | null,
+    timeoutMs: number,
+    callback: Conviva.HttpRequestCallback | null,
+  ): Conviva.HttpRequestCancelFunction {
+    const abortController = new AbortController();
+    let timeoutId: number | undefined;
+    let retryTimeoutId: number | undefined;
+    let isDone = false;
+
+    // Timeout, response and cancellation can race each other, only the first one wins.
+    const finish = (succeeded?: boolean, responseData?: string) => {
+      if (isDone) {
+        return;
+      }
+
+      isDone = true;
+      clearTimeout(timeoutId);
+      clearTimeout(retryTimeoutId);
+
+      if (callback && succeeded !== undefined) {
+        callback(succeeded, responseData);
+      }
+    };
+
+    const attempt = (attemptIndex: number) => {
+      fetch(url, {
+        method: httpMethod,
+        body: data,
+        headers: contentType ? { 'Content-Type': contentType } : undefined,
+        signal: abortController.signal,
+      })
+        .then((response) =>
+          response.text().then((responseText) => {
+            if (Html5Http.isSuccessStatus(response.status)) {
+              finish(true, responseText);
+            } else {
+              finish(false, 'http status ' + response.status);
+            }
+          }),
+        )
+        .catch((error) => {
+          if (isDone) {
+            return;
+          }
+
+          if (attemptIndex < this.options.maxRetries) {
+            retryTimeoutId = setTimeout(() => attempt(attemptIndex + 1), this.getRetryDelay(attemptIndex));
+          } else {
+            finish(false, 'network error: ' + error);
+          }
+        });
+    };
+
+    if (timeoutMs > 0) {
+      timeoutId = setTimeout(() => {
+        finish(false, 'timeout after ' + timeoutMs + ' ms');
+        abortController.abort();
+      }, timeoutMs);
+    }
+
+    attempt(0);
+
+    return () => {
+      finish();
+      abortController.abort();
+    };
+  }
+
+  private getRetryDelay(attemptIndex: number): number {
+    return Math.min(this.options.maxRetryDelayMs, this.options.retryDelayMs * Math.pow(2, attemptIndex));
   }
 
   private makeRequestStandard(
@@ -49,7 +227,7 @@ export class Html5Http implements Conviva.HttpInterface {
     xmlHttpReq.onreadystatechange = function () {
       if (xmlHttpReq.readyState === 4) {
         xmlHttpReq.ontimeout = xmlHttpReq.onreadystatechange = null;
-        if (xmlHttpReq.status === 200) {
+        if (Html5Http.isSuccessStatus(xmlHttpReq.status)) {
           if (callback) {
             callback(true, xmlHttpReq.responseText);
           }
@@ -63,6 +241,9 @@ export class Html5Http implements Conviva.HttpInterface {
 
     xmlHttpReq.send(data);
 
-    return null; // no way to cancel the request
+    return function () {
+      xmlHttpReq.ontimeout = xmlHttpReq.onreadystatechange = null;
+      xmlHttpReq.abort();
+    };
   }
 }
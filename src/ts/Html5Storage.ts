@@ -1,32 +1,344 @@
 import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { Html5Logging } from './Html5Logging';
 
+/**
+ * Host supplied storage, e.g. backed by IndexedDB or a native bridge. Rejected promises make `Html5Storage` fall back
+ * to its synchronous backends for the affected call.
+ */
+export interface AsyncStorageAdapter {
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+}
+
+export interface Html5StorageOptions {
+  /**
+   * Preferred over the browser storages if set.
+   */
+  asyncStorage?: AsyncStorageAdapter;
+  /**
+   * Logs the storage backend in use and storage failures.
+   */
+  debugLoggingEnabled?: boolean;
+  /**
+   * Receives the log messages, e.g. the `logging` system interface passed to the integration.
+   * (Default: Html5 console logging)
+   */
+  logger?: Conviva.LoggingInterface;
+}
+
+export type Html5StorageBackendName = 'asyncStorage' | 'localStorage' | 'cookie' | 'memory';
+
+interface SyncStorageBackend {
+  name: Html5StorageBackendName;
+  isAvailable(): boolean;
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+}
+
+const PROBE_KEY = 'conviva.storageProbe';
+
+// One year, the Conviva client id should survive as long as possible
+const COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+const localStorageBackend: SyncStorageBackend = {
+  name: 'localStorage',
+  isAvailable() {
+    try {
+      // Accessing `localStorage` itself throws if storage is blocked, e.g. in sandboxed iframes
+      localStorage.setItem(PROBE_KEY, PROBE_KEY);
+      localStorage.removeItem(PROBE_KEY);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  getItem(key) {
+    return localStorage.getItem(key);
+  },
+  setItem(key, value) {
+    localStorage.setItem(key, value);
+  },
+};
+
+/**
+ * Browsers only store and send cookies in third-party iframes if they are `SameSite=None; Secure`. A secure cookie is
+ * rejected on plain http, the probe then fails and the memory backend is used.
+ */
+function getCookieAttributes(): string {
+  return isEmbedded() ? '; SameSite=None; Secure' : '; SameSite=Lax';
+}
+
+function isEmbedded(): boolean {
+  try {
+    return typeof window !== 'undefined' && window.self !== window.top;
+  } catch (e) {
+    // Accessing the top window throws for cross-origin frames in some browsers
+    return true;
+  }
+}
+
+const cookieBackend: SyncStorageBackend = {
+  name: 'cookie',
+  isAvailable() {
+    try {
+      if (typeof document === 'undefined') {
+        return false;
+      }
+
+      cookieBackend.setItem(PROBE_KEY, PROBE_KEY);
+      const isAvailable = cookieBackend.getItem(PROBE_KEY) === PROBE_KEY;
+      document.cookie = encodeURIComponent(PROBE_KEY) + '=; path=/; max-age=0';
+      return isAvailable;
+    } catch (e) {
+      return false;
+    }
+  },
+  getItem(key) {
+    const prefix = encodeURIComponent(key) + '=';
+    const cookies = document.cookie ? document.cookie.split('; ') : [];
+
+    for (const cookie of cookies) {
+      if (cookie.indexOf(prefix) === 0) {
+        return decodeURIComponent(cookie.substring(prefix.length));
+      }
+    }
+
+    return null;
+  },
+  setItem(key, value) {
+    document.cookie =
+      encodeURIComponent(key) +
+      '=' +
+      encodeURIComponent(value) +
+      '; path=/; max-age=' +
+      COOKIE_MAX_AGE_SECONDS +
+      getCookieAttributes();
+  },
+};
+
+function createMemoryBackend(): SyncStorageBackend {
+  const items: Record<string, string> = {};
+
+  return {
+    name: 'memory',
+    isAvailable() {
+      return true;
+    },
+    getItem(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem(key, value) {
+      items[key] = value;
+    },
+  };
+}
+
+/**
+ * Persists data in the first working storage of: the `asyncStorage` adapter (if configured), `localStorage`, a cookie
+ * and an in-memory store. The in-memory store only lives as long as the page, but is better than failing to store the
+ * client id at all.
+ */
 export class Html5Storage implements Conviva.StorageInterface {
+  private readonly options: Html5StorageOptions;
+  private readonly logger: Conviva.LoggingInterface;
+  private readonly backends: SyncStorageBackend[];
+  private backendIndex: number = -1;
+  private loggedBackendName?: Html5StorageBackendName;
+  /**
+   * Keys which were already looked up in the browser storages after the `asyncStorage` adapter had no data for them.
+   */
+  private readonly legacyDataKeys: { [key: string]: boolean } = {};
+
+  constructor(options: Html5StorageOptions = {}) {
+    this.options = options;
+    this.logger = options.logger || new Html5Logging();
+    this.backends = [localStorageBackend, cookieBackend, createMemoryBackend()];
+  }
+
   public saveData(
     storageSpace: string,
     storageKey: string,
     data: string,
     callback: Conviva.StorageSaveDataCallback,
   ): void {
-    const localStorageKey = storageSpace + '.' + storageKey;
+    const key = storageSpace + '.' + storageKey;
+
+    if (this.options.asyncStorage) {
+      this.runAsync(
+        () => this.options.asyncStorage.setItem(key, data),
+        () => callback(true, null),
+        () => this.saveDataSync(key, data, callback),
+      );
+      return;
+    }
+
+    this.saveDataSync(key, data, callback);
+  }
+
+  public loadData(storageSpace: string, storageKey: string, callback: Conviva.StorageLoadDataCallback): void {
+    const key = storageSpace + '.' + storageKey;
+
+    if (this.options.asyncStorage) {
+      this.runAsync(
+        () => this.options.asyncStorage.getItem(key),
+        (data) =>
+          data === null && !this.legacyDataKeys[key] ? this.migrateLegacyData(key, callback) : callback(true, data),
+        () => this.loadDataSync(key, callback),
+      );
+      return;
+    }
+
+    this.loadDataSync(key, callback);
+  }
+
+  /**
+   * Returns the name of the storage backend which is currently in use.
+   */
+  public getBackendName(): Html5StorageBackendName {
+    return this.options.asyncStorage ? 'asyncStorage' : this.getSyncBackend().name;
+  }
+
+  public release() {
+    // nothing to release
+  }
+
+  private runAsync<T>(operation: () => Promise<T>, onSuccess: (result: T) => void, onFailure: () => void): void {
+    let promise: Promise<T>;
     try {
-      localStorage.setItem(localStorageKey, data);
-      callback(true, null);
+      promise = operation();
     } catch (e) {
-      callback(false, e.toString());
+      promise = Promise.reject(e);
     }
+
+    promise.then(
+      (result) => {
+        this.logBackend('asyncStorage');
+        this.runCallback(() => onSuccess(result));
+      },
+      (error) => {
+        this.debugLog('[ Html5Storage ] asyncStorage failed, falling back to browser storage: ' + error);
+        onFailure();
+      },
+    );
   }
 
-  public loadData(storageSpace: string, storageKey: string, callback: Conviva.StorageLoadDataCallback): void {
-    const localStorageKey = storageSpace + '.' + storageKey;
+  /**
+   * Data saved before the `asyncStorage` adapter was configured, e.g. the Conviva client id of a returning viewer, is
+   * only in the browser storages. It is read from there once and copied to the adapter.
+   */
+  private migrateLegacyData(key: string, callback: Conviva.StorageLoadDataCallback): void {
+    this.legacyDataKeys[key] = true;
+
+    this.runSync(
+      (backend) => backend.getItem(key),
+      (data) => {
+        if (data !== null) {
+          this.debugLog('[ Html5Storage ] migrating ' + key + ' to asyncStorage');
+          this.runAsync(
+            () => this.options.asyncStorage.setItem(key, data),
+            () => undefined,
+            () => undefined,
+          );
+        }
+
+        callback(true, data);
+      },
+      () => callback(true, null),
+    );
+  }
+
+  private saveDataSync(key: string, data: string, callback: Conviva.StorageSaveDataCallback): void {
+    this.runSync(
+      (backend) => backend.setItem(key, data),
+      () => callback(true, null),
+      (error) => callback(false, error),
+    );
+  }
+
+  private loadDataSync(key: string, callback: Conviva.StorageLoadDataCallback): void {
+    this.runSync(
+      (backend) => backend.getItem(key),
+      (data) => callback(true, data),
+      (error) => callback(false, error),
+    );
+  }
+
+  /**
+   * Runs the operation on the current backend and moves on to the next one in the chain if it throws, e.g. because
+   * `localStorage` exceeded its quota or got blocked after the page loaded.
+   */
+  private runSync<T>(
+    operation: (backend: SyncStorageBackend) => T,
+    onSuccess: (result: T) => void,
+    onFailure: (error: string) => void,
+  ): void {
+    let lastError: string;
+
+    for (let backend = this.getSyncBackend(); backend; backend = this.getNextSyncBackend()) {
+      let result: T;
+
+      try {
+        result = operation(backend);
+      } catch (e) {
+        lastError = e.toString();
+        continue;
+      }
+
+      this.logBackend(backend.name);
+      this.runCallback(() => onSuccess(result));
+      return;
+    }
+
+    this.runCallback(() => onFailure(lastError));
+  }
+
+  /**
+   * Errors thrown by the callbacks of the Conviva SDK must not be taken for failures of the storage, which would run
+   * the operation again on the next backend and call the callback twice.
+   */
+  private runCallback(callback: () => void): void {
     try {
-      const data = localStorage.getItem(localStorageKey);
-      callback(true, data);
+      callback();
     } catch (e) {
-      callback(false, e.toString());
+      this.logger.consoleLog('[ Html5Storage ] storage callback failed: ' + e, Conviva.SystemSettings.LogLevel.ERROR);
     }
   }
 
-  public release() {
-    // nothing to release
+  private getSyncBackend(): SyncStorageBackend {
+    if (this.backendIndex === -1) {
+      this.backendIndex = 0;
+      while (!this.backends[this.backendIndex].isAvailable()) {
+        this.backendIndex++;
+      }
+    }
+
+    return this.backends[this.backendIndex];
+  }
+
+  private getNextSyncBackend(): SyncStorageBackend | undefined {
+    do {
+      this.backendIndex++;
+    } while (this.backendIndex < this.backends.length && !this.backends[this.backendIndex].isAvailable());
+
+    if (this.backendIndex >= this.backends.length) {
+      // Stay on the last resort, it might work again for the next operation
+      this.backendIndex = this.backends.length - 1;
+      return undefined;
+    }
+
+    return this.backends[this.backendIndex];
+  }
+
+  private logBackend(backendName: Html5StorageBackendName): void {
+    if (this.loggedBackendName !== backendName) {
+      this.loggedBackendName = backendName;
+      this.debugLog('[ Html5Storage ] using ' + backendName + ' backend');
+    }
+  }
+
+  private debugLog(message: string): void {
+    if (this.options.debugLoggingEnabled) {
+      this.logger.consoleLog(message, Conviva.SystemSettings.LogLevel.DEBUG);
+    }
   }
 }
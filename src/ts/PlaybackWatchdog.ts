@@ -0,0 +1,175 @@
+import { PlayerEvent, PlayerEventBase } from 'bitmovin-player';
+import { Timeout } from 'bitmovin-player-ui/dist/js/framework/timeout';
+import { PlaybackWatchdogConfiguration } from './ConvivaAnalyticsTracker';
+
+/**
+ * Detects playback failures which do not cause a player error: stalls which do not end, a startup without first frame
+ * and a playhead which does not advance while playing. Each enabled timeout reports a failure once it expires.
+ * <p>
+ * Client-side ad breaks pause all timeouts, the ad playback is tracked on the ad session.
+ */
+export class PlaybackWatchdog {
+  private readonly config: PlaybackWatchdogConfiguration;
+  private readonly onTimeout: (message: string) => void;
+
+  private readonly stallTimeout?: Timeout;
+  private readonly startupTimeout?: Timeout;
+  private readonly playheadStuckTimeout?: Timeout;
+
+  /**
+   * Set once the first frame of the playback was rendered.
+   */
+  private hasStarted: boolean = false;
+  /**
+   * Set from `Play` until the first frame was rendered.
+   */
+  private isStartupPending: boolean = false;
+  private isPlaying: boolean = false;
+  private isStalled: boolean = false;
+  private isSeeking: boolean = false;
+  private isAdBreakActive: boolean = false;
+  private lastTime?: number;
+
+  /**
+   * @param config The enabled timeouts
+   * @param onTimeout Reports the failure, called with a description of the expired timeout
+   */
+  constructor(config: PlaybackWatchdogConfiguration, onTimeout: (message: string) => void) {
+    this.config = config;
+    this.onTimeout = onTimeout;
+
+    if (config.stallTimeoutSeconds > 0) {
+      this.stallTimeout = new Timeout(config.stallTimeoutSeconds * 1000, () =>
+        this.reportTimeout(`Stall timeout: stalled for more than ${config.stallTimeoutSeconds} seconds`),
+      );
+    }
+
+    if (config.startupTimeoutSeconds > 0) {
+      this.startupTimeout = new Timeout(config.startupTimeoutSeconds * 1000, () =>
+        this.reportTimeout(`Startup timeout: no first frame ${config.startupTimeoutSeconds} seconds after play`),
+      );
+    }
+
+    if (config.playheadStuckTimeoutSeconds > 0) {
+      this.playheadStuckTimeout = new Timeout(config.playheadStuckTimeoutSeconds * 1000, () =>
+        this.reportTimeout(
+          `Playhead stuck: no progress for ${config.playheadStuckTimeoutSeconds} seconds while playing`,
+        ),
+      );
+    }
+  }
+
+  public onPlayerEvent(event: PlayerEventBase): void {
+    switch (event.type) {
+      case PlayerEvent.Play:
+        if (!this.hasStarted) {
+          this.isStartupPending = true;
+          this.restartStartupTimeout();
+        }
+        break;
+      case PlayerEvent.Playing:
+        this.hasStarted = true;
+        this.isStartupPending = false;
+        this.isPlaying = true;
+        this.isStalled = false;
+        this.startupTimeout?.clear();
+        this.stallTimeout?.clear();
+        this.restartPlayheadStuckTimeout();
+        break;
+      case PlayerEvent.Paused:
+        this.isStartupPending = false;
+        this.isPlaying = false;
+        this.clearTimeouts();
+        break;
+      case PlayerEvent.StallStarted:
+        this.isStalled = true;
+        this.playheadStuckTimeout?.clear();
+        // Stalls before the first frame are part of the startup
+        if (this.hasStarted && !this.isAdBreakActive) {
+          this.stallTimeout?.start();
+        }
+        break;
+      case PlayerEvent.StallEnded:
+        this.isStalled = false;
+        this.stallTimeout?.clear();
+        this.restartPlayheadStuckTimeout();
+        break;
+      case PlayerEvent.Seek:
+      case PlayerEvent.TimeShift:
+        this.isSeeking = true;
+        this.playheadStuckTimeout?.clear();
+        break;
+      case PlayerEvent.Seeked:
+      case PlayerEvent.TimeShifted:
+        this.isSeeking = false;
+        this.restartPlayheadStuckTimeout();
+        break;
+      case PlayerEvent.PlaybackFinished:
+        this.reset();
+        break;
+    }
+  }
+
+  public onTimeChanged(time: number): void {
+    if (time === this.lastTime) {
+      return;
+    }
+
+    this.lastTime = time;
+    this.restartPlayheadStuckTimeout();
+  }
+
+  public onAdBreakStarted(): void {
+    this.isAdBreakActive = true;
+    this.clearTimeouts();
+  }
+
+  public onAdBreakFinished(): void {
+    this.isAdBreakActive = false;
+    this.restartStartupTimeout();
+    this.restartPlayheadStuckTimeout();
+  }
+
+  public reset(): void {
+    this.clearTimeouts();
+    this.hasStarted = false;
+    this.isStartupPending = false;
+    this.isPlaying = false;
+    this.isStalled = false;
+    this.isSeeking = false;
+    this.isAdBreakActive = false;
+    this.lastTime = undefined;
+  }
+
+  private restartStartupTimeout(): void {
+    if (this.isStartupPending && !this.isAdBreakActive) {
+      this.startupTimeout?.start();
+    }
+  }
+
+  /**
+   * The playhead is only expected to advance while playing, i.e. not while stalling, seeking or in an ad break.
+   */
+  private restartPlayheadStuckTimeout(): void {
+    if (this.isPlaying && !this.isStalled && !this.isSeeking && !this.isAdBreakActive) {
+      this.playheadStuckTimeout?.start();
+    } else {
+      this.playheadStuckTimeout?.clear();
+    }
+  }
+
+  private reportTimeout(message: string): void {
+    if (this.config.endSession !== false) {
+      // The session ends with the failure, do not report the same playback again
+      this.clearTimeouts();
+    }
+
+    this.onTimeout(message);
+  }
+
+  private clearTimeouts(): void {
+    this.stallTimeout?.clear();
+    this.startupTimeout?.clear();
+    this.playheadStuckTimeout?.clear();
+  }
+}
@@ -0,0 +1,143 @@
+import { MetadataEvent, PlayerAPI } from 'bitmovin-player';
+import { ConvivaAnalyticsSsai } from './ConvivaAnalyticsSsai';
+import { AdHelper } from './helper/AdHelper';
+import { SsaiMarker, SsaiMarkerParser } from './helper/SsaiMarkerParser';
+
+/**
+ * Reports server-side ad breaks and ads based on the ad markers in the stream timeline (`EXT-X-CUE-OUT`/`-IN`,
+ * `EXT-X-DATERANGE`, `EXT-X-SCTE35`, DASH `EventStream` and `emsg`).
+ *
+ * An ad marker starts an ad break, every further ad marker within the break starts the next ad. The ad break ends
+ * with an end marker or once the announced durations of its ads elapsed.
+ */
+export class SsaiMarkerTracker {
+  /**
+   * Time in seconds the ad break stays active after its last ad elapsed, so markers of consecutive ads which arrive
+   * slightly late do not split the ad break.
+   */
+  private static readonly AD_BREAK_END_TOLERANCE = 1;
+
+  private readonly ssai: ConvivaAnalyticsSsai;
+  private readonly getPlayer: () => PlayerAPI;
+
+  /**
+   * Tracks whether this tracker started the active ad break, to not interfere with manually reported ad breaks.
+   */
+  private isAdBreakActive: boolean = false;
+  private isAdPlaying: boolean = false;
+  private adCount: number = 0;
+  private adEndTime?: number;
+  private adBreakEndTime?: number;
+
+  constructor(ssai: ConvivaAnalyticsSsai, getPlayer: () => PlayerAPI) {
+    this.ssai = ssai;
+    this.getPlayer = getPlayer;
+  }
+
+  public onMetadata(event: MetadataEvent): void {
+    this.syncAdBreakState();
+    const marker = SsaiMarkerParser.parse(event, this.getPlayer().getCurrentTime());
+
+    if (!marker) {
+      return;
+    }
+
+    if (marker.type === 'end') {
+      this.finishAdBreak();
+      return;
+    }
+
+    if (this.isAdBreakActive && marker.isContinuation) {
+      return;
+    }
+
+    this.startAd(marker);
+  }
+
+  public onTimeChanged(time: number): void {
+    this.syncAdBreakState();
+
+    if (!this.isAdBreakActive) {
+      return;
+    }
+
+    if (this.adEndTime !== undefined && time >= this.adEndTime) {
+      this.finishAd();
+    }
+
+    if (this.adBreakEndTime !== undefined && time >= this.adBreakEndTime + SsaiMarkerTracker.AD_BREAK_END_TOLERANCE) {
+      this.finishAdBreak();
+    }
+  }
+
+  public reset(): void {
+    this.isAdBreakActive = false;
+    this.isAdPlaying = false;
+    this.adCount = 0;
+    this.adEndTime = undefined;
+    this.adBreakEndTime = undefined;
+  }
+
+  private syncAdBreakState(): void {
+    if (this.isAdBreakActive && !this.ssai.isAdBreakActive) {
+      // The ad break was finished by seeking out of it
+      this.reset();
+    }
+  }
+
+  private startAd(marker: SsaiMarker): void {
+    if (!this.isAdBreakActive) {
+      if (this.ssai.isAdBreakActive) {
+        // An ad break reported manually is in progress
+        return;
+      }
+
+      this.ssai.reportAdBreakStarted({ startTime: marker.time });
+
+      if (!this.ssai.isAdBreakActive) {
+        // e.g. a client-side ad break is active
+        return;
+      }
+
+      this.isAdBreakActive = true;
+      this.adCount = 0;
+      this.adBreakEndTime = undefined;
+    }
+
+    this.finishAd();
+    this.adCount++;
+
+    this.ssai.reportAdStarted({
+      id: marker.id || 'ssai-ad-' + this.adCount,
+      duration: marker.duration,
+      startTime: marker.time,
+      position: AdHelper.mapSsaiAdPosition(marker.time, this.getPlayer()),
+    });
+    this.isAdPlaying = true;
+
+    this.adEndTime = marker.duration !== undefined ? marker.time + marker.duration : undefined;
+    if (this.adEndTime !== undefined) {
+      this.adBreakEndTime = Math.max(this.adBreakEndTime || 0, this.adEndTime);
+    }
+  }
+
+  private finishAd(): void {
+    if (!this.isAdPlaying) {
+      return;
+    }
+
+    this.isAdPlaying = false;
+    this.adEndTime = undefined;
+    this.ssai.reportAdFinished();
+  }
+
+  private finishAdBreak(): void {
+    if (!this.isAdBreakActive) {
+      return;
+    }
+
+    this.finishAd();
+    this.ssai.reportAdBreakFinished();
+    this.reset();
+  }
+}
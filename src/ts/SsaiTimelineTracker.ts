@@ -0,0 +1,262 @@
+import { AdQuartile, PlayerAPI } from 'bitmovin-player';
+import { ConvivaAnalyticsSsai } from './ConvivaAnalyticsSsai';
+import { AdHelper, SsaiAdInfo } from './helper/AdHelper';
+
+/**
+ * Server-side ad timeline of a source, normalised from the tracking payload of an ad stitcher (e.g. AWS MediaTailor,
+ * Google DAI or Yospace).
+ * <p>
+ * All times are in seconds on the player timeline, i.e. comparable to <code>player.getCurrentTime()</code>.
+ */
+export interface SsaiTimeline {
+  avails: SsaiTimelineAvail[];
+}
+
+/**
+ * An ad break within the stream.
+ */
+export interface SsaiTimelineAvail {
+  id?: string;
+  startTime: number;
+  duration: number;
+  /**
+   * The ads of the avail, ordered by their start time.
+   */
+  ads: SsaiTimelineAd[];
+}
+
+export interface SsaiTimelineAd extends SsaiAdInfo {
+  startTime: number;
+  /**
+   * Duration of the ad creative. The ad is cut short if the next ad or the end of the avail comes first.
+   */
+  duration: number;
+  trackingEvents?: SsaiTimelineTrackingEvent[];
+}
+
+export interface SsaiTimelineTrackingEvent {
+  /**
+   * The VAST tracking event name. Only `firstQuartile`, `midpoint` and `thirdQuartile` are reported, start and
+   * completion of the ad are part of the ad session itself.
+   */
+  eventType: string;
+  startTime: number;
+}
+
+/**
+ * Reports the avails and ads of a {@link SsaiTimeline} while the playback position moves through them.
+ * <p>
+ * Ads left by seeking are reported as skipped, avails which are seeked over entirely are not reported at all. Seeking
+ * into an avail starts the ad break at the ad at the seek target.
+ */
+export class SsaiTimelineTracker {
+  private readonly ssai: ConvivaAnalyticsSsai;
+  private readonly getPlayer: () => PlayerAPI;
+
+  private timeline?: SsaiTimeline;
+
+  /**
+   * Tracks whether this tracker started the active ad break, to not interfere with manually reported ad breaks.
+   */
+  private isAdBreakActive: boolean = false;
+  private currentAvail?: SsaiTimelineAvail;
+  private currentAd?: SsaiTimelineAd;
+  private isSeeking: boolean = false;
+  private lastTime?: number;
+
+  constructor(ssai: ConvivaAnalyticsSsai, getPlayer: () => PlayerAPI) {
+    this.ssai = ssai;
+    this.getPlayer = getPlayer;
+  }
+
+  /**
+   * Sets the timeline of the current source. Can be called again with an updated timeline, e.g. for live streams, an
+   * active ad break continues as long as its avail is still part of the timeline.
+   *
+   * @param timeline The timeline, or <code>undefined</code> to stop tracking
+   */
+  public setTimeline(timeline: SsaiTimeline | undefined): void {
+    this.timeline = timeline;
+
+    if (!timeline) {
+      this.finishAdBreak(false);
+    }
+  }
+
+  public onTimeChanged(time: number): void {
+    if (this.isSeeking) {
+      return;
+    }
+
+    this.update(time, false);
+  }
+
+  public onSeek(): void {
+    this.isSeeking = true;
+  }
+
+  public onSeeked(time: number): void {
+    this.isSeeking = false;
+    this.update(time, true);
+  }
+
+  public reset(): void {
+    this.timeline = undefined;
+    this.isAdBreakActive = false;
+    this.currentAvail = undefined;
+    this.currentAd = undefined;
+    this.isSeeking = false;
+    this.lastTime = undefined;
+  }
+
+  private update(time: number, isSeek: boolean): void {
+    const previousTime = this.lastTime;
+    this.lastTime = time;
+
+    if (!this.timeline) {
+      return;
+    }
+
+    const avail = this.findAvail(time);
+    const ad = avail ? this.findAd(avail, time) : undefined;
+
+    if (this.isAdBreakActive && !SsaiTimelineTracker.isSameAvail(avail, this.currentAvail)) {
+      this.finishAdBreak(isSeek);
+    } else if (this.currentAd && !SsaiTimelineTracker.isSameAd(ad, this.currentAd)) {
+      this.finishAd(isSeek);
+    }
+
+    if (!avail || !this.startAdBreak(avail)) {
+      return;
+    }
+
+    if (!ad) {
+      return;
+    }
+
+    if (!this.currentAd) {
+      this.startAd(ad);
+      return;
+    }
+
+    // Refresh to the latest timeline
+    this.currentAd = ad;
+
+    if (!isSeek && previousTime !== undefined) {
+      this.reportTrackingEvents(ad, previousTime, time);
+    }
+  }
+
+  private startAdBreak(avail: SsaiTimelineAvail): boolean {
+    if (!this.isAdBreakActive) {
+      if (this.ssai.isAdBreakActive) {
+        // An ad break reported manually is in progress
+        return false;
+      }
+
+      this.ssai.reportAdBreakStarted({ startTime: avail.startTime, duration: avail.duration });
+
+      if (!this.ssai.isAdBreakActive) {
+        // e.g. a client-side ad break is active
+        return false;
+      }
+
+      this.isAdBreakActive = true;
+    }
+
+    this.currentAvail = avail;
+    return true;
+  }
+
+  private startAd(ad: SsaiTimelineAd): void {
+    this.currentAd = ad;
+    this.ssai.reportAdStarted({
+      ...ad,
+      position: ad.position || AdHelper.mapSsaiAdPosition(this.currentAvail.startTime, this.getPlayer()),
+    });
+  }
+
+  /**
+   * @param isSkipped <code>true</code> if the ad was left before its end, e.g. by seeking
+   */
+  private finishAd(isSkipped: boolean): void {
+    if (!this.currentAd) {
+      return;
+    }
+
+    this.currentAd = undefined;
+
+    if (isSkipped) {
+      this.ssai.reportAdSkipped();
+    } else {
+      this.ssai.reportAdFinished();
+    }
+  }
+
+  private finishAdBreak(isSkipped: boolean): void {
+    if (!this.isAdBreakActive) {
+      return;
+    }
+
+    this.finishAd(isSkipped);
+    this.isAdBreakActive = false;
+    this.currentAvail = undefined;
+    this.ssai.reportAdBreakFinished();
+  }
+
+  private reportTrackingEvents(ad: SsaiTimelineAd, fromTime: number, toTime: number): void {
+    (ad.trackingEvents || []).forEach((trackingEvent) => {
+      if (trackingEvent.startTime <= fromTime || trackingEvent.startTime > toTime) {
+        return;
+      }
+
+      const eventType = AdHelper.mapCsaiAdQuartile(trackingEvent.eventType as AdQuartile);
+
+      if (eventType) {
+        this.ssai.convivaAnalyticsTracker.trackAdEvent(eventType);
+      }
+    });
+  }
+
+  private findAvail(time: number): SsaiTimelineAvail | undefined {
+    const avails = this.timeline.avails || [];
+
+    for (let i = 0; i < avails.length; i++) {
+      if (avails[i].startTime <= time && time < avails[i].startTime + avails[i].duration) {
+        return avails[i];
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * An ad ends with the start of the next ad or the end of its avail if these come before the end of the creative.
+   */
+  private findAd(avail: SsaiTimelineAvail, time: number): SsaiTimelineAd | undefined {
+    const ads = avail.ads || [];
+    const availEndTime = avail.startTime + avail.duration;
+
+    for (let i = 0; i < ads.length; i++) {
+      const nextAdStartTime = i + 1 < ads.length ? ads[i + 1].startTime : availEndTime;
+      const adEndTime = Math.min(ads[i].startTime + ads[i].duration, nextAdStartTime, availEndTime);
+
+      if (ads[i].startTime <= time && time < adEndTime) {
+        return ads[i];
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Avails and ads are compared by their position, as a refreshed timeline contains new objects.
+   */
+  private static isSameAvail(a: SsaiTimelineAvail | undefined, b: SsaiTimelineAvail | undefined): boolean {
+    return !!a && !!b && a.id === b.id && a.startTime === b.startTime;
+  }
+
+  private static isSameAd(a: SsaiTimelineAd | undefined, b: SsaiTimelineAd | undefined): boolean {
+    return !!a && !!b && a.id === b.id && a.startTime === b.startTime;
+  }
+}
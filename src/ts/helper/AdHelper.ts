@@ -4,6 +4,7 @@ import {
   AdBreakEvent,
   AdData,
   AdEvent,
+  AdQuartile,
   ErrorEvent,
   LinearAd,
   PlayerAPI,
@@ -14,6 +15,30 @@ import {
   INTEGRATION_VERSION_CONTENT_METADATA_CUSTOM_TAG,
   STREAM_TYPE_CONTENT_METADATA_CUSTOM_TAG,
 } from '../ConvivaAnalyticsTracker';
+import { VastAdRegistry } from './VastHelper';
+
+/**
+ * Ad break info key for the 1-based index of the ad break within the session, independent of its position.
+ */
+export const ABSOLUTE_INDEX_AD_BREAK_INFO_KEY = 'absoluteIndex';
+
+/**
+ * Category of a client-side ad error, derived from the VAST error code.
+ */
+export type CsaiAdErrorCategory =
+  | 'no-fill'
+  | 'timeout'
+  | 'media-file-not-found'
+  | 'wrapper-limit'
+  | 'wrapper'
+  | 'parsing'
+  | 'trafficking'
+  | 'unsupported-media-file'
+  | 'linear-playback'
+  | 'non-linear'
+  | 'companion'
+  | 'vpaid'
+  | 'unknown';
 
 export interface SsaiAdInfo {
   /**
@@ -28,6 +53,10 @@ export interface SsaiAdInfo {
    * Duration of the ad, in seconds.
    */
   duration?: number;
+  /**
+   * Playback time at which the ad starts, in seconds. Defaults to the playback time when the ad is reported.
+   */
+  startTime?: number;
   /**
    * The name of the ad system (i.e., the ad server).
    */
@@ -53,6 +82,17 @@ export interface SsaiAdInfo {
   additionalMetadata?: Record<string, string>;
 }
 
+export interface SsaiAdBreakInfo {
+  /**
+   * Playback time at which the ad break starts, in seconds. Defaults to the playback time when the ad break is reported.
+   */
+  startTime?: number;
+  /**
+   * Duration of the ad break, in seconds. Defaults to the time until the ad break is reported as finished.
+   */
+  duration?: number;
+}
+
 export class AdHelper {
   public static mapCsaiAdPosition(
     adBreak: AdBreak,
@@ -69,6 +109,99 @@ export class AdHelper {
     return Conviva.Constants.AdPosition.MIDROLL;
   }
 
+  /**
+   * Maps the start time of a server-side ad break to its position. Ad breaks of live streams are always mid-rolls.
+   */
+  public static mapSsaiAdPosition(
+    adBreakStartTime: number,
+    player: PlayerAPI,
+  ): Conviva.valueof<Conviva.ConvivaConstants['AdPosition']> {
+    if (player.isLive()) {
+      return Conviva.Constants.AdPosition.MIDROLL;
+    }
+
+    return AdHelper.mapCsaiAdPosition({ id: '', scheduleTime: adBreakStartTime }, player);
+  }
+
+  public static mapCsaiAdQuartile(
+    quartile: AdQuartile,
+  ): Conviva.valueof<Conviva.ConvivaConstants['Events']> | undefined {
+    switch (quartile) {
+      case AdQuartile.FIRST_QUARTILE:
+        return Conviva.Constants.Events.AD_FIRST_QUARTILE;
+      case AdQuartile.MIDPOINT:
+        return Conviva.Constants.Events.AD_MID_QUARTILE;
+      case AdQuartile.THIRD_QUARTILE:
+        return Conviva.Constants.Events.AD_THIRD_QUARTILE;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Maps a VAST error code (100-901) to its category. No fill means the ad server had no ad to deliver, which is not
+   * a failure of the ad playback.
+   */
+  public static mapVastErrorCategory(vastErrorCode: number | undefined): CsaiAdErrorCategory {
+    switch (vastErrorCode) {
+      case 303:
+        return 'no-fill';
+      case 301:
+      case 402:
+        return 'timeout';
+      case 401:
+        return 'media-file-not-found';
+      case 302:
+        return 'wrapper-limit';
+      case 300:
+        return 'wrapper';
+      case 403:
+        return 'unsupported-media-file';
+      case 400:
+      case 405:
+        return 'linear-playback';
+      case 901:
+        return 'vpaid';
+    }
+
+    if (vastErrorCode >= 100 && vastErrorCode < 200) {
+      return 'parsing';
+    } else if (vastErrorCode >= 200 && vastErrorCode < 300) {
+      return 'trafficking';
+    } else if (vastErrorCode >= 500 && vastErrorCode < 600) {
+      return 'non-linear';
+    } else if (vastErrorCode >= 600 && vastErrorCode < 700) {
+      return 'companion';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Returns the structured attributes of an ad error. The VAST error code is attached as `data.code` by the
+   * advertising module.
+   */
+  public static extractCsaiAdErrorAttributes(
+    event: ErrorEvent & {
+      data?: {
+        code?: number;
+      };
+    },
+  ): Record<string, string> {
+    const vastErrorCode = event.data?.code;
+    const attributes: Record<string, string> = {
+      errorCategory: AdHelper.mapVastErrorCategory(vastErrorCode),
+      errorCode: String(event.code),
+      errorMessage: event.message || event.name || 'Unknown message',
+    };
+
+    if (vastErrorCode) {
+      attributes.vastErrorCode = String(vastErrorCode);
+    }
+
+    return attributes;
+  }
+
   public static formatCsaiAdError(
     event: ErrorEvent & {
       data?: {
@@ -91,10 +224,63 @@ export class AdHelper {
     return formattedErrorParts.join(' ');
   }
 
+  public static extractCsaiAdBreakInfo(player: PlayerAPI, adBreak: AdBreak): Conviva.ConvivaAdBreakInfo {
+    const adBreakInfo: Conviva.ConvivaAdBreakInfo = {
+      [Conviva.Constants.POD_POSITION]: AdHelper.mapCsaiAdPosition(adBreak, player),
+    };
+
+    const podDuration = AdHelper.getCsaiAdBreakDuration(adBreak);
+    if (podDuration) {
+      adBreakInfo[Conviva.Constants.POD_DURATION] = podDuration;
+    }
+
+    return adBreakInfo;
+  }
+
+  /**
+   * Returns the summed up duration of all ads in the ad break in seconds, or `undefined` if the duration of at least
+   * one ad is unknown (e.g. because the ad is not loaded yet).
+   */
+  private static getCsaiAdBreakDuration(adBreak: AdBreak): number | undefined {
+    const ads = (adBreak.ads || []) as Array<Ad | LinearAd>;
+
+    if (ads.length === 0) {
+      return undefined;
+    }
+
+    let duration = 0;
+    for (const ad of ads) {
+      if (!('duration' in ad) || !ad.duration) {
+        return undefined;
+      }
+
+      duration += ad.duration;
+    }
+
+    return duration;
+  }
+
+  /**
+   * Returns the 1-based position of the ad within its ad break, or `undefined` if the ad break does not list the ad.
+   */
+  public static getCsaiAdSequence(adBreak: AdBreak | undefined, ad: Ad): number | undefined {
+    const ads = (adBreak && adBreak.ads) || [];
+
+    for (let i = 0; i < ads.length; i++) {
+      if (ads[i] === ad || (ad.id && ads[i].id === ad.id)) {
+        return i + 1;
+      }
+    }
+
+    return undefined;
+  }
+
   public static extractCsaiConvivaAdInfo(
     player: PlayerAPI,
     adBreakEvent: AdBreakEvent,
     adEvent: AdEvent,
+    adSequence?: number,
+    vastAdRegistry?: VastAdRegistry,
   ): Conviva.ConvivaMetadata {
     const ad = adEvent.ad as Ad | LinearAd;
     const adData = ad.data as undefined | AdData | VastAdData;
@@ -103,6 +289,8 @@ export class AdHelper {
     let creativeId = 'NA';
     let adTitle = 'NA';
     let firstAdId = ad.id;
+    let wrapperAdIds: string[] = [];
+    let mediaFileApiFramework: string | undefined;
 
     if (adData) {
       if ('adSystem' in adData && adData.adSystem?.name) {
@@ -118,10 +306,34 @@ export class AdHelper {
       }
 
       if ('wrapperAdIds' in adData && adData.wrapperAdIds && adData.wrapperAdIds.length) {
-        firstAdId = adData.wrapperAdIds[adData.wrapperAdIds.length - 1];
+        wrapperAdIds = adData.wrapperAdIds;
+        firstAdId = wrapperAdIds[wrapperAdIds.length - 1];
+      }
+
+      if ('apiFramework' in adData && adData.apiFramework) {
+        mediaFileApiFramework = adData.apiFramework;
       }
     }
 
+    let firstAdSystemName = 'NA';
+    let firstCreativeId = 'NA';
+
+    if (wrapperAdIds.length === 0) {
+      // Without wrappers the InLine ad is the first ad of the chain
+      firstAdSystemName = adSystemName;
+      firstCreativeId = creativeId;
+    } else {
+      // The player only exposes the ids of the wrappers, the rest is known if the VAST responses were registered
+      const firstAd = vastAdRegistry && vastAdRegistry.get(firstAdId);
+      firstAdSystemName = (firstAd && firstAd.adSystem) || firstAdSystemName;
+      firstCreativeId = (firstAd && firstAd.creativeId) || firstCreativeId;
+    }
+
+    if (!mediaFileApiFramework && vastAdRegistry) {
+      const inLineAd = vastAdRegistry.get(ad.id);
+      mediaFileApiFramework = inLineAd && inLineAd.apiFramework;
+    }
+
     const adInfo: Conviva.ConvivaMetadata = {
       'c3.ad.id': ad.id,
       'c3.ad.technology': Conviva.Constants.AdType.CLIENT_SIDE,
@@ -131,16 +343,9 @@ export class AdHelper {
       'c3.ad.firstAdId': firstAdId,
       [Conviva.Constants.ASSET_NAME]: adTitle,
       [Conviva.Constants.STREAM_URL]: ad.mediaFileUrl || 'NA',
-
-      // TODO This is not exposed currently. Add it whenever the player
-      // exposes it. Related discussion https://bitmovin.slack.com/archives/C0LJ16JBS/p1716801970037469.
-      'c3.ad.mediaFileApiFramework': 'NA',
-
-      // TODO these two are not exposed currently. Add them whenever the player
-      // exposes them similar to https://github.com/bitmovin-engineering/player-android/pull/3147.
-      // Related discussion https://bitmovin.slack.com/archives/C0LJ16JBS/p1716801796326889.
-      'c3.ad.firstAdSystem': 'NA',
-      'c3.ad.firstCreativeId': 'NA',
+      'c3.ad.mediaFileApiFramework': mediaFileApiFramework || 'NA',
+      'c3.ad.firstAdSystem': firstAdSystemName,
+      'c3.ad.firstCreativeId': firstCreativeId,
 
       // These are not relevant for the client side (keep in the code for documentation purposes)
       // 'c3.ad.adStitcher': undefined,
@@ -151,6 +356,46 @@ export class AdHelper {
       adInfo[Conviva.Constants.DURATION] = ad.duration;
     }
 
+    if (adSequence) {
+      adInfo['c3.ad.sequence'] = String(adSequence);
+    }
+
+    return adInfo;
+  }
+
+  /**
+   * Returns the ad metadata of a client-side ad which failed before it started. The `AdError` event does not carry
+   * the ad, so only the ad break and the position of the ad within it are known.
+   *
+   * @param adBreak The active ad break, if any
+   * @param adSequence 1-based position of the failed ad within the ad break
+   */
+  public static extractCsaiFailedAdInfo(
+    player: PlayerAPI,
+    adBreak: AdBreak | undefined,
+    adSequence?: number,
+  ): Conviva.ConvivaMetadata {
+    const adInfo: Conviva.ConvivaMetadata = {
+      'c3.ad.id': 'NA',
+      'c3.ad.technology': Conviva.Constants.AdType.CLIENT_SIDE,
+      'c3.ad.system': 'NA',
+      'c3.ad.creativeId': 'NA',
+      'c3.ad.firstAdId': 'NA',
+      [Conviva.Constants.ASSET_NAME]: 'NA',
+      [Conviva.Constants.STREAM_URL]: 'NA',
+      'c3.ad.mediaFileApiFramework': 'NA',
+      'c3.ad.firstAdSystem': 'NA',
+      'c3.ad.firstCreativeId': 'NA',
+    };
+
+    if (adBreak) {
+      adInfo['c3.ad.position'] = AdHelper.mapCsaiAdPosition(adBreak, player);
+    }
+
+    if (adSequence) {
+      adInfo['c3.ad.sequence'] = String(adSequence);
+    }
+
     return adInfo;
   }
 
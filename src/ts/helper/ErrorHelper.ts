@@ -0,0 +1,166 @@
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { ErrorCode, ErrorEvent, WarningEvent } from 'bitmovin-player';
+import { EventAttributes } from '../ConvivaAnalyticsTracker';
+import { ObjectUtils } from './ObjectUtils';
+
+/**
+ * Category of a player error, derived from the range of its `ErrorCode`.
+ */
+export type PlayerErrorCategory =
+  | 'setup'
+  | 'source'
+  | 'playback'
+  | 'decoder'
+  | 'network'
+  | 'drm'
+  | 'vr'
+  | 'module'
+  | 'advertising'
+  | 'unknown';
+
+/**
+ * How a player error is reported. Errors with `WARNING` severity are reported without ending the session.
+ */
+export interface PlayerErrorMapping {
+  category?: PlayerErrorCategory;
+  severity?: Conviva.valueof<Conviva.ConvivaConstants['ErrorSeverity']>;
+}
+
+/**
+ * Overrides of the built-in {@link PlayerErrorMapping} per `ErrorCode`.
+ */
+export interface PlayerErrorMappings {
+  [errorCode: number]: PlayerErrorMapping;
+}
+
+export class ErrorHelper {
+  /**
+   * Maps an error code to its category and severity. Fields set in the overrides for the code take precedence over
+   * the built-in mapping.
+   *
+   * @param errorCode The `code` of the player `Error` event
+   * @param overrides Mappings per error code, e.g. from the configuration
+   */
+  public static mapError(errorCode: number, overrides: PlayerErrorMappings = {}): Required<PlayerErrorMapping> {
+    const override = overrides[errorCode] || {};
+
+    return {
+      category: override.category || ErrorHelper.mapErrorCategory(errorCode),
+      severity: override.severity !== undefined ? override.severity : ErrorHelper.mapErrorSeverity(errorCode),
+    };
+  }
+
+  public static mapErrorCategory(errorCode: number): PlayerErrorCategory {
+    switch (errorCode) {
+      case ErrorCode.PLAYBACK_VIDEO_DECODING_ERROR:
+      case ErrorCode.PLAYBACK_HLS_COULD_NOT_LOAD_TRANSMUXER:
+        return 'decoder';
+      case ErrorCode.SOURCE_INVALID_H264_CODEC:
+        return 'source';
+      case ErrorCode.SEGMENT_PSSH_DATA_MISSING:
+        return 'drm';
+    }
+
+    if (errorCode >= 1100 && errorCode < 1200) {
+      return 'setup';
+    } else if (errorCode >= 1200 && errorCode < 1300) {
+      return 'source';
+    } else if (errorCode >= 1300 && errorCode < 1400) {
+      return 'playback';
+    } else if (errorCode >= 1400 && errorCode < 1500) {
+      return 'network';
+    } else if (errorCode >= 2000 && errorCode < 2100) {
+      return 'drm';
+    } else if (errorCode >= 2100 && errorCode < 2200) {
+      return 'vr';
+    } else if (errorCode >= 3000 && errorCode < 3100) {
+      return 'module';
+    } else if (errorCode >= 3100 && errorCode < 3200) {
+      return 'advertising';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Player errors stop the playback, except for failures of the advertising module after which the content continues
+   * without ads.
+   */
+  public static mapErrorSeverity(errorCode: number): Conviva.valueof<Conviva.ConvivaConstants['ErrorSeverity']> {
+    if (ErrorHelper.mapErrorCategory(errorCode) === 'advertising') {
+      return Conviva.Constants.ErrorSeverity.WARNING;
+    }
+
+    return Conviva.Constants.ErrorSeverity.FATAL;
+  }
+
+  /**
+   * The message reported to Conviva, `<code> <name>`.
+   */
+  public static formatError(event: ErrorEvent | WarningEvent): string {
+    return String(event.code) + ' ' + event.name;
+  }
+
+  /**
+   * The message reported to Conviva for a player warning, `<code> <name>` followed by the number of warnings with the
+   * same code which were dropped due to the rate limit, if any.
+   */
+  public static formatWarning(event: WarningEvent, droppedCount: number = 0): string {
+    const message = ErrorHelper.formatError(event);
+
+    return droppedCount > 0 ? `${message} (${droppedCount} dropped)` : message;
+  }
+
+  /**
+   * Returns the structured attributes of a player error. The error details in `event.data` are flattened into
+   * `data.*` attributes.
+   */
+  public static extractErrorAttributes(event: ErrorEvent, mapping: Required<PlayerErrorMapping>): EventAttributes {
+    const attributes: EventAttributes = {
+      errorCode: String(event.code),
+      errorName: event.name,
+      errorCategory: mapping.category,
+      errorSeverity: mapping.severity === Conviva.Constants.ErrorSeverity.WARNING ? 'warning' : 'fatal',
+    };
+
+    if (event.message) {
+      attributes.errorMessage = event.message;
+    }
+
+    if (event.troubleShootLink) {
+      attributes.troubleShootLink = event.troubleShootLink;
+    }
+
+    return {
+      ...attributes,
+      ...ObjectUtils.flatten(event.data, 'data.'),
+    };
+  }
+
+  /**
+   * Returns the structured attributes of a player warning. The warning details in `event.data` are flattened into
+   * `data.*` attributes.
+   *
+   * @param event The `Warning` event
+   * @param droppedCount Number of warnings with the same code which were not reported due to the rate limit
+   */
+  public static extractWarningAttributes(event: WarningEvent, droppedCount: number = 0): EventAttributes {
+    const attributes: EventAttributes = {
+      warningCode: String(event.code),
+      warningName: event.name,
+    };
+
+    if (event.message) {
+      attributes.warningMessage = event.message;
+    }
+
+    if (droppedCount > 0) {
+      attributes.droppedCount = String(droppedCount);
+    }
+
+    return {
+      ...attributes,
+      ...ObjectUtils.flatten(event.data, 'data.'),
+    };
+  }
+}
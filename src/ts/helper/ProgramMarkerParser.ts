@@ -0,0 +1,83 @@
+import { MetadataEvent, MetadataType } from 'bitmovin-player';
+import { ProgramBoundaryTrackingConfiguration } from '../ConvivaAnalyticsTracker';
+
+/**
+ * The start of a program found in the stream timeline.
+ */
+export interface ProgramMarker {
+  /**
+   * Identifies the program, markers repeated for the same program share it.
+   */
+  id: string;
+  title?: string;
+}
+
+const ID3_TITLE_FRAME_KEY = 'TIT2';
+
+export class ProgramMarkerParser {
+  /**
+   * Turns a `Metadata` event into a program marker. Returns `undefined` for metadata which does not mark a program or
+   * whose marker type is not enabled in the configuration.
+   *
+   * @param event The metadata event
+   * @param config Defines which metadata marks a program
+   */
+  public static parse(event: MetadataEvent, config: ProgramBoundaryTrackingConfiguration): ProgramMarker | undefined {
+    const metadata = (event.metadata || {}) as Record<string, any>;
+
+    switch (event.metadataType) {
+      case MetadataType.DATERANGE:
+        return config.dateRangeClass ? ProgramMarkerParser.parseDateRange(metadata, config.dateRangeClass) : undefined;
+      case MetadataType.ID3:
+        return config.id3Title ? ProgramMarkerParser.parseId3(metadata) : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * `#EXT-X-DATERANGE:ID="...",CLASS="<dateRangeClass>",X-TITLE="..."`. The player provides the attributes in camel
+   * case, so they are compared without case and dashes.
+   */
+  private static parseDateRange(metadata: Record<string, any>, dateRangeClass: string): ProgramMarker | undefined {
+    const attributes = ProgramMarkerParser.normalizeKeys(metadata);
+
+    if (String(attributes.CLASS || '') !== dateRangeClass || !attributes.ID) {
+      return undefined;
+    }
+
+    return {
+      id: String(attributes.ID),
+      title: attributes.XTITLE ? String(attributes.XTITLE) : undefined,
+    };
+  }
+
+  /**
+   * The first ID3 `TIT2` frame with a text value. The title identifies the program, as ID3 tags are usually repeated
+   * in every segment.
+   */
+  private static parseId3(metadata: Record<string, any>): ProgramMarker | undefined {
+    const frames: any[] = Array.isArray(metadata.frames) ? metadata.frames : [];
+
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i] || {};
+
+      if (frame.key === ID3_TITLE_FRAME_KEY && typeof frame.data === 'string' && frame.data.trim()) {
+        const title = frame.data.trim();
+        return { id: title, title };
+      }
+    }
+
+    return undefined;
+  }
+
+  private static normalizeKeys(object: Record<string, any>): Record<string, any> {
+    const result: Record<string, any> = {};
+
+    Object.keys(object).forEach((key) => {
+      result[key.replace(/-/g, '').toUpperCase()] = object[key];
+    });
+
+    return result;
+  }
+}
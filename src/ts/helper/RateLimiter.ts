@@ -0,0 +1,55 @@
+/**
+ * Limits the number of reports per key within a sliding time window, e.g. to not flood a session with a warning the
+ * player repeats on every retry.
+ */
+export class RateLimiter {
+  private readonly maxCount: number;
+  private readonly intervalMs: number;
+  private readonly getTime: () => number;
+
+  private acquiredTimes: { [key: string]: number[] } = {};
+  private droppedCounts: { [key: string]: number } = {};
+
+  /**
+   * @param maxCount Maximum number of reports per key within the interval
+   * @param intervalMs Length of the sliding window in milliseconds
+   * @param getTime Provides the current time in milliseconds
+   */
+  constructor(maxCount: number, intervalMs: number, getTime: () => number) {
+    this.maxCount = maxCount;
+    this.intervalMs = intervalMs;
+    this.getTime = getTime;
+  }
+
+  /**
+   * @return <code>true</code> if the report for the key may be sent, <code>false</code> if it is dropped
+   */
+  public tryAcquire(key: string): boolean {
+    const now = this.getTime();
+    const acquiredTimes = (this.acquiredTimes[key] || []).filter((time) => now - time < this.intervalMs);
+
+    if (acquiredTimes.length >= this.maxCount) {
+      this.acquiredTimes[key] = acquiredTimes;
+      this.droppedCounts[key] = (this.droppedCounts[key] || 0) + 1;
+      return false;
+    }
+
+    acquiredTimes.push(now);
+    this.acquiredTimes[key] = acquiredTimes;
+    return true;
+  }
+
+  /**
+   * Returns the number of reports for the key which were dropped since the last call.
+   */
+  public takeDroppedCount(key: string): number {
+    const droppedCount = this.droppedCounts[key] || 0;
+    delete this.droppedCounts[key];
+    return droppedCount;
+  }
+
+  public reset(): void {
+    this.acquiredTimes = {};
+    this.droppedCounts = {};
+  }
+}
@@ -0,0 +1,115 @@
+export type ConvivaReportKind =
+  | 'reportPlaybackMetric'
+  | 'reportAppEvent'
+  | 'reportPlaybackEnded'
+  | 'reportPlaybackFailed'
+  | 'reportPlaybackError'
+  | 'reportPlaybackEvent'
+  | 'reportAdBreakStarted'
+  | 'reportAdBreakEnded'
+  | 'reportPlaybackRequested'
+  | 'setContentInfo'
+  | 'reportAdMetric'
+  | 'reportAdSkipped'
+  | 'reportAdStarted'
+  | 'reportAdEnded'
+  | 'reportAdError'
+  | 'reportAdFailed'
+  | 'reportAdPlayerEvent';
+
+/**
+ * A single call to the Conviva SDK. `kind` is the name of the SDK method, `key` and `values` are its arguments.
+ */
+export interface ConvivaReport {
+  kind: ConvivaReportKind;
+  /**
+   * Metric key, event name, ad type or error message depending on the `kind`. Not set if the SDK method has no
+   * such argument.
+   */
+  key?: string;
+  /**
+   * All further arguments of the SDK method, e.g. the metric values or the event attributes.
+   */
+  values: any[];
+  /**
+   * Id of the Conviva session the report belongs to.
+   */
+  sessionId: number;
+}
+
+/**
+ * Called before a report is passed to the Conviva SDK. The report can be modified in place or replaced by returning
+ * another one. Returning `null` drops the report.
+ */
+export type BeforeReportHook = (report: ConvivaReport) => ConvivaReport | null | void;
+
+/**
+ * Called after a report was passed to the Conviva SDK.
+ */
+export type AfterReportHook = (report: Readonly<ConvivaReport>) => void;
+
+export class ReportHooks {
+  private beforeReportHooks: BeforeReportHook[] = [];
+  private afterReportHooks: AfterReportHook[] = [];
+
+  constructor(private readonly onHookError: (error: any) => void) {}
+
+  /**
+   * @returns a function to remove the hook again
+   */
+  public addBeforeReportHook(hook: BeforeReportHook): () => void {
+    this.beforeReportHooks.push(hook);
+    return () => {
+      this.beforeReportHooks = this.beforeReportHooks.filter((registeredHook) => registeredHook !== hook);
+    };
+  }
+
+  /**
+   * @returns a function to remove the hook again
+   */
+  public addAfterReportHook(hook: AfterReportHook): () => void {
+    this.afterReportHooks.push(hook);
+    return () => {
+      this.afterReportHooks = this.afterReportHooks.filter((registeredHook) => registeredHook !== hook);
+    };
+  }
+
+  /**
+   * Runs the report through all before report hooks in the order they were added.
+   *
+   * @returns the report to pass to the Conviva SDK or `null` if a hook dropped it
+   */
+  public runBeforeReportHooks(report: ConvivaReport): ConvivaReport | null {
+    for (const hook of this.beforeReportHooks) {
+      try {
+        const result = hook(report);
+
+        if (result === null) {
+          return null;
+        } else if (result) {
+          report = result;
+        }
+      } catch (error) {
+        // A broken hook must not break tracking, continue with the report as it is
+        this.onHookError(error);
+      }
+    }
+
+    return report;
+  }
+
+  public runAfterReportHooks(report: ConvivaReport): void {
+    this.afterReportHooks.forEach((hook) => {
+      try {
+        hook(report);
+      } catch (error) {
+        this.onHookError(error);
+      }
+    });
+  }
+
+  public clear(): void {
+    this.beforeReportHooks = [];
+    this.afterReportHooks = [];
+  }
+}
@@ -0,0 +1,209 @@
+import { MetadataEvent, MetadataType } from 'bitmovin-player';
+
+/**
+ * A server-side ad marker found in the stream timeline.
+ */
+export interface SsaiMarker {
+  /**
+   * `start` marks the start of an ad (and of the ad break if none is active), `end` the end of the ad break.
+   */
+  type: 'start' | 'end';
+  /**
+   * Playback time of the marker in seconds.
+   */
+  time: number;
+  id?: string;
+  /**
+   * Remaining duration of the ad in seconds, if the marker announces it.
+   */
+  duration?: number;
+  /**
+   * Set for markers repeated within an ad break which has already started, e.g. `EXT-X-CUE-OUT-CONT`. They only start
+   * an ad break when joining the stream in the middle of it.
+   */
+  isContinuation?: boolean;
+}
+
+const SCTE35_SCHEME_ID_URI_PREFIX = 'urn:scte:scte35';
+
+export class SsaiMarkerParser {
+  /**
+   * Turns a `Metadata` event into an ad marker. Returns `undefined` for metadata which does not mark ads.
+   *
+   * @param event The metadata event
+   * @param currentTime Playback time used if the event has no start time
+   */
+  public static parse(event: MetadataEvent, currentTime: number): SsaiMarker | undefined {
+    const metadata = (event.metadata || {}) as Record<string, any>;
+    const time = typeof event.start === 'number' ? event.start : currentTime;
+
+    switch (event.metadataType) {
+      case MetadataType.CUETAG:
+        return SsaiMarkerParser.parseCueTag(metadata, time);
+      case MetadataType.DATERANGE:
+        return SsaiMarkerParser.parseDateRange(metadata, time);
+      case MetadataType.SCTE:
+        return SsaiMarkerParser.parseScte35Tag(metadata, time);
+      case MetadataType.EVENT_STREAM:
+      case MetadataType.EMSG:
+        return SsaiMarkerParser.parseScte35Event(event, metadata, time);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * `#EXT-X-CUE-OUT:30`, `#EXT-X-CUE-OUT:DURATION=30`, `#EXT-X-CUE-OUT-CONT:ElapsedTime=10,Duration=30` and
+   * `#EXT-X-CUE-IN`
+   */
+  private static parseCueTag(metadata: Record<string, any>, time: number): SsaiMarker | undefined {
+    const attributes = SsaiMarkerParser.parseAttributeList(metadata.attributes);
+    const duration = SsaiMarkerParser.toSeconds(attributes.DURATION);
+
+    switch (String(metadata.type).toUpperCase()) {
+      case 'CUE-OUT':
+        return { type: 'start', time, duration };
+      case 'CUE-OUT-CONT':
+        return {
+          type: 'start',
+          time,
+          duration: SsaiMarkerParser.getRemainingDuration(duration, SsaiMarkerParser.toSeconds(attributes.ELAPSEDTIME)),
+          isContinuation: true,
+        };
+      case 'CUE-IN':
+        return { type: 'end', time };
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * `#EXT-X-DATERANGE` with `SCTE35-OUT` or `SCTE35-IN`. The player provides the attributes in camel case.
+   */
+  private static parseDateRange(metadata: Record<string, any>, time: number): SsaiMarker | undefined {
+    const id = metadata.id ? String(metadata.id) : undefined;
+
+    if (metadata.scte35Out) {
+      return {
+        type: 'start',
+        time,
+        id,
+        duration: SsaiMarkerParser.toSeconds(metadata.duration) || SsaiMarkerParser.toSeconds(metadata.plannedDuration),
+      };
+    }
+
+    if (metadata.scte35In) {
+      return { type: 'end', time, id };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * `#EXT-X-SCTE35:CUE="...",CUE-OUT=YES,DURATION=30`, `CUE-OUT=CONT` and `CUE-IN=YES`. The binary splice info in
+   * `CUE` is not decoded.
+   */
+  private static parseScte35Tag(metadata: Record<string, any>, time: number): SsaiMarker | undefined {
+    const attributes = SsaiMarkerParser.upperCaseKeys(metadata.attributes || {});
+    const id = attributes.ID ? String(attributes.ID) : undefined;
+    const duration = SsaiMarkerParser.toSeconds(attributes.DURATION);
+    const cueOut = String(attributes['CUE-OUT'] || '').toUpperCase();
+
+    if (cueOut === 'YES') {
+      return { type: 'start', time, id, duration };
+    }
+
+    if (cueOut === 'CONT') {
+      return {
+        type: 'start',
+        time,
+        id,
+        duration: SsaiMarkerParser.getRemainingDuration(duration, SsaiMarkerParser.toSeconds(attributes.ELAPSED)),
+        isContinuation: true,
+      };
+    }
+
+    if (String(attributes['CUE-IN'] || '').toUpperCase() === 'YES') {
+      return { type: 'end', time, id };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * DASH `EventStream` events and `emsg` boxes of a SCTE-35 scheme. Each event covers one ad.
+   */
+  private static parseScte35Event(
+    event: MetadataEvent,
+    metadata: Record<string, any>,
+    time: number,
+  ): SsaiMarker | undefined {
+    const schemeIdUri = String(metadata.schemeIdUri || '');
+
+    if (schemeIdUri.indexOf(SCTE35_SCHEME_ID_URI_PREFIX) !== 0) {
+      return undefined;
+    }
+
+    let duration: number | undefined;
+    if (typeof event.start === 'number' && typeof event.end === 'number' && event.end > event.start) {
+      duration = event.end - event.start;
+    } else {
+      duration = SsaiMarkerParser.toSeconds(metadata.duration);
+    }
+
+    return {
+      type: 'start',
+      time,
+      id: metadata.id !== undefined ? String(metadata.id) : undefined,
+      duration,
+    };
+  }
+
+  /**
+   * Parses the attribute list of a tag, e.g. `['DURATION=30']` or `['30']`. A value without a name is treated as
+   * duration.
+   */
+  private static parseAttributeList(attributeList: unknown): Record<string, string> {
+    const attributes: Record<string, string> = {};
+
+    if (!Array.isArray(attributeList)) {
+      return attributes;
+    }
+
+    attributeList.forEach((attribute) => {
+      const separatorIndex = String(attribute).indexOf('=');
+
+      if (separatorIndex === -1) {
+        attributes.DURATION = String(attribute);
+      } else {
+        const name = String(attribute).substring(0, separatorIndex).toUpperCase();
+        attributes[name] = String(attribute).substring(separatorIndex + 1);
+      }
+    });
+
+    return attributes;
+  }
+
+  private static upperCaseKeys(object: Record<string, any>): Record<string, any> {
+    const result: Record<string, any> = {};
+
+    Object.keys(object).forEach((key) => {
+      result[key.toUpperCase()] = object[key];
+    });
+
+    return result;
+  }
+
+  private static getRemainingDuration(duration: number | undefined, elapsed: number | undefined): number | undefined {
+    if (duration === undefined) {
+      return undefined;
+    }
+
+    return Math.max(0, duration - (elapsed || 0));
+  }
+
+  private static toSeconds(value: unknown): number | undefined {
+    const seconds = parseFloat(String(value).replace(/^"|"$/g, ''));
+    return isFinite(seconds) && seconds > 0 ? seconds : undefined;
+  }
+}
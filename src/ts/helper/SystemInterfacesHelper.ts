@@ -0,0 +1,106 @@
+import * as Conviva from '@convivainc/conviva-js-coresdk';
+import { Html5Http } from '../Html5Http';
+import { Html5Logging } from '../Html5Logging';
+import { Html5Storage } from '../Html5Storage';
+import { Html5Time } from '../Html5Time';
+import { Html5Timer } from '../Html5Timer';
+
+export interface SystemInterfaces {
+  /**
+   * Used by the Conviva SDK to send heartbeats to the Conviva backend.
+   * <p>
+   * To retry failed requests with the default implementation, pass a configured instance, e.g.
+   * `new Html5Http({ maxRetries: 2 })`.
+   */
+  http?: Partial<Conviva.HttpInterface>;
+  /**
+   * Used by the Conviva SDK to persist data across sessions, e.g. the client id.
+   * <p>
+   * To prefer a host supplied async storage over the browser storages, pass a configured instance, e.g.
+   * `new Html5Storage({ asyncStorage, logger })` with the same `logger` as `logging`.
+   */
+  storage?: Partial<Conviva.StorageInterface>;
+  /**
+   * Used by the Conviva SDK to schedule periodic work, e.g. heartbeats.
+   */
+  timer?: Partial<Conviva.TimerInterface>;
+  /**
+   * Used by the Conviva SDK to obtain the current wall clock time.
+   */
+  time?: Partial<Conviva.TimeInterface>;
+  /**
+   * Used by the Conviva SDK and the integration for console logging.
+   */
+  logging?: Partial<Conviva.LoggingInterface>;
+}
+
+export interface ResolvedSystemInterfaces {
+  http: Conviva.HttpInterface;
+  storage: Conviva.StorageInterface;
+  timer: Conviva.TimerInterface;
+  time: Conviva.TimeInterface;
+  logging: Conviva.LoggingInterface;
+}
+
+export class SystemInterfacesHelper {
+  /**
+   * Completes the given, possibly partial, system interfaces with the Html5 implementations.
+   *
+   * All methods are bound to the object they originate from, because the Conviva SDK invokes them detached.
+   */
+  public static resolve(
+    systemInterfaces: SystemInterfaces = {},
+    debugLoggingEnabled: boolean = false,
+  ): ResolvedSystemInterfaces {
+    const logging = SystemInterfacesHelper.withFallback(systemInterfaces.logging, () => new Html5Logging(), [
+      'consoleLog',
+      'release',
+    ]);
+
+    return {
+      http: SystemInterfacesHelper.withFallback(systemInterfaces.http, () => new Html5Http(), [
+        'makeRequest',
+        'release',
+      ]),
+      storage: SystemInterfacesHelper.withFallback(
+        systemInterfaces.storage,
+        () => new Html5Storage({ debugLoggingEnabled, logger: logging }),
+        ['saveData', 'loadData', 'release'],
+      ),
+      timer: SystemInterfacesHelper.withFallback(systemInterfaces.timer, () => new Html5Timer(), [
+        'createTimer',
+        'release',
+      ]),
+      time: SystemInterfacesHelper.withFallback(systemInterfaces.time, () => new Html5Time(), [
+        'getEpochTimeMs',
+        'release',
+      ]),
+      logging,
+    };
+  }
+
+  private static withFallback<T extends object>(
+    custom: Partial<T> | undefined,
+    createFallback: () => T,
+    methodNames: Array<keyof T>,
+  ): T {
+    const resolved = {} as T;
+    let fallback: T | undefined;
+
+    methodNames.forEach((methodName) => {
+      let source: Partial<T>;
+
+      if (custom && typeof custom[methodName] === 'function') {
+        source = custom;
+      } else {
+        // Only instantiate the fallback if it is actually needed
+        fallback = fallback || createFallback();
+        source = fallback;
+      }
+
+      resolved[methodName] = (source[methodName] as unknown as Function).bind(source);
+    });
+
+    return resolved;
+  }
+}
@@ -0,0 +1,25 @@
+export namespace UrlUtils {
+  /**
+   * Extracts the host (without credentials and port) from an absolute URL. Returns `undefined` for relative URLs or
+   * strings which are not URLs at all.
+   *
+   * A regular expression is used on purpose because the `URL` constructor is not available on all supported platforms.
+   */
+  export function extractHost(url: string | undefined): string | undefined {
+    if (!url) {
+      return undefined;
+    }
+
+    const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i.exec(url);
+
+    if (!match) {
+      return undefined;
+    }
+
+    const authority = match[1].substring(match[1].lastIndexOf('@') + 1);
+    // IPv6 hosts are wrapped in brackets and contain colons themselves
+    const hostMatch = /^(\[[^\]]+\]|[^:]+)/.exec(authority);
+
+    return hostMatch ? hostMatch[1].toLowerCase() : undefined;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * The parts of a VAST `Ad` element which are relevant for Conviva, for `Wrapper` as well as `InLine` ads.
+ */
+export interface VastAdSummary {
+  /**
+   * `Ad.id` in the VAST response.
+   */
+  id?: string;
+  isWrapper: boolean;
+  /**
+   * `AdSystem` of the `Wrapper` or `InLine` element.
+   */
+  adSystem?: string;
+  /**
+   * `id` of the first `Creative` element.
+   */
+  creativeId?: string;
+  /**
+   * `apiFramework` of the first `MediaFile` (VAST 3) or `InteractiveCreativeFile` (VAST 4) which specifies one.
+   */
+  apiFramework?: string;
+}
+
+export class VastHelper {
+  /**
+   * Parses all ads of a VAST document. Returns an empty list if the document is no valid VAST.
+   *
+   * @param vast the VAST XML as string or as already parsed document
+   */
+  public static parseAds(vast: string | Document): VastAdSummary[] {
+    const vastDocument = typeof vast === 'string' ? VastHelper.parseXml(vast) : vast;
+
+    if (!vastDocument || !vastDocument.documentElement || vastDocument.documentElement.nodeName !== 'VAST') {
+      return [];
+    }
+
+    const ads: VastAdSummary[] = [];
+
+    VastHelper.getChildElements(vastDocument.documentElement, 'Ad').forEach((adElement) => {
+      const wrapperElement = VastHelper.getChildElement(adElement, 'Wrapper');
+      const adTypeElement = wrapperElement || VastHelper.getChildElement(adElement, 'InLine');
+
+      if (!adTypeElement) {
+        return;
+      }
+
+      const creativeElement = VastHelper.getFirstElement(adTypeElement, 'Creative');
+
+      ads.push({
+        id: adElement.getAttribute('id') || undefined,
+        isWrapper: Boolean(wrapperElement),
+        adSystem: VastHelper.getText(VastHelper.getChildElement(adTypeElement, 'AdSystem')),
+        creativeId: (creativeElement && creativeElement.getAttribute('id')) || undefined,
+        apiFramework: VastHelper.getApiFramework(adTypeElement),
+      });
+    });
+
+    return ads;
+  }
+
+  private static parseXml(xml: string): Document | undefined {
+    if (typeof DOMParser === 'undefined') {
+      return undefined;
+    }
+
+    try {
+      return new DOMParser().parseFromString(xml, 'text/xml');
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  private static getApiFramework(adTypeElement: Element): string | undefined {
+    const mediaFileElements = ['MediaFile', 'InteractiveCreativeFile'].reduce(
+      (elements, tagName) => elements.concat(VastHelper.getElements(adTypeElement, tagName)),
+      [] as Element[],
+    );
+
+    for (const mediaFileElement of mediaFileElements) {
+      const apiFramework = mediaFileElement.getAttribute('apiFramework');
+      if (apiFramework) {
+        return apiFramework;
+      }
+    }
+
+    return undefined;
+  }
+
+  private static getChildElements(parent: Element, tagName: string): Element[] {
+    const elements: Element[] = [];
+
+    for (let i = 0; i < parent.childNodes.length; i++) {
+      const node = parent.childNodes[i] as Element;
+      if (node.nodeType === 1 && node.nodeName === tagName) {
+        elements.push(node);
+      }
+    }
+
+    return elements;
+  }
+
+  private static getChildElement(parent: Element, tagName: string): Element | undefined {
+    return VastHelper.getChildElements(parent, tagName)[0];
+  }
+
+  private static getElements(parent: Element, tagName: string): Element[] {
+    return Array.prototype.slice.call(parent.getElementsByTagName(tagName));
+  }
+
+  private static getFirstElement(parent: Element, tagName: string): Element | undefined {
+    return VastHelper.getElements(parent, tagName)[0];
+  }
+
+  private static getText(element: Element | undefined): string | undefined {
+    const text = element && element.textContent && element.textContent.trim();
+    return text || undefined;
+  }
+}
+
+/**
+ * Keeps the ads of the latest VAST responses to look up the ads of a wrapper chain by their ids.
+ */
+export class VastAdRegistry {
+  private static readonly MAX_ADS = 50;
+
+  private ads: Record<string, VastAdSummary> = {};
+  private adIds: string[] = [];
+
+  /**
+   * @param vast the VAST XML as string or as already parsed document
+   */
+  public add(vast: string | Document): void {
+    VastHelper.parseAds(vast).forEach((ad) => {
+      if (!ad.id) {
+        return;
+      }
+
+      if (!this.ads.hasOwnProperty(ad.id)) {
+        this.adIds.push(ad.id);
+      }
+      this.ads[ad.id] = ad;
+    });
+
+    while (this.adIds.length > VastAdRegistry.MAX_ADS) {
+      delete this.ads[this.adIds.shift()];
+    }
+  }
+
+  public get(adId: string): VastAdSummary | undefined {
+    return this.ads.hasOwnProperty(adId) ? this.ads[adId] : undefined;
+  }
+
+  public clear(): void {
+    this.ads = {};
+    this.adIds = [];
+  }
+}
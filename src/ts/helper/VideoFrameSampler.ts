@@ -0,0 +1,76 @@
+import { PlayerAPI } from 'bitmovin-player';
+
+export interface VideoFrameSample {
+  /**
+   * Frames per second actually rendered since the previous sample. Falls back to the frame rate of the current
+   * rendition if the browser does not expose `getVideoPlaybackQuality`.
+   */
+  renderedFrameRate?: number;
+  /**
+   * Number of frames dropped since the previous sample.
+   */
+  droppedFrames?: number;
+}
+
+/**
+ * Samples rendered frame rate and dropped frames of the player's video element. Both values are derived from deltas
+ * between two consecutive samples, so the first sample after a `reset` only establishes the baseline.
+ */
+export class VideoFrameSampler {
+  private readonly getTime: () => number;
+
+  private lastTimestamp?: number;
+  private lastTotalFrames?: number;
+  private lastDroppedFrames?: number;
+
+  /**
+   * @param getTime Provides the current time in milliseconds
+   */
+  constructor(getTime: () => number) {
+    this.getTime = getTime;
+  }
+
+  public sample(player: PlayerAPI): VideoFrameSample {
+    const timestamp = this.getTime();
+    const videoElement = player.getVideoElement ? player.getVideoElement() : undefined;
+    const playbackQuality =
+      videoElement && videoElement.getVideoPlaybackQuality ? videoElement.getVideoPlaybackQuality() : undefined;
+    const droppedFrames = playbackQuality ? playbackQuality.droppedVideoFrames : player.getDroppedVideoFrames();
+
+    const result: VideoFrameSample = {};
+
+    if (this.lastTimestamp !== undefined) {
+      if (Number.isFinite(droppedFrames) && droppedFrames >= this.lastDroppedFrames) {
+        result.droppedFrames = droppedFrames - this.lastDroppedFrames;
+      }
+
+      const elapsedSeconds = (timestamp - this.lastTimestamp) / 1000;
+      if (playbackQuality && this.lastTotalFrames !== undefined && elapsedSeconds > 0) {
+        const renderedFrames = playbackQuality.totalVideoFrames - this.lastTotalFrames - (result.droppedFrames || 0);
+
+        if (renderedFrames >= 0) {
+          result.renderedFrameRate = Math.round(renderedFrames / elapsedSeconds);
+        }
+      }
+    }
+
+    if (result.renderedFrameRate === undefined && !playbackQuality) {
+      const playbackVideoData = player.getPlaybackVideoData();
+      if (playbackVideoData && playbackVideoData.frameRate) {
+        result.renderedFrameRate = Math.round(playbackVideoData.frameRate);
+      }
+    }
+
+    this.lastTimestamp = timestamp;
+    this.lastTotalFrames = playbackQuality ? playbackQuality.totalVideoFrames : undefined;
+    this.lastDroppedFrames = Number.isFinite(droppedFrames) ? droppedFrames : undefined;
+
+    return result;
+  }
+
+  public reset(): void {
+    this.lastTimestamp = undefined;
+    this.lastTotalFrames = undefined;
+    this.lastDroppedFrames = undefined;
+  }
+}
@@ -1,7 +1,19 @@
 // Import to extend Conviva types.
 import './conviva/ConvivaExtension';
 
-export { ConvivaAnalyticsConfiguration, EventAttributes } from './ConvivaAnalyticsTracker';
+export {
+  ConvivaAnalyticsConfiguration,
+  EventAttributes,
+  PlaybackWatchdogConfiguration,
+  ProgramBoundaryTrackingConfiguration,
+  WarningTrackingConfiguration,
+} from './ConvivaAnalyticsTracker';
 export { ConvivaAnalytics } from './ConvivaAnalytics';
 export { Metadata } from './ContentMetadataBuilder';
-export { SsaiAdInfo } from './helper/AdHelper';
+export { CsaiAdErrorCategory, SsaiAdBreakInfo, SsaiAdInfo } from './helper/AdHelper';
+export { PlayerErrorCategory, PlayerErrorMapping, PlayerErrorMappings } from './helper/ErrorHelper';
+export { AfterReportHook, BeforeReportHook, ConvivaReport, ConvivaReportKind } from './helper/ReportHooks';
+export { SsaiTimeline, SsaiTimelineAd, SsaiTimelineAvail, SsaiTimelineTrackingEvent } from './SsaiTimelineTracker';
+export { SystemInterfaces } from './helper/SystemInterfacesHelper';
+export { Html5Http, Html5HttpOptions } from './Html5Http';
+export { Html5Storage, Html5StorageOptions, AsyncStorageAdapter } from './Html5Storage';